@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['server/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,38 @@
+// Turns a saved replay (SAVE REPLAY in the game-over card) into a gesture
+// fixture for src/pose/gestureHarness.test.js:
+//
+//   npm run fixture -- <replay.json> <name> [--from ms] [--to ms] [--description text]
+//
+// Runs through vite-node so it can import the app's modules as they are.
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { recordingToFixture, serializeFixture } from "../src/pose/gestureHarness";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    from: { type: "string", default: "0" },
+    to: { type: "string" },
+    description: { type: "string", default: "" },
+  },
+});
+
+const [recordingPath, name] = positionals;
+if (!recordingPath || !/^[\w-]+$/.test(name || "")) {
+  console.error("Usage: npm run fixture -- <replay.json> <name> [--from ms] [--to ms] [--description text]");
+  process.exit(1);
+}
+
+const recording = JSON.parse(readFileSync(recordingPath, "utf8"));
+const fixture = recordingToFixture(recording, {
+  name,
+  description: values.description,
+  from: Number(values.from),
+  to: values.to === undefined ? Infinity : Number(values.to),
+});
+
+const outPath = new URL(`../src/pose/fixtures/${name}.json`, import.meta.url);
+writeFileSync(outPath, serializeFixture(fixture));
+console.log(`Wrote ${fixture.frames.length} frames to src/pose/fixtures/${name}.json`);
+console.log("Detected:", fixture.expected.map((e) => `${e.type}@${e.t}`).join(" ") || "nothing");
+console.log("In game: ", fixture.recorded.map((e) => `${e.type}@${e.t}`).join(" ") || "nothing");
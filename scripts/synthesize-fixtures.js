@@ -0,0 +1,166 @@
+// Regenerates the synthetic gesture fixtures in src/pose/fixtures from a
+// simple motion model (seeded, so the output is the same every run):
+//
+//   npm run fixture:synthetic
+//
+// These stand in for recordings of real players. Once a recording of a
+// scenario exists (npm run fixture, see recording-to-fixture.js), it should
+// replace the synthetic file of that name and its write() call removed.
+import { writeFileSync } from "node:fs";
+import { createSeededRandom } from "../src/game/seededRandom";
+import { FIXTURE_VERSION, runGestureFixture, serializeFixture } from "../src/pose/gestureHarness";
+import { packLandmarks } from "../src/replay/recorder";
+
+const FPS = 30;
+
+// Body pose: cx, shoulder S, hip H, knee K, ankle A, plus visibility
+function body({ cx = 0.5, S = 0.35, H = 0.6, K = 0.83, A = 0.97, vis = 0.97, shrug = 0 }, rand) {
+  const n = () => (rand() - 0.5) * 0.004;
+  const v = (base) => Math.min(0.999, base - rand() * 0.03);
+  const head = S - shrug * 0.3;
+  const p = [
+    [cx, head - 0.1],
+    [cx + 0.01, head - 0.115], [cx + 0.017, head - 0.115], [cx + 0.024, head - 0.115],
+    [cx - 0.01, head - 0.115], [cx - 0.017, head - 0.115], [cx - 0.024, head - 0.115],
+    [cx + 0.04, head - 0.105], [cx - 0.04, head - 0.105],
+    [cx + 0.015, head - 0.08], [cx - 0.015, head - 0.08],
+    [cx + 0.08, S - shrug], [cx - 0.08, S - shrug],
+    [cx + 0.1, S + 0.13], [cx - 0.1, S + 0.13],
+    [cx + 0.105, H - 0.02], [cx - 0.105, H - 0.02],
+    [cx + 0.11, H], [cx - 0.11, H],
+    [cx + 0.1, H + 0.005], [cx - 0.1, H + 0.005],
+    [cx + 0.1, H - 0.005], [cx - 0.1, H - 0.005],
+    [cx + 0.05, H], [cx - 0.05, H],
+    [cx + 0.055, K], [cx - 0.055, K],
+    [cx + 0.055, A], [cx - 0.055, A],
+    [cx + 0.05, A + 0.015], [cx - 0.05, A + 0.015],
+    [cx + 0.07, A + 0.02], [cx - 0.07, A + 0.02],
+  ];
+  return p.map(([x, y]) => {
+    const inside = x > 0 && x < 1 && y > 0 && y < 1;
+    return {
+      x: x + n(),
+      y: y + n(),
+      z: 0,
+      visibility: inside ? v(vis) : 0.05 + rand() * 0.2,
+    };
+  });
+}
+
+const smooth = (x) => (x <= 0 ? 0 : x >= 1 ? 1 : x * x * (3 - 2 * x));
+
+function write(name, description, durationMs, poseAt, seed) {
+  const rand = createSeededRandom(seed);
+  const frames = [];
+  for (let i = 0; i * 1000 / FPS <= durationMs; i++) {
+    const t = Math.round((i * 1000) / FPS + (rand() - 0.5) * 6);
+    const pose = poseAt(t);
+    frames.push({ t: Math.max(0, t), landmarks: pose ? packLandmarks(body(pose, rand)) : null });
+  }
+  const fixture = {
+    version: FIXTURE_VERSION,
+    name,
+    description,
+    source: "synthetic, generated by scripts/synthesize-fixtures.js",
+    frames,
+  };
+  const expected = runGestureFixture({ ...fixture, expected: [] });
+  const { frames: f, ...head } = fixture;
+  const outPath = new URL(`../src/pose/fixtures/${name}.json`, import.meta.url);
+  writeFileSync(outPath, serializeFixture({ ...head, expected, frames: f }));
+  console.log(name, JSON.stringify(expected));
+}
+
+// A countermovement jump: dip, push off, flight, landing
+function jumpOffset(t, t0) {
+  const dip = 0.03;
+  const lift = 0.16;
+  const flight = 440;
+  const dt = t - t0;
+  if (dt < 0) return { dy: 0, bend: 0 };
+  if (dt < 220) return { dy: dip * smooth(dt / 220), bend: dip * smooth(dt / 220) };
+  if (dt < 300) {
+    const k = (dt - 220) / 80;
+    return { dy: dip * (1 - k) - 0.01 * k, bend: dip * (1 - k) };
+  }
+  const ft = (dt - 300) / flight;
+  if (ft < 1) return { dy: -0.01 - lift * 4 * ft * (1 - ft), bend: 0 };
+  const lt = dt - 300 - flight;
+  if (lt < 300) {
+    const absorb = 0.035 * Math.sin((Math.PI * lt) / 300);
+    return { dy: absorb, bend: absorb };
+  }
+  return { dy: 0, bend: 0 };
+}
+
+function jumping(takeoffs) {
+  return (t) => {
+    let dy = 0;
+    let bend = 0;
+    takeoffs.forEach((t0) => {
+      const o = jumpOffset(t, t0);
+      dy += o.dy;
+      bend += o.bend;
+    });
+    // Feet leave the ground only in flight (dy < 0)
+    const air = Math.min(0, dy);
+    return { S: 0.35 + dy, H: 0.6 + dy, K: 0.83 + air + bend * 0.2, A: 0.97 + air };
+  };
+}
+
+write(
+  "jumps",
+  "Three countermovement jumps a second apart, standing about 2 m from the camera",
+  3600,
+  jumping([400, 1400, 2400]),
+  1
+);
+
+write(
+  "shrugs",
+  "Standing still, then three shoulder shrugs of increasing speed. Nothing should fire",
+  3600,
+  (t) => {
+    const shrugAt = (t0, ms) => {
+      const k = (t - t0) / ms;
+      return k > 0 && k < 1 ? Math.sin(Math.PI * k) * 0.035 : 0;
+    };
+    return { shrug: shrugAt(500, 700) + shrugAt(1500, 500) + shrugAt(2500, 330) };
+  },
+  2
+);
+
+write(
+  "out-of-frame",
+  "Squats, walks out of the right edge while still crouched, is lost for a second, then walks back in standing",
+  5000,
+  (t) => {
+    const squat = t < 800 ? smooth((t - 300) / 300) : 1;
+    let cx = 0.5;
+    if (t >= 800 && t < 2000) cx = 0.5 + 0.75 * smooth((t - 800) / 1200);
+    if (t >= 2000 && t < 3000) return null;
+    if (t >= 3000) cx = 1.25 - 0.75 * smooth((t - 3000) / 1200);
+    const sq = t >= 3000 ? 0 : squat;
+    return { cx, S: 0.35 + 0.16 * sq, H: 0.6 + 0.15 * sq, K: 0.83 + 0.01 * sq };
+  },
+  3
+);
+
+write(
+  "crouches",
+  "Two held squats with a quick stand up between them, then a jump straight after standing",
+  4600,
+  (t) => {
+    const squat = (t0, hold) => {
+      if (t < t0) return 0;
+      if (t < t0 + 250) return smooth((t - t0) / 250);
+      if (t < t0 + 250 + hold) return 1;
+      return 1 - smooth((t - t0 - 250 - hold) / 200);
+    };
+    const sq = squat(300, 700) + squat(1700, 500);
+    const base = { S: 0.35 + 0.16 * sq, H: 0.6 + 0.15 * sq, K: 0.83 + 0.01 * sq, A: 0.97 };
+    if (t < 3000) return base;
+    return jumping([3000])(t);
+  },
+  4
+);
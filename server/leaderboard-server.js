@@ -0,0 +1,144 @@
+// Minimal leaderboard backend for booths without internet.
+//
+//   npm run leaderboard-server
+//   VITE_LEADERBOARD_BACKEND=http VITE_LEADERBOARD_URL=http://localhost:8787 npm run dev
+//
+// Scores are kept in a JSON file ({ [mode]: entry[] }).
+import http from "node:http";
+import fs from "node:fs";
+import { randomUUID } from "node:crypto";
+import { rankStandings } from "../src/leaderboard/standings.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE =
+  process.env.LEADERBOARD_FILE ||
+  new URL("./leaderboard-data.json", import.meta.url);
+const MAX_BODY_BYTES = 10 * 1024;
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function save(data) {
+  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Body too large"));
+        // Don't keep reading (and buffering) whatever else is sent
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// The fields the app submits; anything else is dropped. Returns null for an
+// invalid entry.
+const ENTRY_FIELDS = {
+  name: (value) => typeof value === "string" && value.length >= 1 && value.length <= 10,
+  score: isCount,
+  timestamp: Number.isFinite,
+  jumps: isCount,
+  time: isCount,
+  gameMode: (value) => typeof value === "string",
+  input: (value) => ["camera", "keyboard", "touch"].includes(value),
+};
+const REQUIRED_FIELDS = ["name", "score"];
+
+function toEntry(body) {
+  if (!body || typeof body !== "object") return null;
+  if (REQUIRED_FIELDS.some((field) => body[field] === undefined)) return null;
+  const entry = { timestamp: Date.now() };
+  for (const [field, isValid] of Object.entries(ENTRY_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (!isValid(body[field])) return null;
+    entry[field] = body[field];
+  }
+  return entry;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/leaderboards\/([\w-]+)(\/standing)?$/);
+
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (!match) return send(res, 404, { error: "Not found" });
+
+  const [, mode, standing] = match;
+  const since = Number(url.searchParams.get("since")) || null;
+
+  // A player's rank among everyone's best, however long the list
+  if (standing) {
+    if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" });
+    const { mine, total } = rankStandings(load()[mode] || [], {
+      since,
+      player: url.searchParams.get("player") || "",
+      limit: 0,
+    });
+    return send(res, 200, { mine, total });
+  }
+
+  try {
+    switch (req.method) {
+      case "GET": {
+        // Without a limit every entry (in the window) is returned
+        const limit = Number(url.searchParams.get("limit")) || Infinity;
+        const scores = (load()[mode] || [])
+          .filter((entry) => !since || entry.timestamp >= since)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+        return send(res, 200, scores);
+      }
+      case "POST": {
+        const entry = toEntry(JSON.parse(await readBody(req)));
+        if (!entry) {
+          return send(res, 400, { error: "name and score are required, other fields must be valid" });
+        }
+        // Loaded only now: another submission may have been saved while
+        // this body was arriving. Nothing awaits between here and save().
+        const data = load();
+        const id = randomUUID();
+        data[mode] = [...(data[mode] || []), { ...entry, id }];
+        save(data);
+        return send(res, 201, { id });
+      }
+      case "DELETE": {
+        const data = load();
+        delete data[mode];
+        save(data);
+        return send(res, 204);
+      }
+      default:
+        return send(res, 405, { error: "Method not allowed" });
+    }
+  } catch (error) {
+    return send(res, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Leaderboard server listening on http://localhost:${PORT}`);
+});
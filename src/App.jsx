@@ -1,33 +1,126 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
-import { Pose, POSE_CONNECTIONS } from "@mediapipe/pose";
-import { drawConnectors, drawLandmarks } from "@mediapipe/drawing_utils";
-import { Camera } from "@mediapipe/camera_utils";
+import React, { useEffect, useRef, useState, useCallback, useMemo } from "react";
 import DinoGame from "./components/DinoGame";
-import { ref, push, onValue, query, orderByChild, limitToLast } from "firebase/database";
-import { database } from "./firebase";
+import CalibrationScreen from "./components/CalibrationScreen";
+import TouchControls from "./components/TouchControls";
+import LoadingScreen from "./components/LoadingScreen";
+import ReplayViewer from "./components/ReplayViewer";
+import HistoryChart from "./components/HistoryChart";
+import FitnessReport from "./components/FitnessReport";
+import AchievementToasts from "./components/AchievementToasts";
+import AttractScreen from "./components/AttractScreen";
+import OperatorPanel from "./components/OperatorPanel";
+import OnScreenKeyboard from "./components/OnScreenKeyboard";
+import KioskCountdown from "./components/KioskCountdown";
+import GestureHint from "./components/GestureHint";
+import GestureSettings from "./components/GestureSettings";
+import SoundPanel from "./components/SoundPanel";
+import CountdownOverlay from "./components/CountdownOverlay";
+import PoseDebugOverlay from "./components/PoseDebugOverlay";
+import CameraPanel from "./components/CameraPanel";
+import { createLeaderboard } from "./leaderboard";
+import { summarizeRun, RUN_FLAG_MESSAGES } from "./leaderboard/runSummary";
+import {
+  bestPerPlayer,
+  LEADERBOARD_WINDOW,
+  LEADERBOARD_WINDOWS,
+  rankStandings,
+  windowStart,
+} from "./leaderboard/standings";
+import { STORAGE_KEYS } from "./storage";
+import {
+  MAX_PROFILE_NAME_LENGTH,
+  normalizeProfileName,
+  loadProfiles,
+  createProfile,
+  selectProfile,
+  deleteProfile,
+  getActiveProfile,
+  loadProfileValue,
+  saveProfileValue,
+} from "./profiles/profiles";
+import { DEFAULT_JUMP_SETTINGS } from "./pose/jumpDetector";
+import { createGestureDetector, GESTURE_EVENT } from "./pose/gestureDetector";
+import { createTrackingMonitor, isTrackingReady } from "./pose/trackingQuality";
+import { createMenuGestureDetector, MENU_GESTURE } from "./pose/menuGestures";
+import { loadPoseSettings, POSE_MODELS, savePoseSettings } from "./pose/poseSettings";
+import { createPipelineStats, preciseNow } from "./pose/pipelineStats";
+import {
+  GAME_ACTION,
+  loadGestureBindings,
+  needsFullBody,
+  normalizeBindings,
+  saveGestureBindings,
+} from "./pose/gestureBindings";
+import { POSE_TRIGGER } from "./pose/poseTriggers";
+import { simulateSpacebar, pressDuck, releaseDuck } from "./game/runnerKeys";
+import { GAME_MODES, DEFAULT_GAME_MODE, getGameMode } from "./game/modes";
+import { createRunnerController, RUNNER_EVENT, scoreOf } from "./game/runnerController";
+import { GAME_STATE } from "./game/gameState";
+import { createRoundFlow, ROUND_EVENT, ROUND_PHASE } from "./game/roundFlow";
+import { createSpectatorHost, SPECTATOR_MESSAGE } from "./spectator/spectatorChannel";
+import {
+  createPresenceDetector,
+  loadKioskSettings,
+  makesLeaderboard,
+  NAME_KEYS,
+  PRESENCE,
+  saveKioskSettings,
+} from "./kiosk/kiosk";
+import { createAutopilot } from "./kiosk/autopilot";
+import { createSoundManager } from "./audio/soundManager";
+import { SOUND_CUE } from "./audio/soundCues";
+import { loadAudioSettings, saveAudioSettings } from "./audio/audioSettings";
+import {
+  DAILY_ATTEMPTS,
+  dailyAttemptsLeft,
+  dailyBoard,
+  dailyDate,
+  dailySeed,
+  pastDailyDates,
+  spendDailyAttempt,
+} from "./game/dailyChallenge";
+import { createFitnessTracker } from "./fitness/fitnessTracker";
+import { WORKOUTS, DEFAULT_WORKOUT, getWorkout } from "./fitness/workouts";
+import {
+  ACHIEVEMENTS,
+  loadAchievements,
+  saveAchievements,
+  evaluateAchievements,
+  unlockAchievements,
+  recordRound,
+} from "./achievements/achievements";
+import {
+  INPUT_SOURCE,
+  INPUT_SOURCES,
+  FALLBACK_INPUT_SOURCE,
+  createInputSource,
+} from "./input/inputSources";
+import { POSE_LOAD_PHASE } from "./input/cameraInput";
+import {
+  cameraRequest,
+  listCameras,
+  loadCameraSettings,
+  saveCameraSettings,
+} from "./input/cameraSettings";
+import { createRunRecorder, packLandmarks, REPLAY_EVENT, snapshotRunner } from "./replay/recorder";
+import { downloadRecording, readRecordingFile } from "./replay/replayFile";
+import {
+  loadHistory,
+  saveHistory,
+  appendRound,
+  mergeHistory,
+  jumpsPerMinute,
+  downloadHistory,
+  readHistoryFile,
+} from "./history/roundHistory";
+import {
+  CALIBRATION_PHASE,
+  createCalibrationSession,
+  loadCalibration,
+  saveCalibration,
+} from "./pose/calibration";
 import "./App.css";
 
-// ── localStorage helpers ──────────────────────────────────────────
-const STORAGE_KEYS = {
-  LEADERBOARD: "dino_leaderboard",
-  SESSION_STATS: "dino_session_stats",
-  STREAK: "dino_streak",
-  THEME: "dino_theme",
-};
-
-function loadStored(key, fallback) {
-  try {
-    const item = localStorage.getItem(key);
-    return item ? JSON.parse(item) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-function saveStored(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
-}
-
 // ── Format helpers ────────────────────────────────────────────────
 function formatTime(seconds) {
   const m = Math.floor(seconds / 60);
@@ -43,100 +136,561 @@ function timeAgo(timestamp) {
   return `${Math.floor(diff / 86400)}d ago`;
 }
 
+// ── Per-profile settings ──────────────────────────────────────────
+const EMPTY_SESSION_STATS = {
+  totalJumps: 0,
+  totalPlayTime: 0,
+  totalScore: 0,
+  roundsPlayed: 0,
+};
+const EMPTY_STREAK = { current: 0, best: 0, lastScore: 0 };
+const DEFAULT_FITNESS = { enabled: false, weightKg: null, workout: DEFAULT_WORKOUT };
+
+function loadProfileSettings(profileId) {
+  const inputSource = loadProfileValue(profileId, STORAGE_KEYS.INPUT_SOURCE, INPUT_SOURCE.CAMERA);
+  return {
+    sessionStats: loadProfileValue(profileId, STORAGE_KEYS.SESSION_STATS, EMPTY_SESSION_STATS),
+    streak: loadProfileValue(profileId, STORAGE_KEYS.STREAK, EMPTY_STREAK),
+    theme: loadProfileValue(profileId, STORAGE_KEYS.THEME, "dark"),
+    gameMode: getGameMode(loadProfileValue(profileId, STORAGE_KEYS.GAME_MODE, DEFAULT_GAME_MODE)).id,
+    inputSource: INPUT_SOURCES[inputSource] ? inputSource : INPUT_SOURCE.CAMERA,
+    recordRuns: loadProfileValue(profileId, STORAGE_KEYS.RECORD_RUNS, false),
+    history: loadHistory(profileId),
+    fitness: {
+      ...DEFAULT_FITNESS,
+      ...loadProfileValue(profileId, STORAGE_KEYS.FITNESS, DEFAULT_FITNESS),
+    },
+    achievements: loadAchievements(profileId),
+    gestureBindings: loadGestureBindings(profileId),
+    audio: loadAudioSettings(profileId),
+  };
+}
+
+// Rounds shown in the history charts
+const HISTORY_CHART_ROUNDS = 30;
+// The tracking indicator's frame rate is refreshed at most this often
+const TRACKING_PUBLISH_MS = 500;
+// Pause between a crash and the dino running again during a workout
+const WORKOUT_RESTART_MS = 1200;
+const NO_MENU_HOLD = { gesture: null, progress: 0 };
+
 // ══════════════════════════════════════════════════════════════════
-const GAME_STATE = { START: 'START', PLAYING: 'PLAYING', GAME_OVER: 'GAME_OVER' };
+const LEADERBOARD_SIZE = 10;
+// All-time scores fetched for ranking; enough that the best of every
+// player at a busy booth is among them. Beyond that the player's own rank
+// is asked of the backend.
+const LEADERBOARD_SCAN = 1000;
+// Backend (firebase / local / http) is chosen by VITE_LEADERBOARD_BACKEND
+const leaderboardService = createLeaderboard();
+// The Runner is a page-wide singleton, and so is its controller
+const runnerController = createRunnerController();
+
+// Publishes to spectator screens opened from the sidebar
+const spectatorHost = createSpectatorHost();
+// Plays the demo behind the kiosk's attract screen
+const autopilot = createAutopilot(runnerController);
 
 const App = () => {
   const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const prevShoulderRef = useRef(null);
-  const lastJumpTimeRef = useRef(0);
-
-  // Audio
-  const audioContextRef = useRef(null);
-  const jumpBufferRef = useRef(null);
-  const gameOverBufferRef = useRef(null);
+  // The camera input adds its preview canvas here
+  const previewRef = useRef(null);
+  const gestureDetectorRef = useRef(createGestureDetector());
+  const calibrationRef = useRef(null);
+  const trackingMonitorRef = useRef(createTrackingMonitor());
+  const trackingPublishedRef = useRef({ at: 0, quality: null });
+  const menuGestureRef = useRef(createMenuGestureDetector());
+  // The raised-hand pose currently being held on a menu, for the rings
+  const [menuHold, setMenuHold] = useState(NO_MENU_HOLD);
+
+  // Created on mount and closed on unmount (see the Sound section)
+  const soundRef = useRef(null);
+
+  // ── Player profiles ───────────────────────────────────────────
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [initialSettings] = useState(() => loadProfileSettings(profiles.activeId));
+  const [newProfileName, setNewProfileName] = useState("");
+  const activeProfile = getActiveProfile(profiles);
+  const playerName = activeProfile.name;
+  const profileIdRef = useRef(activeProfile.id);
 
   // ── Stats refs ────────────────────────────────────────────────
   const jumpCountRef = useRef(0);
   const roundStartRef = useRef(Date.now());
   const handleGameOverRef = useRef(null);
-  const playerNameRef = useRef(localStorage.getItem('dino_player_name') || '');
+  const handlersRef = useRef(null);
+  const playerNameRef = useRef(playerName);
   const isGameActiveRef = useRef(false);
+  // Camera rounds count the player in and pause while they're out of
+  // frame; `roundHold` is `{ phase, count }` while that holds the Runner
+  const roundFlowRef = useRef(createRoundFlow());
+  const [roundHold, setRoundHold] = useState(null);
+
+  // ── Run recording (opt-in) ────────────────────────────────────
+  const recorderRef = useRef(null);
+  const [recordRuns, setRecordRuns] = useState(initialSettings.recordRuns);
+  const recordRunsRef = useRef(recordRuns);
+  const [lastRecording, setLastRecording] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const [replayError, setReplayError] = useState(null);
+
+  // ── Fitness mode ──────────────────────────────────────────────
+  const [fitness, setFitness] = useState(initialSettings.fitness);
+  const fitnessRef = useRef(fitness);
+  const fitnessTrackerRef = useRef(null);
+  // The running timed workout (see fitness/workouts)
+  const workoutRef = useRef(null);
+  // Pending restart of the dino after a crash mid-workout
+  const workoutRestartRef = useRef(null);
+  const [workoutStatus, setWorkoutStatus] = useState(null);
+  const [fitnessReport, setFitnessReport] = useState(null);
+
+  useEffect(() => {
+    const workoutRestart = workoutRestartRef;
+    return () => clearTimeout(workoutRestart.current);
+  }, []);
+
+  // ── Achievements ──────────────────────────────────────────────
+  const [achievements, setAchievements] = useState(initialSettings.achievements);
+  const achievementsRef = useRef(achievements);
+  // Per-round counters the achievements need: { ducks, firstCrashMs, unlocked }
+  const runStatsRef = useRef(null);
+  const [toasts, setToasts] = useState([]);
+  const [roundAchievements, setRoundAchievements] = useState([]);
+
+  const expireToast = useCallback(
+    (key) => setToasts((prev) => prev.filter((t) => t.key !== key)),
+    []
+  );
+
+  const updateFitness = (patch) => {
+    const updated = { ...fitnessRef.current, ...patch };
+    setFitness(updated);
+    fitnessRef.current = updated;
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.FITNESS, updated);
+  };
+
+  // ── Gesture bindings (accessibility) ──────────────────────────
+  const [gestureBindings, setGestureBindings] = useState(initialSettings.gestureBindings);
+  const [gestureSettingsOpen, setGestureSettingsOpen] = useState(false);
+  // Live meter levels for the settings screen, only updated while it's open
+  const [gestureLevels, setGestureLevels] = useState({});
+
+  const updateGestureBindings = (next) => {
+    const updated = normalizeBindings(next);
+    setGestureBindings(updated);
+    saveGestureBindings(profileIdRef.current, updated);
+  };
+
+  useEffect(() => {
+    gestureDetectorRef.current.setBindings(gestureBindings);
+  }, [gestureBindings]);
+
+  // Seated players who play with their arms or head don't need their hips
+  // in view to start a round
+  const fullBody = needsFullBody(gestureBindings);
+  useEffect(() => {
+    trackingMonitorRef.current.setNeedsHips(fullBody);
+  }, [fullBody]);
+  // Calibration measures body jumps; the other gestures have sensitivity
+  const calibratesJump = gestureBindings[GAME_ACTION.JUMP].trigger === POSE_TRIGGER.BODY;
+
+  // ── Sound ─────────────────────────────────────────────────────
+  const [audio, setAudio] = useState(initialSettings.audio);
+
+  const updateAudio = (patch) => {
+    const updated = { ...audio, ...patch };
+    setAudio(updated);
+    saveAudioSettings(profileIdRef.current, updated);
+  };
+
+  const playCue = (cue) => {
+    if (soundRef.current) soundRef.current.play(cue);
+  };
+
+  // Menu buttons tick; the touch controls already make the game's sounds
+  const handleUiClick = (e) => {
+    const button = e.target.closest("button");
+    if (button && !button.closest(".touch-controls")) playCue(SOUND_CUE.CLICK);
+  };
+
+  useEffect(() => {
+    const sound = createSoundManager();
+    soundRef.current = sound;
+    sound.load();
+    return () => {
+      soundRef.current = null;
+      sound.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    soundRef.current.setSettings(audio);
+  }, [audio]);
 
-  // ── Player Name State ─────────────────────────────────────────
-  const [playerName, setPlayerName] = useState(localStorage.getItem('dino_player_name') || '');
   // ── Game State ────────────────────────────────────────────────
   const [gameState, setGameState] = useState(GAME_STATE.START);
-  const [inputName, setInputName] = useState(localStorage.getItem('dino_player_name') || '');
+  const gameStateRef = useRef(gameState);
+  const [gameMode, setGameMode] = useState(initialSettings.gameMode);
+  const gameModeRef = useRef(gameMode);
+
+  useEffect(() => {
+    gameStateRef.current = gameState;
+  }, [gameState]);
+
+  // The Runner's own keys and focus handling mustn't start a held round,
+  // nor stop one when focus moves to the spectator window
+  useEffect(() => {
+    runnerController.setRoundGuard({
+      inRound: () => gameStateRef.current === GAME_STATE.PLAYING,
+      isHeld: () =>
+        gameStateRef.current === GAME_STATE.PLAYING && roundFlowRef.current.isHeld(),
+    });
+  }, []);
+
+  // Daily challenge day, fixed for the length of a round
+  const [dailyDay, setDailyDay] = useState(() => dailyDate());
+  // Leaderboard the current round's score goes to
+  const boardRef = useRef(null);
+  const seededMode = !!GAME_MODES[gameMode].seeded;
+  const board = seededMode ? dailyBoard(dailyDay) : gameMode;
+
+  const selectGameMode = (id) => {
+    setGameMode(id);
+    gameModeRef.current = id;
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.GAME_MODE, id);
+  };
+
+  // ── Input Source ──────────────────────────────────────────────
+  // `inputSource` is the player's choice; `activeInput` is what is actually
+  // running, which differs after an automatic fallback from the camera.
+  const [inputSource, setInputSource] = useState(initialSettings.inputSource);
+  const [activeInput, setActiveInput] = useState(inputSource);
+  const [inputNotice, setInputNotice] = useState(null);
+  const [poseLoad, setPoseLoad] = useState(null);
+  const [inputRestarts, setInputRestarts] = useState(0);
+  const [tracking, setTracking] = useState(null);
+  const activeInputRef = useRef(activeInput);
+  // Pose model and debug overlay, per machine
+  const [poseSettings, setPoseSettings] = useState(loadPoseSettings);
+  const pipelineStatsRef = useRef(createPipelineStats());
+  const [poseStats, setPoseStats] = useState(null);
+  // Webcam and preview choices, also per machine
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [cameraDevices, setCameraDevices] = useState([]);
+  const cameraSettingsRef = useRef(cameraSettings);
+  const inputRef = useRef(null);
+
+  // Rounds only start once the camera can actually see the player
+  const trackingReady = activeInput !== INPUT_SOURCE.CAMERA || isTrackingReady(tracking);
+  const dailyAttempts = seededMode ? dailyAttemptsLeft(dailyDay) : null;
+  const canStart = trackingReady && dailyAttempts !== 0;
+
+  useEffect(() => {
+    activeInputRef.current = activeInput;
+  }, [activeInput]);
+
+  useEffect(() => {
+    cameraSettingsRef.current = cameraSettings;
+  }, [cameraSettings]);
+
+  const selectInputSource = (id) => {
+    setInputSource(id);
+    setActiveInput(id);
+    setInputNotice(null);
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.INPUT_SOURCE, id);
+  };
+
+  const updatePoseSettings = (patch) => {
+    const updated = { ...poseSettings, ...patch };
+    setPoseSettings(updated);
+    savePoseSettings(updated);
+  };
+
+  const updateCameraSettings = (patch) => {
+    const updated = { ...cameraSettings, ...patch };
+    setCameraSettings(updated);
+    saveCameraSettings(updated);
+  };
 
-  // Sync ref with state just in case, though we will write to ref primarily
   useEffect(() => {
     playerNameRef.current = playerName;
   }, [playerName]);
 
-  const handleNameSubmit = (e) => {
-    e.preventDefault();
-    if (inputName.trim()) {
-      const name = inputName.trim().toUpperCase().slice(0, 10);
-      setPlayerName(name);
-      playerNameRef.current = name; // Update ref immediately
-      localStorage.setItem('dino_player_name', name);
-
-      setGameState(GAME_STATE.PLAYING);
-      isGameActiveRef.current = true; // Game is active
-      jumpCountRef.current = 0;
-      roundStartRef.current = Date.now();
+  const [calibrationProgress, setCalibrationProgress] = useState(null);
+  const [recalibrate, setRecalibrate] = useState(false);
+
+  // `restart` starts the Runner over straight away rather than on the first
+  // jump. Camera rounds leave that to the end of the countdown.
+  const startRound = ({ restart = false } = {}) => {
+    const mode = GAME_MODES[gameModeRef.current];
+    if (mode.seeded) {
+      const date = dailyDate();
+      setDailyDay(date);
+      spendDailyAttempt(date);
+      runnerController.setObstacleSeed(dailySeed(date));
+      boardRef.current = dailyBoard(date);
+    } else {
+      runnerController.setObstacleSeed(null);
+      boardRef.current = mode.id;
     }
-  };
-
-  const handleRetry = () => {
     setGameState(GAME_STATE.PLAYING);
-    isGameActiveRef.current = true;
     jumpCountRef.current = 0;
     roundStartRef.current = Date.now();
+    const waitForPlayer = activeInputRef.current === INPUT_SOURCE.CAMERA;
+    roundFlowRef.current.start(roundStartRef.current, { waitForPlayer });
+    isGameActiveRef.current = !waitForPlayer;
+    setRoundHold(waitForPlayer ? { phase: ROUND_PHASE.WAITING, count: null } : null);
+    // Holds the kiosk demo too, if that is what's running
+    if (waitForPlayer) runnerController.pause();
+    else if (restart) runnerController.restart();
+    setLastRecording(null);
+    setFitnessReport(null);
+    setRoundAchievements([]);
+    handlersRef.current.settlePendingEntry();
+    setEntryName("");
+    runStatsRef.current = { ducks: 0, firstCrashMs: null, unlocked: [] };
+    const workout = getWorkout(fitnessRef.current.workout);
+    fitnessTrackerRef.current = fitnessRef.current.enabled
+      ? createFitnessTracker({
+          weightKg: fitnessRef.current.weightKg,
+          startedAt: roundStartRef.current,
+        })
+      : null;
+    workoutRef.current = fitnessRef.current.enabled && workout.durationMs ? workout : null;
+    recorderRef.current = recordRunsRef.current
+      ? createRunRecorder({
+          playerName: playerNameRef.current,
+          gameMode: gameModeRef.current,
+          input: activeInputRef.current,
+          startedAt: roundStartRef.current,
+        })
+      : null;
+  };
+
+  const toggleRecordRuns = (enabled) => {
+    setRecordRuns(enabled);
+    recordRunsRef.current = enabled;
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.RECORD_RUNS, enabled);
+  };
+
+  const openReplayFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setReplay(await readRecordingFile(file));
+      setReplayError(null);
+    } catch (error) {
+      setReplayError(error.message);
+    }
+  };
+
+  const startCalibration = () => {
+    setCalibrationProgress(null);
+    calibrationRef.current = createCalibrationSession({
+      onProgress: setCalibrationProgress,
+    });
+    setGameState(GAME_STATE.CALIBRATING);
+  };
+
+  // Loads everything stored for the newly active profile
+  const applyProfiles = (state) => {
+    const settings = loadProfileSettings(state.activeId);
+    setProfiles(state);
+    profileIdRef.current = state.activeId;
+    setSessionStats(settings.sessionStats);
+    setStreak(settings.streak);
+    setHistory(settings.history);
+    setHistoryError(null);
+    setTheme(settings.theme);
+    setGameMode(settings.gameMode);
+    gameModeRef.current = settings.gameMode;
+    setInputSource(settings.inputSource);
+    setActiveInput(settings.inputSource);
+    setInputNotice(null);
+    setRecordRuns(settings.recordRuns);
+    recordRunsRef.current = settings.recordRuns;
+    setFitness(settings.fitness);
+    fitnessRef.current = settings.fitness;
+    setAchievements(settings.achievements);
+    setGestureBindings(settings.gestureBindings);
+    setAudio(settings.audio);
+    achievementsRef.current = settings.achievements;
+    setToasts([]);
+    setRecalibrate(false);
+    setLastGameScore(null);
+  };
+
+  const handleSelectProfile = (id) => {
+    if (id !== profiles.activeId) applyProfiles(selectProfile(profiles, id));
+  };
+
+  const handleCreateProfile = (e) => {
+    e.preventDefault();
+    if (!newProfileName.trim()) return;
+    applyProfiles(createProfile(profiles, newProfileName));
+    setNewProfileName("");
+  };
 
-    if (window.Runner && window.Runner.instance_) {
-      window.Runner.instance_.restart();
+  const handleDeleteProfile = (profile) => {
+    if (!window.confirm(`Delete ${profile.name} and all of their stats?`)) return;
+    const updated = deleteProfile(profiles, profile.id);
+    if (updated.activeId !== profiles.activeId) {
+      applyProfiles(updated);
+    } else {
+      setProfiles(updated);
     }
   };
 
-  const handleMainMenu = () => {
+  const handleStart = (e) => {
+    e.preventDefault();
+    startGame();
+  };
+
+  const startGame = () => {
+    if (!canStart) return;
+    playerNameRef.current = playerName;
+
+    // Calibration only applies to the camera's body jump
+    const calibration = loadCalibration(profileIdRef.current);
+    if (activeInput !== INPUT_SOURCE.CAMERA || !calibratesJump) {
+      startRound();
+    } else if (calibration && !recalibrate) {
+      gestureDetectorRef.current.setJumpSettings(calibration);
+      startRound();
+    } else {
+      startCalibration();
+    }
+  };
+
+  const handleSkipCalibration = () => {
+    calibrationRef.current = null;
+    gestureDetectorRef.current.setJumpSettings(DEFAULT_JUMP_SETTINGS);
+    startRound();
+  };
+
+  // Finish calibration as soon as the session reports its settings
+  useEffect(() => {
+    if (calibrationProgress?.phase !== CALIBRATION_PHASE.DONE) return;
+    const settings = calibrationProgress.settings;
+    calibrationRef.current = null;
+    saveCalibration(profileIdRef.current, settings);
+    gestureDetectorRef.current.setJumpSettings(settings);
+    setRecalibrate(false);
+    startRound();
+  }, [calibrationProgress]);
+
+  const handleRetry = () => {
+    if (!canStart) return;
+    startRound({ restart: true });
+  };
+
+  const handleMainMenu = useCallback(() => {
+    setDailyDay(dailyDate());
+    handlersRef.current.settlePendingEntry();
     setGameState(GAME_STATE.START);
-    setPlayerName('');
-    playerNameRef.current = '';
     isGameActiveRef.current = false;
-    localStorage.removeItem('dino_player_name');
-    setInputName('');
+    clearTimeout(workoutRestartRef.current);
+    workoutRestartRef.current = null;
+  }, []);
+
+  // ── Kiosk ─────────────────────────────────────────────────────
+  // Unattended booth: an attract loop instead of the start menu, rounds
+  // that start when someone steps into frame, and on-screen name entry.
+  const [kiosk, setKiosk] = useState(loadKioskSettings);
+  const kioskRef = useRef(kiosk);
+  const presenceRef = useRef(createPresenceDetector({ arriveMs: kiosk.arriveMs }));
+  const [arriving, setArriving] = useState(false);
+  const [operatorOpen, setOperatorOpen] = useState(false);
+  // A score waiting for the visitor to type their name: { board, entry }
+  const [pendingEntry, setPendingEntry] = useState(null);
+  const [entryName, setEntryName] = useState("");
+  // Bumped on every key press so the return countdown starts over
+  const [kioskActivity, setKioskActivity] = useState(0);
+  const attract = kiosk.enabled && gameState === GAME_STATE.START && !operatorOpen;
+
+  const saveKiosk = (settings) => {
+    setKiosk(settings);
+    kioskRef.current = settings;
+    saveKioskSettings(settings);
+    presenceRef.current = createPresenceDetector({ arriveMs: settings.arriveMs });
+    setOperatorOpen(false);
+    if (settings.enabled && document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  };
+
+  // Kiosk rounds skip calibration and don't wait for a first jump
+  const startKioskRound = () => {
+    if (!canStart) return;
+    gestureDetectorRef.current.setJumpSettings(
+      loadCalibration(profileIdRef.current) || DEFAULT_JUMP_SETTINGS
+    );
+    // Before the attract effect gets to it, so the demo can't start again
+    autopilot.stop();
+    startRound({ restart: true });
   };
 
+  const typeEntryName = (name) => {
+    setEntryName(name);
+    setKioskActivity((n) => n + 1);
+  };
+
+  const claimScore = (name) => {
+    const { board, entry } = pendingEntry;
+    const claimed = normalizeProfileName(name);
+    submitEntry(board, claimed ? { ...entry, name: claimed } : entry);
+    setPendingEntry(null);
+  };
+
+  // A visitor who walks off without typing a name still keeps the score,
+  // under the name the round was played with
+  function settlePendingEntry() {
+    if (pendingEntry) submitEntry(pendingEntry.board, pendingEntry.entry);
+    setPendingEntry(null);
+  }
+
+  useEffect(() => {
+    if (!attract) return;
+    autopilot.start();
+    return () => autopilot.stop();
+  }, [attract]);
+
+  // Ctrl+Alt+K opens the operator panel; so do five taps on the attract title
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.ctrlKey && e.altKey && e.key.toLowerCase() === "k") setOperatorOpen(true);
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, []);
+
   // ── React state ───────────────────────────────────────────────
-  const [leaderboard, setLeaderboard] = useState(() =>
-    loadStored(STORAGE_KEYS.LEADERBOARD, [])
-  );
-  const [sessionStats, setSessionStats] = useState(() =>
-    loadStored(STORAGE_KEYS.SESSION_STATS, {
-      totalJumps: 0,
-      totalPlayTime: 0,
-      totalScore: 0,
-      roundsPlayed: 0,
-    })
-  );
-  const [streak, setStreak] = useState(() =>
-    loadStored(STORAGE_KEYS.STREAK, { current: 0, best: 0, lastScore: 0 })
-  );
-  const [theme, setTheme] = useState(() =>
-    loadStored(STORAGE_KEYS.THEME, "dark")
-  );
+  const [leaderboard, setLeaderboard] = useState([]);
+  const leaderboardRef = useRef(leaderboard);
+  const [leaderboardError, setLeaderboardError] = useState(null);
+  // Top Scores panel: time window, name search and the scores in the window
+  const [leaderboardWindow, setLeaderboardWindow] = useState(LEADERBOARD_WINDOW.ALL);
+  const [leaderboardSearch, setLeaderboardSearch] = useState("");
+  const [windowScores, setWindowScores] = useState([]);
+  // The player's all-time `{ mine, total }` once the scan no longer holds
+  // everyone, tagged with the board and player it was asked for
+  const [myStanding, setMyStanding] = useState(null);
+  const [sessionStats, setSessionStats] = useState(initialSettings.sessionStats);
+  const [streak, setStreak] = useState(initialSettings.streak);
+  const [theme, setTheme] = useState(initialSettings.theme);
+  const [history, setHistory] = useState(initialSettings.history);
+  const [historyError, setHistoryError] = useState(null);
 
   const [lastGameScore, setLastGameScore] = useState(null);
-  const [newHighlight, setNewHighlight] = useState(-1);
+  const [runSummary, setRunSummary] = useState(null);
+  const [newHighlight, setNewHighlight] = useState(null);
 
   // ── Theme toggle ──────────────────────────────────────────────
   const toggleTheme = () => {
     const newTheme = theme === "dark" ? "light" : "dark";
     setTheme(newTheme);
-    saveStored(STORAGE_KEYS.THEME, newTheme);
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.THEME, newTheme);
   };
 
   // ── Handle game over ──────────────────────────────────────────
@@ -144,36 +698,84 @@ const App = () => {
     // Only run if the game was considered active
     if (!isGameActiveRef.current) return;
 
-    // Mark as inactive immediately to prevent duplicates
-    isGameActiveRef.current = false;
+    // Countdowns and pauses aren't part of the round
+    const endedAt = Date.now();
+    const heldMs = roundFlowRef.current.getHeldMs(endedAt);
+    const startedAt = roundStartRef.current + heldMs;
+    const elapsedMs = endedAt - startedAt;
 
-    let score = 0;
-    try {
-      const digits = window.Runner.instance_.distanceMeter.digits;
-      score = parseInt(digits.join(""), 10) || 0;
-    } catch {
-      score = 0;
+    // A crash in the middle of a workout only restarts the dino
+    if (workoutRef.current && elapsedMs < workoutRef.current.durationMs) {
+      if (runStatsRef.current.firstCrashMs === null) {
+        runStatsRef.current.firstCrashMs = elapsedMs;
+      }
+      clearTimeout(workoutRestartRef.current);
+      workoutRestartRef.current = setTimeout(() => {
+        workoutRestartRef.current = null;
+        if (isGameActiveRef.current) runnerController.restart();
+      }, WORKOUT_RESTART_MS);
+      return;
     }
 
+    // Mark as inactive immediately to prevent duplicates
+    isGameActiveRef.current = false;
+    clearTimeout(workoutRestartRef.current);
+    workoutRestartRef.current = null;
+
+    const score = runnerController.getScore();
     setLastGameScore(score);
 
-    const roundTime = (Date.now() - roundStartRef.current) / 1000;
+    const roundTime = elapsedMs / 1000;
     const jumps = jumpCountRef.current;
     const currentPlayer = playerNameRef.current; // Use Ref for latest name
+    const mode = gameModeRef.current;
+    const board = boardRef.current;
+
+    // Implausible runs are kept off the leaderboard (the database rules
+    // would reject them anyway)
+    const summary = summarizeRun({
+      score,
+      jumps,
+      startedAt,
+      endedAt,
+    });
+    setRunSummary(summary);
 
     console.log(`[GameOver] Saving score for ${currentPlayer}: ${score}`);
 
-    // Push score to Firebase
-    if (currentPlayer) {
-      push(ref(database, 'leaderboard'), {
+    // Submit score to the configured leaderboard backend. A workout spans
+    // several runs, so only its last score would be comparable.
+    if (!summary.plausible) {
+      console.warn("[GameOver] Run flagged, not submitted:", summary.flags);
+    } else if (currentPlayer && !workoutRef.current) {
+      const entry = {
         name: currentPlayer,
         score,
-        timestamp: Date.now(),
+        timestamp: endedAt,
         jumps,
         time: Math.round(roundTime),
-        gameMode: "arcade"
-      }).then(() => console.log("Score saved to Firebase"))
-        .catch(e => console.error("Firebase save error:", e));
+        gameMode: board,
+        input: activeInputRef.current
+      };
+      // Topping the board gets a fanfare, even if the name comes later
+      if (soundRef.current && score > (leaderboardRef.current[0]?.score ?? 0)) {
+        soundRef.current.play(SOUND_CUE.HIGH_SCORE);
+      }
+      const kiosk = kioskRef.current;
+      if (!kiosk.enabled || !kiosk.nameEntry) {
+        handlersRef.current.submitEntry(board, entry);
+      } else if (
+        makesLeaderboard(
+          score,
+          bestPerPlayer(leaderboardRef.current).slice(0, LEADERBOARD_SIZE),
+          LEADERBOARD_SIZE
+        )
+      ) {
+        // Kiosk visitors claim the score on screen first (claimScore)
+        setPendingEntry({ board, entry });
+      } else {
+        handlersRef.current.submitEntry(board, entry);
+      }
     }
 
     // Update local session stats (personal only)
@@ -184,7 +786,19 @@ const App = () => {
         totalScore: prev.totalScore + score,
         roundsPlayed: prev.roundsPlayed + 1,
       };
-      saveStored(STORAGE_KEYS.SESSION_STATS, updated);
+      saveProfileValue(profileIdRef.current, STORAGE_KEYS.SESSION_STATS, updated);
+      return updated;
+    });
+
+    setHistory((prev) => {
+      const updated = appendRound(prev, {
+        timestamp: endedAt,
+        score,
+        jumps,
+        duration: Math.round(roundTime * 10) / 10,
+        mode,
+      });
+      saveHistory(profileIdRef.current, updated);
       return updated;
     });
 
@@ -200,10 +814,38 @@ const App = () => {
       } else {
         newStreak = { current: 0, best: prev.best, lastScore: score };
       }
-      saveStored(STORAGE_KEYS.STREAK, newStreak);
+      saveProfileValue(profileIdRef.current, STORAGE_KEYS.STREAK, newStreak);
       return newStreak;
     });
 
+    if (recorderRef.current) {
+      recorderRef.current.addEvent(REPLAY_EVENT.CRASH, endedAt);
+      setLastRecording(recorderRef.current.finish({ score, jumps, endedAt }));
+      recorderRef.current = null;
+    }
+
+    const workout = workoutRef.current;
+    let workoutTargetMet = false;
+    if (fitnessTrackerRef.current) {
+      const report = fitnessTrackerRef.current.finish(endedAt, heldMs);
+      workoutTargetMet = !!workout && report.jumps >= workout.targetJumps;
+      setFitnessReport({ report, workout });
+      fitnessTrackerRef.current = null;
+    }
+    workoutRef.current = null;
+
+    // A workout that ran out of time didn't crash
+    if (runStatsRef.current.firstCrashMs === null && !(workout && elapsedMs >= workout.durationMs)) {
+      runStatsRef.current.firstCrashMs = elapsedMs;
+    }
+    const handlers = handlersRef.current;
+    const finalAchievements = handlers.checkAchievements({ finished: true, workoutTargetMet });
+    handlers.storeAchievements(
+      recordRound(finalAchievements, { jumps, mode, finished: true }, endedAt)
+    );
+    setRoundAchievements(runStatsRef.current.unlocked);
+    runStatsRef.current = null;
+
     // We don't reset refs here; we reset them ON START/RETRY
     setGameState(GAME_STATE.GAME_OVER);
   }, []); // No dependencies needed as we use Refs
@@ -213,179 +855,599 @@ const App = () => {
     handleGameOverRef.current = handleGameOver;
   }, [handleGameOver]);
 
-  // ── Firebase Leaderboard Listener ─────────────────────────────
+  // ── Leaderboard Listener ──────────────────────────────────────
+  // Scores live under one list per mode so they are never ranked together;
+  // each daily challenge gets a list of its own
   useEffect(() => {
-    const scoresRef = query(
-      ref(database, "leaderboard"),
-      orderByChild("score"),
-      limitToLast(10)
+    setLeaderboardError(null);
+    return leaderboardService.subscribe(
+      board,
+      { limit: LEADERBOARD_SCAN },
+      setLeaderboard,
+      (error) => {
+        console.error("Leaderboard error:", error);
+        setLeaderboardError("Leaderboard unavailable");
+      }
     );
+  }, [board]);
 
-    const unsubscribe = onValue(scoresRef, (snapshot) => {
-      const data = snapshot.val();
-      if (data) {
-        // Convert object to array and sort descending
-        const parsed = Object.values(data).sort((a, b) => b.score - a.score);
-        setLeaderboard(parsed);
-      } else {
-        setLeaderboard([]);
+  // Today and This Week need their own query: low scores from today may not
+  // be among the all-time best. A new day starts a new window.
+  useEffect(() => {
+    if (leaderboardWindow === LEADERBOARD_WINDOW.ALL) return;
+    setWindowScores([]);
+    return leaderboardService.subscribe(
+      board,
+      { since: windowStart(leaderboardWindow, Date.now()) },
+      setWindowScores,
+      (error) => {
+        console.error("Leaderboard error:", error);
+        setLeaderboardError("Leaderboard unavailable");
       }
+    );
+  }, [board, leaderboardWindow, dailyDay]);
+
+  // Asked again whenever the scores change, so a new best moves the rank;
+  // the last answer stays up meanwhile
+  const scanFull = leaderboard.length >= LEADERBOARD_SCAN;
+  const ranksMe = scanFull && leaderboardWindow === LEADERBOARD_WINDOW.ALL && Boolean(playerName);
+  useEffect(() => {
+    if (!ranksMe) {
+      setMyStanding(null);
+      return;
+    }
+    let cancelled = false;
+    leaderboardService
+      .standing(board, { player: playerName })
+      .then((standing) => {
+        if (!cancelled) setMyStanding({ ...standing, board, player: playerName });
+      })
+      .catch((error) => console.error("Leaderboard standing failed:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [board, ranksMe, playerName, leaderboard]);
+
+  useEffect(() => {
+    leaderboardRef.current = leaderboard;
+  }, [leaderboard]);
+
+  // One row per player, ranked across the whole window
+  const topScores = useMemo(
+    () => bestPerPlayer(leaderboard).slice(0, LEADERBOARD_SIZE),
+    [leaderboard]
+  );
+  const standings = useMemo(() => {
+    const scanned = rankStandings(
+      leaderboardWindow === LEADERBOARD_WINDOW.ALL ? leaderboard : windowScores,
+      {
+        since: windowStart(leaderboardWindow, Date.now()),
+        search: leaderboardSearch,
+        player: playerName,
+        limit: LEADERBOARD_SIZE,
+      }
+    );
+    const current = myStanding && myStanding.board === board && myStanding.player === playerName;
+    if (!ranksMe || !current) return scanned;
+    // A backend that can't count players leaves the scan's count as a floor
+    return {
+      ...scanned,
+      mine: myStanding.mine,
+      total: myStanding.total ?? `${scanned.total}+`,
+    };
+  }, [
+    leaderboard,
+    windowScores,
+    leaderboardWindow,
+    leaderboardSearch,
+    playerName,
+    myStanding,
+    ranksMe,
+    board,
+  ]);
+
+  // ── Spectator Screen ──────────────────────────────────────────
+  useEffect(() => {
+    spectatorHost.publish(SPECTATOR_MESSAGE.STATE, {
+      gameState,
+      playerName,
+      mode: GAME_MODES[gameMode].label,
+      input: INPUT_SOURCES[activeInput].label,
     });
+  }, [gameState, playerName, gameMode, activeInput]);
 
-    return () => unsubscribe();
-  }, []);
+  useEffect(() => {
+    spectatorHost.publish(SPECTATOR_MESSAGE.LEADERBOARD, {
+      mode: seededMode ? `${GAME_MODES[gameMode].label} ${dailyDay}` : GAME_MODES[gameMode].label,
+      entries: topScores,
+    });
+  }, [topScores, gameMode, seededMode, dailyDay]);
+
+  // Streams what the Runner draws while someone is watching
+  useEffect(() => {
+    if (gameState !== GAME_STATE.PLAYING) return;
+    let frameId;
+    const stream = () => {
+      const runner = runnerController.getRunner();
+      if (runner && runner.activated && spectatorHost.hasSpectators()) {
+        spectatorHost.publish(SPECTATOR_MESSAGE.FRAME, {
+          ...snapshotRunner(runner),
+          score: scoreOf(runner),
+          jumps: jumpCountRef.current,
+        });
+      }
+      frameId = requestAnimationFrame(stream);
+    };
+    frameId = requestAnimationFrame(stream);
+    return () => cancelAnimationFrame(frameId);
+  }, [gameState]);
+
+  const openSpectatorScreen = () => {
+    window.open(`${window.location.pathname}?view=spectator`, "jumping-dino-spectator");
+  };
+
+  // Winners of the previous daily challenges, most recent first
+  const [dailyWinners, setDailyWinners] = useState([]);
+  useEffect(() => {
+    if (!seededMode) return;
+    let cancelled = false;
+    Promise.all(
+      pastDailyDates(Date.parse(dailyDay)).map((date) =>
+        leaderboardService
+          .top(dailyBoard(date), { limit: 1 })
+          .then(([winner]) => ({ date, winner: winner || null }))
+      )
+    )
+      .then((winners) => {
+        if (!cancelled) setDailyWinners(winners);
+      })
+      .catch((error) => console.error("Daily archive error:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [seededMode, dailyDay]);
 
+  // The attract loop's demo crashes quietly
   const handleCrash = useCallback(() => {
-    playSound(gameOverBufferRef.current);
+    if (isGameActiveRef.current && soundRef.current) soundRef.current.play(SOUND_CUE.CRASH);
     handleGameOver();
   }, [handleGameOver]);
-  // ── Main effect (Game Loop) ─────────────────────────────────
+
+  useEffect(() => runnerController.on(RUNNER_EVENT.CRASH, handleCrash), [handleCrash]);
+  // Long-lived callbacks (input sources, Runner events, handleGameOver)
+  // reach the latest handlers through a ref instead of re-subscribing
   useEffect(() => {
-    const AudioContext = window.AudioContext || window.webkitAudioContext;
-    audioContextRef.current = new AudioContext();
-
-    const loadSound = async (url, bufferRef) => {
-      try {
-        const response = await fetch(url);
-        const arrayBuffer = await response.arrayBuffer();
-        const decodedBuffer = await audioContextRef.current.decodeAudioData(
-          arrayBuffer
-        );
-        bufferRef.current = decodedBuffer;
-      } catch (error) {
-        console.error("Error loading sound:", url, error);
-      }
+    handlersRef.current = {
+      handlePoseResults,
+      registerJump,
+      checkAchievements,
+      storeAchievements,
+      submitEntry,
+      settlePendingEntry,
     };
+  });
 
-    loadSound("/sounds/jump.m4a", jumpBufferRef);
-    loadSound("/sounds/gameover.m4a", gameOverBufferRef);
-
+  useEffect(
+    () => runnerController.on(RUNNER_EVENT.SCORE_TICK, () => handlersRef.current.checkAchievements()),
+    []
+  );
 
+  useEffect(
+    () =>
+      runnerController.on(RUNNER_EVENT.MILESTONE, () => {
+        if (isGameActiveRef.current && soundRef.current) soundRef.current.play(SOUND_CUE.MILESTONE);
+      }),
+    []
+  );
 
-    const pose = new Pose({
-      locateFile: (file) =>
-        `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`,
+  // Music plays during rounds and speeds up with the dino
+  const roundHeld = roundHold !== null;
+  useEffect(() => {
+    if (gameState !== GAME_STATE.PLAYING || roundHeld) return;
+    const sound = soundRef.current;
+    sound.startMusic();
+    const unsubscribe = runnerController.on(RUNNER_EVENT.SPEED_CHANGE, ({ speed }) =>
+      sound.setMusicRate(speed / GAME_MODES[gameModeRef.current].difficulty.speed)
+    );
+    return () => {
+      unsubscribe();
+      sound.stopMusic();
+    };
+  }, [gameState, roundHeld]);
+
+  // ── Input source (camera / keyboard / touch) ────────────────
+  // Turning face tracking on or off restarts the camera with Face Mesh, and
+  // a new pose model restarts it to load that. Another camera or resolution
+  // and the preview's look are changed on the running input.
+  const faceTracking = gestureBindings.faceLandmarks;
+  const modelComplexity = poseSettings.modelComplexity;
+  useEffect(() => {
+    const trackingMonitor = trackingMonitorRef.current;
+    const pipelineStats = pipelineStatsRef.current;
+    let stopped = false;
+    const fallBack = (error) => {
+      setInputNotice(
+        `Camera unavailable (${error.message || error.name}). Switched to ${INPUT_SOURCES[FALLBACK_INPUT_SOURCE].label.toLowerCase()} controls.`
+      );
+      setActiveInput(FALLBACK_INPUT_SOURCE);
+    };
+    const input = createInputSource(activeInput, {
+      video: videoRef.current,
+      preview: previewRef.current,
+      onPoseResults: (results) => handlersRef.current.handlePoseResults(results),
+      onPoseLoadProgress: setPoseLoad,
+      // The camera or pose model failed mid-session
+      onCameraError: (error) => {
+        if (stopped) return;
+        console.error("Camera input failed:", error);
+        fallBack(error);
+      },
+      onJump: () => handlersRef.current.registerJump(false),
+      faceLandmarks: faceTracking,
+      modelComplexity,
+      camera: cameraRequest(cameraSettingsRef.current),
+      skeleton: cameraSettingsRef.current.skeleton,
     });
+    inputRef.current = input;
+
+    input
+      .start()
+      .then(() => {
+        // Now that there's permission the cameras have names
+        if (stopped || activeInput !== INPUT_SOURCE.CAMERA) return;
+        listCameras().then(setCameraDevices).catch(() => {});
+      })
+      .catch((error) => {
+        if (stopped) return;
+        console.error("Input source failed:", activeInput, error);
+        if (error.name === "PoseLoadError") {
+          setPoseLoad({ phase: POSE_LOAD_PHASE.ERROR, message: error.message });
+          return;
+        }
+        fallBack(error);
+      });
 
-    pose.setOptions({
-      modelComplexity: 0,
-      smoothLandmarks: true,
-      enableSegmentation: false,
-      minDetectionConfidence: 0.5,
-      minTrackingConfidence: 0.5,
-    });
+    return () => {
+      stopped = true;
+      input.stop();
+      inputRef.current = null;
+      releaseDuck();
+      setPoseLoad(null);
+      trackingMonitor.reset();
+      trackingPublishedRef.current = { at: 0, quality: null };
+      setTracking(null);
+      pipelineStats.reset();
+    };
+  }, [activeInput, inputRestarts, faceTracking, modelComplexity]);
 
-    pose.onResults((results) => {
-      const canvasCtx = canvasRef.current.getContext("2d");
-      canvasCtx.clearRect(
-        0,
-        0,
-        canvasRef.current.width,
-        canvasRef.current.height
-      );
-      canvasCtx.drawImage(
-        results.image,
-        0,
-        0,
-        canvasRef.current.width,
-        canvasRef.current.height
-      );
+  // Only the camera stream is reopened, so this is safe mid-round
+  const { deviceId: cameraId, resolution: cameraResolution } = cameraSettings;
+  useEffect(() => {
+    if (inputRef.current && inputRef.current.setCamera) {
+      inputRef.current.setCamera(cameraRequest({ deviceId: cameraId, resolution: cameraResolution }));
+    }
+  }, [cameraId, cameraResolution]);
 
-      if (results.poseLandmarks) {
-        drawConnectors(canvasCtx, results.poseLandmarks, POSE_CONNECTIONS, {
-          color: "#00FF00",
-          lineWidth: 4,
-        });
-        drawLandmarks(canvasCtx, results.poseLandmarks, {
-          color: "#FF0000",
-          lineWidth: 2,
-        });
+  // The skeleton is drawn by the worker, which can stop and start it live
+  const showSkeleton = cameraSettings.skeleton;
+  useEffect(() => {
+    if (inputRef.current && inputRef.current.setSkeleton) {
+      inputRef.current.setSkeleton(showSkeleton);
+    }
+  }, [showSkeleton]);
 
-        const leftShoulder = results.poseLandmarks[11];
-        const rightShoulder = results.poseLandmarks[12];
-        const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-
-        if (prevShoulderRef.current !== null && isGameActiveRef.current) {
-          const diff = prevShoulderRef.current - avgShoulderY;
-          const now = Date.now();
-
-          if (diff > 0.04 && now - lastJumpTimeRef.current > 500) {
-            playSound(jumpBufferRef.current);
-            simulateSpacebar();
-            lastJumpTimeRef.current = now;
-            jumpCountRef.current += 1;
-            console.log("Jump detected!");
-          }
-        }
+  // Keeps the camera list current as webcams are plugged in and out
+  useEffect(() => {
+    const media = navigator.mediaDevices;
+    if (!media || !media.addEventListener) return;
+    const refresh = () => listCameras().then(setCameraDevices).catch(() => {});
+    refresh();
+    media.addEventListener("devicechange", refresh);
+    return () => media.removeEventListener("devicechange", refresh);
+  }, []);
+
+  // Refreshes the debug overlay twice a second while it is shown
+  const showPoseDebug = poseSettings.debugOverlay && activeInput === INPUT_SOURCE.CAMERA;
+  useEffect(() => {
+    if (!showPoseDebug) return;
+    const refresh = () => setPoseStats(pipelineStatsRef.current.snapshot(preciseNow()));
+    refresh();
+    const id = setInterval(refresh, 500);
+    return () => clearInterval(id);
+  }, [showPoseDebug]);
+
+  // The worker has already drawn the frame and skeleton into the preview
+  function handlePoseResults(results) {
+    pipelineStatsRef.current.addResult(results, preciseNow());
+
+    const now = Date.now();
+    const landmarks = results.poseLandmarks || null;
+    const quality = trackingMonitorRef.current.update(landmarks, now);
+    publishTracking(quality);
+
+    // Frames without a player are recorded too, so replays and gesture
+    // fixtures show when tracking was lost
+    if (recorderRef.current) {
+      recorderRef.current.addPoseFrame(landmarks, now);
+    }
+    if (spectatorHost.hasSpectators()) {
+      spectatorHost.publish(SPECTATOR_MESSAGE.POSE, packLandmarks(landmarks));
+    }
+    if (kioskRef.current.enabled) {
+      const presence = presenceRef.current.update(isTrackingReady(quality), now);
+      setArriving(presenceRef.current.isArriving());
+      if (presence === PRESENCE.ARRIVED && attract) startKioskRound();
+    }
+    if (gameState === GAME_STATE.PLAYING) updateRoundFlow(landmarks, quality, now);
 
-        prevShoulderRef.current = avgShoulderY;
+    if (landmarks) {
+      if (fitnessTrackerRef.current) {
+        fitnessTrackerRef.current.addFrame(landmarks, now);
       }
+      if (calibrationRef.current) {
+        calibrationRef.current.addFrame(landmarks, now);
+      }
+    }
+
+    const gestures = gestureDetectorRef.current.update(landmarks, now, results.faceLandmarks || null);
+    gestures.forEach((gesture) => {
+      if (gesture === GESTURE_EVENT.DUCK) startDuck();
+      if (gesture === GESTURE_EVENT.STAND) endDuck();
+      if (gesture === GESTURE_EVENT.JUMP) registerJump(true, results.capturedAt);
     });
+    if (gestureSettingsOpen) publishGestureLevels(gestureDetectorRef.current.getLevels());
 
-    const camera = new Camera(videoRef.current, {
-      onFrame: async () => {
-        await pose.send({ image: videoRef.current });
-      },
-      width: 640,
-      height: 480,
+    const actions = menuGestureActions();
+    const hold = menuGestureRef.current.update(landmarks, now, Object.keys(actions));
+    publishMenuHold(hold);
+    if (hold.confirmed) actions[hold.confirmed]();
+  }
+
+  // Counts the player in, and stops the Runner while they're out of frame
+  function updateRoundFlow(landmarks, quality, now) {
+    const flow = roundFlowRef.current;
+    const event = flow.update(landmarks, quality, now);
+    if (event?.type === ROUND_EVENT.COUNT) playCue(SOUND_CUE.COUNTDOWN);
+    if (event?.type === ROUND_EVENT.PAUSE) {
+      isGameActiveRef.current = false;
+      runnerController.pause();
+      releaseDuck();
+    }
+    if (event?.type === ROUND_EVENT.GO) {
+      isGameActiveRef.current = true;
+      if (event.resumed) runnerController.resume();
+      // First go, or a workout run that crashed just before the pause
+      if (!runnerController.isRunning()) runnerController.start();
+    }
+
+    const phase = flow.getPhase();
+    const count = flow.getCount();
+    setRoundHold((prev) => {
+      if (!flow.isHeld()) return null;
+      return prev?.phase === phase && prev.count === count ? prev : { phase, count };
     });
+  }
 
-    camera.start();
+  // Hands-free actions for whichever menu is showing
+  function menuGestureActions() {
+    if (replay || operatorOpen || pendingEntry || gestureSettingsOpen) return {};
+    if (gameState === GAME_STATE.START && !kiosk.enabled && canStart) {
+      return { [MENU_GESTURE.BOTH_HANDS]: startGame };
+    }
+    if (gameState === GAME_STATE.GAME_OVER) {
+      return {
+        ...(canStart && { [MENU_GESTURE.LEFT_HAND]: handleRetry }),
+        [MENU_GESTURE.RIGHT_HAND]: handleMainMenu,
+      };
+    }
+    return {};
+  }
 
-    return () => {
+  // Meters move in 2% steps, so a still player doesn't re-render the panel
+  function publishGestureLevels(levels) {
+    const stepped = Object.fromEntries(
+      Object.entries(levels).map(([action, level]) => [
+        action,
+        level === null ? null : Math.round(level * 50) / 50,
+      ])
+    );
+    setGestureLevels((prev) =>
+      Object.keys(stepped).every((action) => prev[action] === stepped[action]) ? prev : stepped
+    );
+  }
 
-    };
-  }, []);
+  // The rings move in 5% steps, so holding still doesn't re-render
+  function publishMenuHold({ gesture, progress }) {
+    const stepped = Math.round(progress * 20) / 20;
+    setMenuHold((prev) =>
+      prev.gesture === gesture && prev.progress === stepped ? prev : { gesture, progress: stepped }
+    );
+  }
 
-  function playSound(buffer) {
-    if (buffer && audioContextRef.current) {
-      if (audioContextRef.current.state === "suspended") {
-        audioContextRef.current.resume();
-      }
-      const source = audioContextRef.current.createBufferSource();
-      source.buffer = buffer;
-      source.connect(audioContextRef.current.destination);
-      source.start(0);
+  const holdProgress = (gesture) => (menuHold.gesture === gesture ? menuHold.progress : 0);
+  const showGestureHints = activeInput === INPUT_SOURCE.CAMERA;
+
+  // Re-render only when the verdict changes, or now and then for the fps
+  function publishTracking(quality) {
+    const published = trackingPublishedRef.current;
+    const now = Date.now();
+    const changed =
+      !published.quality ||
+      published.quality.level !== quality.level ||
+      published.quality.hint !== quality.hint;
+    if (changed || now - published.at > TRACKING_PUBLISH_MS) {
+      trackingPublishedRef.current = { at: now, quality };
+      setTracking(quality);
     }
   }
 
-  function simulateSpacebar() {
-    const downEvent = new KeyboardEvent("keydown", {
-      key: " ",
-      code: "Space",
-      keyCode: 32,
-      which: 32,
-      bubbles: true,
-    });
-    const upEvent = new KeyboardEvent("keyup", {
-      key: " ",
-      code: "Space",
-      keyCode: 32,
-      which: 32,
-      bubbles: true,
+  // Every input source ends up here. Real key presses already reached the
+  // Runner, so only gesture and touch jumps need a simulated key.
+  // `capturedAt` is when the camera saw a gesture jump (see preciseNow).
+  function registerJump(sendKey, capturedAt = null) {
+    if (!isGameActiveRef.current) return;
+    playCue(SOUND_CUE.JUMP);
+    if (sendKey) simulateSpacebar();
+    if (capturedAt !== null) pipelineStatsRef.current.addJumpLatency(preciseNow() - capturedAt);
+    jumpCountRef.current += 1;
+    if (fitnessTrackerRef.current) fitnessTrackerRef.current.addJump(Date.now());
+    recordEvent(REPLAY_EVENT.JUMP);
+    checkAchievements();
+    console.log("Jump detected!");
+  }
+
+  function submitEntry(board, entry) {
+    const best = leaderboardRef.current[0];
+    spectatorHost.publish(SPECTATOR_MESSAGE.ROUND_END, {
+      name: entry.name,
+      score: entry.score,
+      highScore: entry.score > 0 && (!best || entry.score > best.score),
     });
-    document.dispatchEvent(downEvent);
-    setTimeout(() => document.dispatchEvent(upEvent), 100);
+    leaderboardService
+      .submit(board, entry)
+      .then((id) => {
+        console.log("Score saved");
+        setNewHighlight(id);
+      })
+      .catch((e) => console.error("Leaderboard save error:", e));
+  }
+
+  function startDuck() {
+    if (!isGameActiveRef.current) return;
+    pressDuck();
+    playCue(SOUND_CUE.DUCK);
+    recordEvent(REPLAY_EVENT.DUCK);
+    if (runStatsRef.current) runStatsRef.current.ducks += 1;
+    checkAchievements();
+  }
+
+  function endDuck() {
+    releaseDuck();
+    recordEvent(REPLAY_EVENT.STAND);
+  }
+
+  function storeAchievements(state) {
+    achievementsRef.current = state;
+    setAchievements(state);
+    saveAchievements(profileIdRef.current, state);
   }
 
+  // Unlocks whatever the running round has earned so far and returns the
+  // updated achievement state. `extra` overrides fields of the run.
+  function checkAchievements(extra = {}) {
+    const stats = runStatsRef.current;
+    const state = achievementsRef.current;
+    if (!stats) return state;
+
+    const now = Date.now();
+    const run = {
+      score: runnerController.getScore(),
+      jumps: jumpCountRef.current,
+      ducks: stats.ducks,
+      elapsedMs: now - roundStartRef.current - roundFlowRef.current.getHeldMs(now),
+      firstCrashMs: stats.firstCrashMs,
+      mode: gameModeRef.current,
+      workoutTargetMet: false,
+      finished: false,
+      ...extra,
+    };
+    const unlocked = evaluateAchievements(state, run, now);
+    if (!unlocked.length) return state;
+
+    const updated = unlockAchievements(state, unlocked, now);
+    storeAchievements(updated);
+    stats.unlocked.push(...unlocked);
+    setToasts((prev) => [
+      ...prev,
+      ...unlocked.map((achievement) => ({ key: `${achievement.id}-${now}`, achievement })),
+    ]);
+    return updated;
+  }
+
+  function recordEvent(type) {
+    if (recorderRef.current) recorderRef.current.addEvent(type, Date.now());
+  }
+
+  // Sample what the Runner draws while a recorded round is running
+  useEffect(() => {
+    if (gameState !== GAME_STATE.PLAYING || !recorderRef.current) return;
+    let frameId;
+    const sample = () => {
+      const runner = runnerController.getRunner();
+      if (runner && recorderRef.current && runner.activated) {
+        recorderRef.current.addRunnerFrame(runner, Date.now());
+      }
+      frameId = requestAnimationFrame(sample);
+    };
+    frameId = requestAnimationFrame(sample);
+    return () => cancelAnimationFrame(frameId);
+  }, [gameState]);
+
+  // Workout clock: ends the round when time is up, whatever the dino is
+  // doing. That's a finish, not a crash, so it goes straight to game over.
+  useEffect(() => {
+    if (gameState !== GAME_STATE.PLAYING || !workoutRef.current) {
+      setWorkoutStatus(null);
+      return;
+    }
+    const tick = () => {
+      const workout = workoutRef.current;
+      if (!workout) return;
+      const now = Date.now();
+      // Stands still while the round is held
+      const remainingMs =
+        workout.durationMs - (now - roundStartRef.current - roundFlowRef.current.getHeldMs(now));
+      setWorkoutStatus({
+        remainingMs: Math.max(0, remainingMs),
+        jumps: jumpCountRef.current,
+        targetJumps: workout.targetJumps,
+      });
+      if (remainingMs <= 0) {
+        runnerController.pause();
+        handleGameOver();
+      }
+    };
+    tick();
+    const id = setInterval(tick, 250);
+    return () => clearInterval(id);
+  }, [gameState, handleGameOver]);
+
   function resetLeaderboard() {
-    saveStored(STORAGE_KEYS.LEADERBOARD, []);
-    setLeaderboard([]);
+    leaderboardService.clear(board).catch((error) => {
+      console.error("Leaderboard clear error:", error);
+      setLeaderboardError("Could not clear the leaderboard");
+    });
   }
 
   function resetStats() {
-    const empty = {
-      totalJumps: 0,
-      totalPlayTime: 0,
-      totalScore: 0,
-      roundsPlayed: 0,
-    };
-    saveStored(STORAGE_KEYS.SESSION_STATS, empty);
-    setSessionStats(empty);
-    saveStored(STORAGE_KEYS.STREAK, { current: 0, best: 0, lastScore: 0 });
-    setStreak({ current: 0, best: 0, lastScore: 0 });
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.SESSION_STATS, EMPTY_SESSION_STATS);
+    setSessionStats(EMPTY_SESSION_STATS);
+    saveProfileValue(profileIdRef.current, STORAGE_KEYS.STREAK, EMPTY_STREAK);
+    setStreak(EMPTY_STREAK);
   }
 
+  const importHistory = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const updated = mergeHistory(history, await readHistoryFile(file), playerName);
+      saveHistory(profileIdRef.current, updated);
+      setHistory(updated);
+      setHistoryError(null);
+    } catch (error) {
+      setHistoryError(error.message);
+    }
+  };
+
+  // Scores from different modes aren't comparable, so chart one mode
+  const modeHistory = useMemo(
+    () => history.filter((r) => r.mode === gameMode).slice(-HISTORY_CHART_ROUNDS),
+    [history, gameMode]
+  );
+  const historyScores = useMemo(() => modeHistory.map((r) => r.score), [modeHistory]);
+  const historyJumpRates = useMemo(() => modeHistory.map(jumpsPerMinute), [modeHistory]);
+
   const avgScore =
     sessionStats.roundsPlayed > 0
       ? Math.round(sessionStats.totalScore / sessionStats.roundsPlayed)
@@ -393,34 +1455,257 @@ const App = () => {
 
   // ══════════════════════════════════════════════════════════════
   return (
-    <div className={`app-container ${theme}`}>
+    <div
+      onClickCapture={handleUiClick}
+      className={`app-container ${theme} ${gameState === GAME_STATE.CALIBRATING ? "calibrating" : ""} ${!trackingReady && gameState !== GAME_STATE.PLAYING ? "tracking-blocked" : ""} ${kiosk.enabled ? "kiosk" : ""}`}
+    >
+      {/* ── Kiosk Attract Loop ───────────────────────────────── */}
+      {attract && (
+        <AttractScreen
+          slideMs={kiosk.slideMs}
+          leaderboard={topScores}
+          modeLabel={GAME_MODES[gameMode].label}
+          usesCamera={activeInput === INPUT_SOURCE.CAMERA}
+          arriving={arriving}
+          arriveMs={kiosk.arriveMs}
+          hint={tracking?.hint}
+          onPlay={startKioskRound}
+          onOperator={() => setOperatorOpen(true)}
+        />
+      )}
+
+      {operatorOpen && (
+        <OperatorPanel
+          settings={kiosk}
+          gameModes={GAME_MODES}
+          gameMode={gameMode}
+          onSelectMode={selectGameMode}
+          onSave={saveKiosk}
+          onClearLeaderboard={leaderboardService.canClear ? resetLeaderboard : null}
+          onResetStats={resetStats}
+          onClose={() => setOperatorOpen(false)}
+        />
+      )}
+
       {/* ── Main Menu (Start Screen) ─────────────────────────── */}
-      {gameState === GAME_STATE.START && (
+      {gameState === GAME_STATE.START && !kiosk.enabled && (
         <div className="modal-overlay main-menu-overlay">
           <div className="modal-content main-menu-card">
             <h1 className="menu-title">JUMPING DINO 🦖</h1>
-            <p className="menu-subtitle">ARCADE EDITION</p>
+            <p className="menu-subtitle">{GAME_MODES[gameMode].label.toUpperCase()} MODE</p>
+
+            <div className="mode-picker">
+              {Object.values(GAME_MODES).map((mode) => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  className={`mode-option ${mode.id === gameMode ? "selected" : ""}`}
+                  onClick={() => selectGameMode(mode.id)}
+                  title={mode.description}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <p className="mode-description">{GAME_MODES[gameMode].description}</p>
+
+            <div className="input-group">
+              <label>CONTROLS</label>
+              <div className="input-picker">
+                {Object.values(INPUT_SOURCES).map((source) => (
+                  <button
+                    key={source.id}
+                    type="button"
+                    className={`mode-option ${source.id === inputSource ? "selected" : ""}`}
+                    onClick={() => selectInputSource(source.id)}
+                  >
+                    {source.icon} {source.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {inputNotice && <p className="input-notice">⚠️ {inputNotice}</p>}
+            {inputSource === INPUT_SOURCE.CAMERA && (
+              <>
+                <div className="input-group">
+                  <label>POSE MODEL</label>
+                  <div className="mode-picker">
+                    {POSE_MODELS.map((model) => (
+                      <button
+                        key={model.complexity}
+                        type="button"
+                        className={`mode-option ${model.complexity === poseSettings.modelComplexity ? "selected" : ""}`}
+                        onClick={() => updatePoseSettings({ modelComplexity: model.complexity })}
+                      >
+                        {model.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <p className="mode-description">
+                  {POSE_MODELS[poseSettings.modelComplexity].description}
+                </p>
+                <label className="recalibrate-toggle">
+                  <input
+                    type="checkbox"
+                    checked={poseSettings.debugOverlay}
+                    onChange={(e) => updatePoseSettings({ debugOverlay: e.target.checked })}
+                  />
+                  Show tracking speed under the camera
+                </label>
+              </>
+            )}
+
+            <div className="input-group">
+              <label>PLAYER</label>
+              <div className="profile-picker">
+                {profiles.profiles.map((profile) => (
+                  <div key={profile.id} className="profile-option">
+                    <button
+                      type="button"
+                      className={`mode-option ${profile.id === activeProfile.id ? "selected" : ""}`}
+                      onClick={() => handleSelectProfile(profile.id)}
+                    >
+                      {profile.name}
+                    </button>
+                    {profiles.profiles.length > 1 && (
+                      <button
+                        type="button"
+                        className="profile-delete"
+                        title={`Delete ${profile.name}`}
+                        onClick={() => handleDeleteProfile(profile)}
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+            <form className="profile-create" onSubmit={handleCreateProfile}>
+              <input
+                type="text"
+                placeholder="NEW PLAYER"
+                value={newProfileName}
+                onChange={(e) => setNewProfileName(e.target.value)}
+                maxLength={MAX_PROFILE_NAME_LENGTH}
+              />
+              <button type="submit" className="mode-option" disabled={!newProfileName.trim()}>
+                + ADD
+              </button>
+            </form>
 
-            <form onSubmit={handleNameSubmit}>
-              <div className="input-group">
-                <label>ENTER PLAYER NAME</label>
+            <form onSubmit={handleStart}>
+              {calibratesJump && loadCalibration(activeProfile.id) && (
+                <label className="recalibrate-toggle">
+                  <input
+                    type="checkbox"
+                    checked={recalibrate}
+                    onChange={(e) => setRecalibrate(e.target.checked)}
+                  />
+                  Recalibrate my jump
+                </label>
+              )}
+              <label className="recalibrate-toggle">
                 <input
-                  type="text"
-                  placeholder="PLAYER ONE"
-                  value={inputName}
-                  onChange={(e) => setInputName(e.target.value)}
-                  maxLength={10}
-                  autoFocus
+                  type="checkbox"
+                  checked={recordRuns}
+                  onChange={(e) => toggleRecordRuns(e.target.checked)}
                 />
-              </div>
-              <button className="start-btn pulse" type="submit" disabled={!inputName.trim()}>
-                START
+                Record my runs for replay
+              </label>
+              <label className="recalibrate-toggle">
+                <input
+                  type="checkbox"
+                  checked={fitness.enabled}
+                  onChange={(e) => updateFitness({ enabled: e.target.checked })}
+                />
+                Fitness mode
+              </label>
+              {fitness.enabled && (
+                <div className="fitness-options">
+                  <div className="mode-picker">
+                    {Object.values(WORKOUTS).map((workout) => (
+                      <button
+                        key={workout.id}
+                        type="button"
+                        className={`mode-option ${workout.id === fitness.workout ? "selected" : ""}`}
+                        onClick={() => updateFitness({ workout: workout.id })}
+                        title={workout.description}
+                      >
+                        {workout.label}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="mode-description">{getWorkout(fitness.workout).description}</p>
+                  <label className="fitness-weight">
+                    WEIGHT (KG, FOR CALORIES)
+                    <input
+                      type="number"
+                      min="10"
+                      max="250"
+                      placeholder="–"
+                      value={fitness.weightKg ?? ""}
+                      onChange={(e) => updateFitness({ weightKg: Number(e.target.value) || null })}
+                    />
+                  </label>
+                </div>
+              )}
+              {!trackingReady && (
+                <p className="input-notice tracking-wait">
+                  📷 Waiting for the camera to see you{tracking?.hint ? `: ${tracking.hint}` : "…"}
+                </p>
+              )}
+              {seededMode && (
+                <p className={`input-notice daily-attempts ${dailyAttempts === 0 ? "used-up" : ""}`}>
+                  {dailyAttempts === 0
+                    ? "No attempts left today. Come back tomorrow for a new course!"
+                    : `${dailyAttempts}/${DAILY_ATTEMPTS} attempts left today`}
+                </p>
+              )}
+              <button className="start-btn pulse" type="submit" disabled={!canStart} autoFocus>
+                START AS {playerName}
+              </button>
+              {showGestureHints && canStart && (
+                <div className="gesture-hints">
+                  <GestureHint
+                    icon="🙌"
+                    label="Raise both hands to start"
+                    progress={holdProgress(MENU_GESTURE.BOTH_HANDS)}
+                  />
+                </div>
+              )}
+              <button type="button" className="menu-link" onClick={() => setGestureSettingsOpen(true)}>
+                ♿ Gesture controls…
+              </button>
+              <button type="button" className="menu-link" onClick={() => setOperatorOpen(true)}>
+                🔒 Kiosk mode…
               </button>
             </form>
           </div>
         </div>
       )}
 
+      {/* ── Pose Model Loading ───────────────────────────────── */}
+      {activeInput === INPUT_SOURCE.CAMERA &&
+        poseLoad &&
+        poseLoad.phase !== POSE_LOAD_PHASE.READY && (
+          <LoadingScreen
+            status={poseLoad}
+            onRetry={() => setInputRestarts((n) => n + 1)}
+            onUseKeyboard={() => selectInputSource(INPUT_SOURCE.KEYBOARD)}
+          />
+        )}
+
+      {/* ── Jump Calibration ─────────────────────────────────── */}
+      {gameState === GAME_STATE.CALIBRATING && (
+        <CalibrationScreen
+          playerName={playerName}
+          progress={calibrationProgress}
+          onSkip={handleSkipCalibration}
+        />
+      )}
+
       {/* ── Game Over Summary ────────────────────────────────── */}
       {gameState === GAME_STATE.GAME_OVER && (
         <div className="modal-overlay summary-overlay">
@@ -435,49 +1720,198 @@ const App = () => {
                 <span>JUMPS</span>
                 <span className="summary-val">{jumpCountRef.current}</span>
               </div>
+              <div className="summary-row">
+                <span>MODE</span>
+                <span className="summary-val">{GAME_MODES[gameMode].label}</span>
+              </div>
+              {seededMode && (
+                <div className="summary-row">
+                  <span>ATTEMPTS LEFT</span>
+                  <span className="summary-val">
+                    {dailyAttempts}/{DAILY_ATTEMPTS}
+                  </span>
+                </div>
+              )}
+              <div className="summary-row">
+                <span>CONTROLS</span>
+                <span className="summary-val">{INPUT_SOURCES[activeInput].label}</span>
+              </div>
               <div className="summary-row">
                 <span>PLAYER</span>
                 <span className="summary-val">{playerName}</span>
               </div>
             </div>
 
+            {runSummary && !runSummary.plausible && (
+              <div className="input-notice run-flagged">
+                <strong>Score not submitted</strong>
+                <ul>
+                  {runSummary.flags.map((flag) => (
+                    <li key={flag}>{RUN_FLAG_MESSAGES[flag]}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {roundAchievements.length > 0 && (
+              <div className="round-achievements">
+                <h3>ACHIEVEMENTS UNLOCKED</h3>
+                {roundAchievements.map((a) => (
+                  <div key={a.id} className="achievement-row">
+                    <span className="achievement-icon">{a.icon}</span>
+                    <span>
+                      <strong>{a.title}</strong> · {a.description}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {fitnessReport && (
+              <FitnessReport report={fitnessReport.report} workout={fitnessReport.workout} />
+            )}
+
+            {lastRecording && (
+              <div className="summary-actions">
+                <button type="button" className="menu-btn" onClick={() => setReplay(lastRecording)}>
+                  WATCH REPLAY ▶
+                </button>
+                <button type="button" className="menu-btn" onClick={() => downloadRecording(lastRecording)}>
+                  SAVE REPLAY 💾
+                </button>
+              </div>
+            )}
+
+            {pendingEntry && (
+              <div className="kiosk-name-entry">
+                <h3>🏆 YOU MADE THE TOP {LEADERBOARD_SIZE}! ENTER YOUR NAME</h3>
+                <OnScreenKeyboard
+                  keys={NAME_KEYS}
+                  value={entryName}
+                  maxLength={MAX_PROFILE_NAME_LENGTH}
+                  onChange={typeEntryName}
+                  onSubmit={claimScore}
+                  submitLabel="SAVE"
+                />
+              </div>
+            )}
+
+            {kiosk.enabled && !operatorOpen && (
+              <KioskCountdown
+                ms={kiosk.returnMs}
+                resetKey={kioskActivity}
+                onDone={handleMainMenu}
+              />
+            )}
+
             <div className="summary-actions">
-              <button onClick={handleRetry} className="retry-btn">
+              <button onClick={handleRetry} className="retry-btn" disabled={!canStart}>
                 RETRY ↺
               </button>
               <button onClick={handleMainMenu} className="menu-btn">
                 MAIN MENU 🏠
               </button>
             </div>
+            {showGestureHints && !pendingEntry && (
+              <div className="gesture-hints">
+                {canStart && (
+                  <GestureHint
+                    icon="✋"
+                    label="Left hand up to retry"
+                    progress={holdProgress(MENU_GESTURE.LEFT_HAND)}
+                  />
+                )}
+                <GestureHint
+                  icon="🤚"
+                  label="Right hand up for the menu"
+                  progress={holdProgress(MENU_GESTURE.RIGHT_HAND)}
+                />
+              </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* ── Achievement Toasts ───────────────────────────────── */}
+      <AchievementToasts toasts={toasts} onExpire={expireToast} />
+
+      {/* ── Gesture Controls ─────────────────────────────────── */}
+      {gestureSettingsOpen && (
+        <GestureSettings
+          bindings={gestureBindings}
+          levels={gestureLevels}
+          cameraActive={activeInput === INPUT_SOURCE.CAMERA}
+          onChange={updateGestureBindings}
+          onClose={() => setGestureSettingsOpen(false)}
+        />
+      )}
+
+      {/* ── Replay Viewer ────────────────────────────────────── */}
+      {replay && <ReplayViewer recording={replay} onClose={() => setReplay(null)} />}
+
       {/* ── Left Side: Game + Camera ─────────────────────────── */}
       <div className="game-area">
-        <div className="camera-container">
+        <div
+          className={`camera-container ${cameraSettings.previewPosition} ${cameraSettings.previewSize}`}
+        >
           <video
             ref={videoRef}
             style={{ display: "none" }}
             className="videobox"
+            muted
+            playsInline
           />
-          <canvas
-            ref={canvasRef}
-            width="200"
-            height="200"
-            className="canvasCam"
-          />
+          <div className="camera-view">
+            <div
+              ref={previewRef}
+              className={`camera-preview ${cameraSettings.mirror ? "mirrored" : ""}`}
+            />
+            {activeInput === INPUT_SOURCE.CAMERA && tracking?.hint && (
+              <div className="camera-hint">{tracking.hint}</div>
+            )}
+          </div>
+          {activeInput === INPUT_SOURCE.CAMERA && tracking && (
+            <div
+              className={`tracking-indicator ${tracking.level.toLowerCase()}`}
+              title={tracking.hint || "Tracking looks good"}
+            >
+              <span className="tracking-dot" /> {tracking.level} · {tracking.fps} FPS
+            </div>
+          )}
+          {showPoseDebug && poseStats && <PoseDebugOverlay stats={poseStats} />}
+          {inputNotice && (
+            <div className="input-notice camera-notice">
+              <span>⚠️ {inputNotice}</span>
+              <button type="button" onClick={() => setInputNotice(null)}>✕</button>
+            </div>
+          )}
         </div>
+        {activeInput === INPUT_SOURCE.TOUCH && gameState === GAME_STATE.PLAYING && (
+          <TouchControls
+            onJump={() => registerJump(true)}
+            onDuckStart={startDuck}
+            onDuckEnd={endDuck}
+          />
+        )}
+        {workoutStatus && (
+          <div className="workout-hud">
+            ⏱ {formatTime(workoutStatus.remainingMs / 1000)} · {workoutStatus.jumps}/
+            {workoutStatus.targetJumps} jumps
+          </div>
+        )}
+        {gameState === GAME_STATE.PLAYING && roundHold && (
+          <CountdownOverlay
+            phase={roundHold.phase}
+            count={roundHold.count}
+            hint={tracking?.hint}
+            fullBody={fullBody}
+          />
+        )}
         <div className="game-wrapper">
           <DinoGame
             className="gameCanvas"
-            onGameOver={handleCrash}
-            difficulty={{
-              speed: 3.5,
-              acceleration: 0,
-              gapCoefficient: 28.0,
-              maxObstacleDuplication: 1
-            }}
+            controller={runnerController}
+            difficulty={GAME_MODES[gameMode].difficulty}
           />
         </div>
       </div>
@@ -494,6 +1928,18 @@ const App = () => {
               {theme === "dark" ? "Light Mode" : "Dark Mode"}
             </span>
           </button>
+          <button
+            className="theme-toggle"
+            onClick={() => setGestureSettingsOpen(true)}
+            disabled={gameState === GAME_STATE.PLAYING}
+          >
+            <span className="toggle-icon">♿</span>
+            <span className="toggle-text">Gesture Controls</span>
+          </button>
+          <button className="theme-toggle" onClick={openSpectatorScreen}>
+            <span className="toggle-icon">📺</span>
+            <span className="toggle-text">Spectator Screen</span>
+          </button>
         </div>
 
         {/* Features Stack */}
@@ -553,31 +1999,174 @@ const App = () => {
             </div>
           </div>
 
+          <SoundPanel settings={audio} onChange={updateAudio} />
+
+          {inputSource === INPUT_SOURCE.CAMERA && (
+            <CameraPanel
+              settings={cameraSettings}
+              devices={cameraDevices}
+              onChange={updateCameraSettings}
+            />
+          )}
+
+          {/* Achievements Panel */}
+          <div className="panel achievements-panel">
+            <div className="panel-header">
+              <span className="panel-icon">🏅</span>
+              <h3>Achievements</h3>
+              <span className="panel-tag">
+                {Object.keys(achievements.unlocked).length}/{ACHIEVEMENTS.length}
+              </span>
+            </div>
+            <div className="achievement-grid">
+              {ACHIEVEMENTS.map((a) => {
+                const unlockedAt = achievements.unlocked[a.id];
+                return (
+                  <div
+                    key={a.id}
+                    className={`achievement-badge ${unlockedAt ? "unlocked" : ""}`}
+                    title={`${a.title}: ${a.description}${unlockedAt ? ` (${timeAgo(unlockedAt)})` : ""}`}
+                  >
+                    {a.icon}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* History Panel */}
+          <div className="panel history-panel">
+            <div className="panel-header">
+              <span className="panel-icon">📊</span>
+              <h3>History</h3>
+              <span className="panel-tag">{GAME_MODES[gameMode].label}</span>
+            </div>
+            {modeHistory.length === 0 ? (
+              <div className="leaderboard-empty">
+                <p>No rounds in this mode yet.</p>
+              </div>
+            ) : (
+              <>
+                <HistoryChart title="Score" values={historyScores} theme={theme} />
+                <HistoryChart
+                  title="Jumps / min"
+                  values={historyJumpRates}
+                  colorVar="--success-color"
+                  theme={theme}
+                />
+              </>
+            )}
+            {historyError && <p className="input-notice">⚠️ {historyError}</p>}
+            <div className="history-actions">
+              <button
+                className="reset-btn"
+                onClick={() => downloadHistory(history, playerName, "csv")}
+                disabled={history.length === 0}
+              >
+                CSV
+              </button>
+              <button
+                className="reset-btn"
+                onClick={() => downloadHistory(history, playerName, "json")}
+                disabled={history.length === 0}
+              >
+                JSON
+              </button>
+              <label className="reset-btn">
+                Import
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={importHistory}
+                  hidden
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Replays Panel */}
+          <div className="panel replays-panel">
+            <div className="panel-header">
+              <span className="panel-icon">🎬</span>
+              <h3>Replays</h3>
+            </div>
+            {replayError && <p className="input-notice">⚠️ {replayError}</p>}
+            <label className="reset-btn replay-open">
+              Open replay file
+              <input type="file" accept=".json,application/json" onChange={openReplayFile} hidden />
+            </label>
+          </div>
+
+          {/* Daily Challenge Archive */}
+          {seededMode && (
+            <div className="panel daily-panel">
+              <div className="panel-header">
+                <span className="panel-icon">📆</span>
+                <h3>Daily Winners</h3>
+              </div>
+              <div className="leaderboard-list compact">
+                {dailyWinners.map(({ date, winner }) => (
+                  <div key={date} className="lb-row">
+                    <span className="lb-time">{date.slice(5)}</span>
+                    <span className="lb-name">{winner ? winner.name : "–"}</span>
+                    <span className="lb-score">{winner ? winner.score : ""}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Leaderboard Panel */}
           <div className="panel leaderboard-panel">
             <div className="panel-header">
               <span className="panel-icon">🏆</span>
               <h3>Top Scores</h3>
+              <span className="panel-tag">
+                {seededMode ? `${GAME_MODES[gameMode].label} ${dailyDay.slice(5)}` : GAME_MODES[gameMode].label}
+              </span>
+            </div>
+            {leaderboardError && (
+              <p className="input-notice">⚠️ {leaderboardError}</p>
+            )}
+            <div className="lb-tabs">
+              {LEADERBOARD_WINDOWS.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  className={`lb-tab ${option.id === leaderboardWindow ? "selected" : ""}`}
+                  onClick={() => setLeaderboardWindow(option.id)}
+                >
+                  {option.label}
+                </button>
+              ))}
             </div>
-            {leaderboard.length === 0 ? (
+            <input
+              type="search"
+              className="lb-search"
+              placeholder="Find a player"
+              maxLength={10}
+              value={leaderboardSearch}
+              onChange={(e) => setLeaderboardSearch(e.target.value)}
+            />
+            {standings.rows.length === 0 ? (
               <div className="leaderboard-empty">
-                <p>No scores yet.</p>
+                <p>{leaderboardSearch ? "Nobody by that name." : "No scores yet."}</p>
               </div>
             ) : (
               <div className="leaderboard-list compact">
-                {leaderboard.map((entry, i) => (
+                {standings.rows.map((entry) => (
                   <div
-                    key={i}
-                    className={`lb-row ${i === newHighlight ? "lb-new" : ""} ${i === 0
+                    key={entry.id}
+                    className={`lb-row ${entry.id === newHighlight ? "lb-new" : ""} ${entry.rank === 1
                       ? "lb-gold"
-                      : i === 1
+                      : entry.rank === 2
                         ? "lb-silver"
-                        : i === 2
+                        : entry.rank === 3
                           ? "lb-bronze"
                           : ""
                       }`}
                   >
-                    <span className="lb-rank">{i + 1}</span>
+                    <span className="lb-rank">{entry.rank}</span>
                     <span className="lb-name">{entry.name}</span>
                     <span className="lb-score">{entry.score}</span>
                     <span className="lb-time">{timeAgo(entry.timestamp)}</span>
@@ -585,7 +2174,15 @@ const App = () => {
                 ))}
               </div>
             )}
-            {leaderboard.length > 0 && (
+            {standings.mine && (
+              <div className="lb-row lb-mine" title="Your best">
+                <span className="lb-rank">{standings.mine.rank}</span>
+                <span className="lb-name">You</span>
+                <span className="lb-score">{standings.mine.score}</span>
+                <span className="lb-time">of {standings.total}</span>
+              </div>
+            )}
+            {leaderboardService.canClear && leaderboard.length > 0 && (
               <button className="reset-btn" onClick={resetLeaderboard}>
                 Clear
               </button>
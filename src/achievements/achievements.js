@@ -0,0 +1,173 @@
+import { STORAGE_KEYS } from "../storage";
+import { loadProfileValue, saveProfileValue } from "../profiles/profiles";
+import { GAME_MODES } from "../game/modes";
+
+// Lifetime progress kept next to the unlocked list, separate from the
+// session stats so resetting those doesn't take achievements back.
+export const EMPTY_ACHIEVEMENTS = {
+  unlocked: {},
+  lifetimeJumps: 0,
+  roundsPlayed: 0,
+  modesPlayed: [],
+  playDays: [],
+};
+
+// ── Catalogue ─────────────────────────────────────────────────────
+// `test` receives `{ run, progress }`:
+//   run:      { score, jumps, ducks, elapsedMs, firstCrashMs, mode,
+//               workoutTargetMet, finished }
+//   progress: lifetime totals including the current run
+export const ACHIEVEMENTS = [
+  {
+    id: "score-100",
+    icon: "🥚",
+    title: "Hatched",
+    description: "Score 100 points in one run",
+    test: ({ run }) => run.score >= 100,
+  },
+  {
+    id: "score-500",
+    icon: "🦖",
+    title: "Dino Runner",
+    description: "Score 500 points in one run",
+    test: ({ run }) => run.score >= 500,
+  },
+  {
+    id: "score-1000",
+    icon: "☄️",
+    title: "Extinction Dodger",
+    description: "Score 1000 points in one run",
+    test: ({ run }) => run.score >= 1000,
+  },
+  {
+    id: "clean-start",
+    icon: "🧼",
+    title: "Clean Start",
+    description: "Don't hit a cactus in the first 30 seconds",
+    test: ({ run }) =>
+      run.elapsedMs >= 30000 && (run.firstCrashMs === null || run.firstCrashMs >= 30000),
+  },
+  {
+    id: "jumps-round-50",
+    icon: "🐸",
+    title: "Jumping Jack",
+    description: "Jump 50 times in one round",
+    test: ({ run }) => run.jumps >= 50,
+  },
+  {
+    id: "ducks-round-10",
+    icon: "🦆",
+    title: "Duck Duck Dino",
+    description: "Duck 10 times in one round",
+    test: ({ run }) => run.ducks >= 10,
+  },
+  {
+    id: "jumps-lifetime-100",
+    icon: "👟",
+    title: "Bouncy",
+    description: "Jump 100 times in total",
+    test: ({ progress }) => progress.lifetimeJumps >= 100,
+  },
+  {
+    id: "jumps-lifetime-1000",
+    icon: "🚀",
+    title: "Pogo Stick",
+    description: "Jump 1000 times in total",
+    test: ({ progress }) => progress.lifetimeJumps >= 1000,
+  },
+  {
+    id: "rounds-10",
+    icon: "🔁",
+    title: "Regular",
+    description: "Finish 10 rounds",
+    test: ({ progress }) => progress.roundsPlayed >= 10,
+  },
+  {
+    id: "all-modes",
+    icon: "🗺️",
+    title: "Explorer",
+    description: "Play every game mode",
+    // The daily challenge has its own attempt limit, so it isn't required
+    test: ({ progress }) =>
+      Object.values(GAME_MODES)
+        .filter((mode) => !mode.seeded)
+        .every((mode) => progress.modesPlayed.includes(mode.id)),
+  },
+  {
+    id: "play-streak-5",
+    icon: "📅",
+    title: "Habit Forming",
+    description: "Play on 5 days in a row",
+    test: ({ progress }) => playDayStreak(progress.playDays) >= 5,
+  },
+  {
+    id: "workout-target",
+    icon: "🎯",
+    title: "On Target",
+    description: "Reach the target of a timed workout",
+    test: ({ run }) => !!run.workoutTargetMet,
+  },
+];
+
+// ── Progress ──────────────────────────────────────────────────────
+// Local calendar day as YYYY-MM-DD
+export function dayKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Consecutive days ending with the most recent day played
+export function playDayStreak(playDays) {
+  if (!playDays.length) return 0;
+  const days = new Set(playDays);
+  const [y, m, d] = [...playDays].sort().pop().split("-").map(Number);
+  let streak = 0;
+  while (days.has(dayKey(new Date(y, m - 1, d - streak).getTime()))) streak++;
+  return streak;
+}
+
+function addUnique(list, value) {
+  return list.includes(value) ? list : [...list, value];
+}
+
+// Lifetime totals as they will be once `run` is counted
+export function projectProgress(state, run, now) {
+  return {
+    lifetimeJumps: state.lifetimeJumps + run.jumps,
+    roundsPlayed: state.roundsPlayed + (run.finished ? 1 : 0),
+    modesPlayed: addUnique(state.modesPlayed, run.mode),
+    playDays: addUnique(state.playDays, dayKey(now)),
+  };
+}
+
+// Achievements `run` unlocks that weren't unlocked before.
+export function evaluateAchievements(state, run, now) {
+  const context = { run, progress: projectProgress(state, run, now) };
+  return ACHIEVEMENTS.filter((a) => !state.unlocked[a.id] && a.test(context));
+}
+
+export function unlockAchievements(state, achievements, now) {
+  if (!achievements.length) return state;
+  const unlocked = { ...state.unlocked };
+  achievements.forEach((a) => {
+    unlocked[a.id] = now;
+  });
+  return { ...state, unlocked };
+}
+
+// Folds a finished round into the lifetime totals
+export function recordRound(state, run, now) {
+  return { ...state, ...projectProgress(state, { ...run, finished: true }, now) };
+}
+
+export function loadAchievements(profileId) {
+  return {
+    ...EMPTY_ACHIEVEMENTS,
+    ...loadProfileValue(profileId, STORAGE_KEYS.ACHIEVEMENTS, EMPTY_ACHIEVEMENTS),
+  };
+}
+
+export function saveAchievements(profileId, state) {
+  saveProfileValue(profileId, STORAGE_KEYS.ACHIEVEMENTS, state);
+}
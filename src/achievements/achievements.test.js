@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import {
+  EMPTY_ACHIEVEMENTS,
+  dayKey,
+  evaluateAchievements,
+  playDayStreak,
+  recordRound,
+  unlockAchievements,
+} from "./achievements";
+
+const NOW = new Date(2024, 4, 10, 12).getTime();
+
+function run(overrides = {}) {
+  return {
+    score: 0,
+    jumps: 0,
+    ducks: 0,
+    elapsedMs: 0,
+    firstCrashMs: null,
+    mode: "arcade",
+    workoutTargetMet: false,
+    finished: false,
+    ...overrides,
+  };
+}
+
+const ids = (list) => list.map((a) => a.id);
+
+describe("evaluateAchievements", () => {
+  it("unlocks score milestones once", () => {
+    const first = evaluateAchievements(EMPTY_ACHIEVEMENTS, run({ score: 120 }), NOW);
+    expect(ids(first)).toEqual(["score-100"]);
+
+    const state = unlockAchievements(EMPTY_ACHIEVEMENTS, first, NOW);
+    expect(state.unlocked["score-100"]).toBe(NOW);
+    expect(evaluateAchievements(state, run({ score: 150 }), NOW)).toEqual([]);
+  });
+
+  it("counts the current run towards lifetime jumps", () => {
+    const state = { ...EMPTY_ACHIEVEMENTS, lifetimeJumps: 95 };
+    expect(ids(evaluateAchievements(state, run({ jumps: 5 }), NOW))).toEqual(["jumps-lifetime-100"]);
+  });
+
+  it("needs 30 crash-free seconds for a clean start", () => {
+    const crashedEarly = run({ elapsedMs: 60000, firstCrashMs: 12000 });
+    expect(ids(evaluateAchievements(EMPTY_ACHIEVEMENTS, crashedEarly, NOW))).toEqual([]);
+    const clean = run({ elapsedMs: 30000 });
+    expect(ids(evaluateAchievements(EMPTY_ACHIEVEMENTS, clean, NOW))).toEqual(["clean-start"]);
+  });
+
+  it("tracks modes across rounds", () => {
+    let state = EMPTY_ACHIEVEMENTS;
+    ["kids", "arcade", "classic"].forEach((mode) => {
+      state = recordRound(state, run({ mode }), NOW);
+    });
+    expect(state.roundsPlayed).toBe(3);
+    expect(ids(evaluateAchievements(state, run({ mode: "endurance" }), NOW))).toContain("all-modes");
+  });
+});
+
+describe("playDayStreak", () => {
+  const day = (offset) => dayKey(new Date(2024, 4, 10 + offset).getTime());
+
+  it("counts consecutive days up to the latest one", () => {
+    expect(playDayStreak([day(-4), day(-3), day(-2), day(-1), day(0)])).toBe(5);
+    expect(playDayStreak([day(-5), day(-3), day(-1), day(0)])).toBe(2);
+    expect(playDayStreak([])).toBe(0);
+  });
+
+  it("crosses month boundaries", () => {
+    const days = [-2, -1, 0].map((d) => dayKey(new Date(2024, 2, 1 + d).getTime()));
+    expect(playDayStreak(days)).toBe(3);
+  });
+});
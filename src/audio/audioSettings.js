@@ -0,0 +1,23 @@
+import { STORAGE_KEYS } from "../storage";
+import { loadProfileValue, saveProfileValue } from "../profiles/profiles";
+
+// Per player. Volumes are 0..1; `muted` silences everything without
+// losing the levels.
+export const DEFAULT_AUDIO_SETTINGS = {
+  master: 0.8,
+  sfx: 1,
+  music: 0.4,
+  musicEnabled: true,
+  muted: false,
+};
+
+export function loadAudioSettings(profileId) {
+  return {
+    ...DEFAULT_AUDIO_SETTINGS,
+    ...loadProfileValue(profileId, STORAGE_KEYS.AUDIO, DEFAULT_AUDIO_SETTINGS),
+  };
+}
+
+export function saveAudioSettings(profileId, settings) {
+  saveProfileValue(profileId, STORAGE_KEYS.AUDIO, settings);
+}
@@ -0,0 +1,56 @@
+// Everything the game can play. Cues either load a file from public/sounds
+// or are synthesised from `tones`, so new cues don't need recorded audio:
+//   { frequency, to?, at?, duration, type?, gain? }
+// `to` glides the pitch, `at` delays the tone (seconds after the cue starts).
+export const SOUND_CUE = {
+  JUMP: "jump",
+  DUCK: "duck",
+  CRASH: "crash",
+  COUNTDOWN: "countdown",
+  MILESTONE: "milestone",
+  HIGH_SCORE: "high-score",
+  CLICK: "click",
+};
+
+const SOUNDS_URL = `${import.meta.env.BASE_URL}sounds/`;
+
+export const SOUND_MANIFEST = {
+  [SOUND_CUE.JUMP]: { url: `${SOUNDS_URL}jump.m4a` },
+  [SOUND_CUE.CRASH]: { url: `${SOUNDS_URL}gameover.m4a` },
+  [SOUND_CUE.DUCK]: {
+    tones: [{ frequency: 240, to: 120, duration: 0.12, type: "triangle" }],
+  },
+  [SOUND_CUE.COUNTDOWN]: {
+    tones: [{ frequency: 660, duration: 0.15, type: "square", gain: 0.25 }],
+  },
+  [SOUND_CUE.MILESTONE]: {
+    tones: [
+      { frequency: 880, duration: 0.08, type: "square", gain: 0.25 },
+      { frequency: 1320, at: 0.09, duration: 0.14, type: "square", gain: 0.25 },
+    ],
+  },
+  // Starts after the crash sound has had a moment
+  [SOUND_CUE.HIGH_SCORE]: {
+    tones: [523, 659, 784, 1047].map((frequency, i) => ({
+      frequency,
+      at: 0.5 + i * 0.12,
+      duration: i === 3 ? 0.4 : 0.12,
+      type: "triangle",
+    })),
+  },
+  [SOUND_CUE.CLICK]: {
+    tones: [{ frequency: 1400, duration: 0.03, type: "square", gain: 0.15 }],
+  },
+};
+
+// Background loop: 16 sixteenth-note steps of MIDI notes (null rests),
+// played faster as the Runner speeds up
+export const MUSIC = {
+  bpm: 112,
+  bass: [45, null, 45, null, 52, null, 45, null, 43, null, 43, null, 50, null, 47, null],
+  lead: [69, 72, 76, null, 74, 72, null, 69, 67, null, 71, 74, null, 72, 71, null],
+};
+
+export function midiToFrequency(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
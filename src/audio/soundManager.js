@@ -0,0 +1,162 @@
+import { DEFAULT_AUDIO_SETTINGS } from "./audioSettings";
+import { midiToFrequency, MUSIC, SOUND_MANIFEST } from "./soundCues";
+
+// Music is scheduled this far ahead, topped up every SCHEDULE_MS
+const LOOKAHEAD_S = 0.1;
+const SCHEDULE_MS = 25;
+const MUSIC_START_DELAY_S = 0.05;
+const MIN_MUSIC_RATE = 0.5;
+const MAX_MUSIC_RATE = 2;
+// Envelopes ramp to this rather than 0, which exponential ramps can't reach
+const SILENT = 0.0001;
+const MUSIC_NOTE_GAIN = { bass: 0.35, lead: 0.18 };
+
+async function fetchSound(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} responded ${response.status}`);
+  return response.arrayBuffer();
+}
+
+// One AudioContext for the whole app: master volume, with the sound effects
+// and the music on their own buses beneath it. `close()` releases it.
+export function createSoundManager({
+  manifest = SOUND_MANIFEST,
+  music = MUSIC,
+  createContext = () => new (window.AudioContext || window.webkitAudioContext)(),
+  fetchData = fetchSound,
+} = {}) {
+  const context = createContext();
+  const master = context.createGain();
+  const sfxBus = context.createGain();
+  const musicBus = context.createGain();
+  sfxBus.connect(master);
+  musicBus.connect(master);
+  master.connect(context.destination);
+
+  const buffers = new Map();
+  let settings = DEFAULT_AUDIO_SETTINGS;
+  let closed = false;
+  let musicTimer = null;
+  let musicStep = 0;
+  let nextStepAt = 0;
+  let musicRate = 1;
+
+  function tone({ frequency, to, at = 0, duration, type = "sine", gain = 0.4 }, bus, startAt) {
+    const start = startAt + at;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (to) oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+    envelope.gain.setValueAtTime(gain, start);
+    envelope.gain.exponentialRampToValueAtTime(SILENT, start + duration);
+    oscillator.connect(envelope);
+    envelope.connect(bus);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+
+  // Browsers start the context suspended until the page is interacted with
+  function wake() {
+    if (context.state === "suspended") context.resume().catch(() => {});
+  }
+
+  function applySettings(next) {
+    settings = { ...DEFAULT_AUDIO_SETTINGS, ...next };
+    master.gain.value = settings.muted ? 0 : settings.master;
+    sfxBus.gain.value = settings.sfx;
+    musicBus.gain.value = settings.musicEnabled ? settings.music : 0;
+  }
+  applySettings(settings);
+
+  function stopMusic() {
+    clearInterval(musicTimer);
+    musicTimer = null;
+    musicRate = 1;
+  }
+
+  function scheduleMusic() {
+    const stepSeconds = 60 / music.bpm / 4 / musicRate;
+    while (nextStepAt < context.currentTime + LOOKAHEAD_S) {
+      ["bass", "lead"].forEach((part) => {
+        const note = music[part][musicStep];
+        if (note === null) return;
+        tone(
+          {
+            frequency: midiToFrequency(note),
+            duration: stepSeconds * 0.9,
+            type: part === "bass" ? "triangle" : "square",
+            gain: MUSIC_NOTE_GAIN[part],
+          },
+          musicBus,
+          nextStepAt
+        );
+      });
+      musicStep = (musicStep + 1) % music.lead.length;
+      nextStepAt += stepSeconds;
+    }
+  }
+
+  return {
+    // Fetches and decodes the file-based cues; a cue that fails to load
+    // stays silent rather than failing the rest
+    async load() {
+      await Promise.all(
+        Object.entries(manifest)
+          .filter(([, cue]) => cue.url)
+          .map(async ([name, cue]) => {
+            try {
+              const data = await fetchData(cue.url);
+              if (!closed) buffers.set(name, await context.decodeAudioData(data));
+            } catch (error) {
+              console.error("Error loading sound:", cue.url, error);
+            }
+          })
+      );
+    },
+
+    play(name) {
+      const cue = manifest[name];
+      if (closed || !cue) return;
+      wake();
+      if (cue.tones) {
+        cue.tones.forEach((t) => tone(t, sfxBus, context.currentTime));
+        return;
+      }
+      const buffer = buffers.get(name);
+      if (!buffer) return;
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(sfxBus);
+      source.start(0);
+    },
+
+    setSettings: applySettings,
+
+    startMusic() {
+      if (closed || musicTimer !== null) return;
+      wake();
+      musicStep = 0;
+      nextStepAt = context.currentTime + MUSIC_START_DELAY_S;
+      scheduleMusic();
+      musicTimer = setInterval(scheduleMusic, SCHEDULE_MS);
+    },
+
+    stopMusic,
+
+    // 1 is the loop's own tempo; follows the Runner's speed
+    setMusicRate(rate) {
+      musicRate = Math.min(Math.max(rate, MIN_MUSIC_RATE), MAX_MUSIC_RATE);
+    },
+
+    wake,
+
+    close() {
+      if (closed) return Promise.resolve();
+      closed = true;
+      stopMusic();
+      buffers.clear();
+      return context.close();
+    },
+  };
+}
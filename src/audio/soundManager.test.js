@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createSoundManager } from "./soundManager";
+import { DEFAULT_AUDIO_SETTINGS } from "./audioSettings";
+
+const param = () => ({
+  value: 1,
+  setValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+});
+
+// Records what would reach the speakers
+function fakeContext() {
+  const context = {
+    state: "suspended",
+    currentTime: 0,
+    destination: { name: "speakers" },
+    oscillators: [],
+    sources: [],
+    createGain: () => ({ gain: param(), connect: vi.fn() }),
+    createOscillator() {
+      const oscillator = { frequency: param(), connect: vi.fn(), start: vi.fn(), stop: vi.fn() };
+      context.oscillators.push(oscillator);
+      return oscillator;
+    },
+    createBufferSource() {
+      const source = { connect: vi.fn(), start: vi.fn() };
+      context.sources.push(source);
+      return source;
+    },
+    decodeAudioData: vi.fn(async (data) => ({ decoded: data })),
+    resume: vi.fn(async () => {
+      context.state = "running";
+    }),
+    close: vi.fn(async () => {
+      context.state = "closed";
+    }),
+  };
+  return context;
+}
+
+const manifest = {
+  jump: { url: "/sounds/jump.m4a" },
+  broken: { url: "/sounds/missing.m4a" },
+  click: { tones: [{ frequency: 1000, duration: 0.05 }] },
+};
+const music = { bpm: 120, bass: [40, null], lead: [60, 62] };
+
+let context;
+let sound;
+beforeEach(() => {
+  vi.useFakeTimers();
+  context = fakeContext();
+  sound = createSoundManager({
+    manifest,
+    music,
+    createContext: () => context,
+    fetchData: async (url) => {
+      if (url.includes("missing")) throw new Error("404");
+      return url;
+    },
+  });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("createSoundManager", () => {
+  it("plays loaded files and synthesised cues, waking the context", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    await sound.load();
+
+    sound.play("jump");
+    sound.play("click");
+    sound.play("broken");
+    expect(context.sources).toHaveLength(1);
+    expect(context.sources[0].buffer).toEqual({ decoded: "/sounds/jump.m4a" });
+    expect(context.oscillators).toHaveLength(1);
+    expect(context.resume).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+
+  it("schedules the music loop and speeds it up", () => {
+    sound.startMusic();
+    // Steps are 0.125 s at 120 bpm; the first lookahead covers one step
+    const stepTimes = () => [...new Set(context.oscillators.map((o) => o.start.mock.calls[0][0]))];
+    expect(context.oscillators).toHaveLength(2);
+
+    sound.setMusicRate(2);
+    context.currentTime = 0.2;
+    vi.advanceTimersByTime(25);
+    const times = stepTimes();
+    expect(times.at(-1) - times.at(-2)).toBeCloseTo(0.0625);
+
+    sound.stopMusic();
+    const scheduled = context.oscillators.length;
+    context.currentTime = 5;
+    vi.advanceTimersByTime(1000);
+    expect(context.oscillators).toHaveLength(scheduled);
+  });
+
+  it("goes silent and stops for good once closed", async () => {
+    sound.startMusic();
+    await sound.close();
+    expect(context.close).toHaveBeenCalledTimes(1);
+
+    const scheduled = context.oscillators.length;
+    context.currentTime = 5;
+    vi.advanceTimersByTime(1000);
+    sound.play("click");
+    sound.startMusic();
+    expect(context.oscillators).toHaveLength(scheduled);
+    await sound.close();
+    expect(context.close).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("setSettings", () => {
+  it("mutes without forgetting the volume", () => {
+    const gains = [];
+    context.createGain = () => {
+      const node = { gain: param(), connect: vi.fn() };
+      gains.push(node);
+      return node;
+    };
+    sound = createSoundManager({ manifest, music, createContext: () => context });
+    const [master, sfx, musicBus] = gains;
+    expect(master.gain.value).toBe(DEFAULT_AUDIO_SETTINGS.master);
+
+    sound.setSettings({ ...DEFAULT_AUDIO_SETTINGS, muted: true, sfx: 0.3 });
+    expect(master.gain.value).toBe(0);
+    expect(sfx.gain.value).toBe(0.3);
+
+    sound.setSettings({ ...DEFAULT_AUDIO_SETTINGS, musicEnabled: false });
+    expect(master.gain.value).toBe(DEFAULT_AUDIO_SETTINGS.master);
+    expect(musicBus.gain.value).toBe(0);
+  });
+});
@@ -0,0 +1,37 @@
+import React, { useEffect } from "react";
+
+const TOAST_MS = 4000;
+
+const Toast = ({ toastKey, achievement, onExpire }) => {
+  useEffect(() => {
+    const id = setTimeout(() => onExpire(toastKey), TOAST_MS);
+    return () => clearTimeout(id);
+  }, [toastKey, onExpire]);
+
+  return (
+    <div className="achievement-toast">
+      <span className="achievement-icon">{achievement.icon}</span>
+      <div>
+        <strong>{achievement.title}</strong>
+        <p>{achievement.description}</p>
+      </div>
+    </div>
+  );
+};
+
+// Stack of "achievement unlocked" toasts shown during play. `onExpire`
+// should be stable, or every render restarts the timers.
+const AchievementToasts = ({ toasts, onExpire }) => (
+  <div className="achievement-toasts" aria-live="polite">
+    {toasts.map((toast) => (
+      <Toast
+        key={toast.key}
+        toastKey={toast.key}
+        achievement={toast.achievement}
+        onExpire={onExpire}
+      />
+    ))}
+  </div>
+);
+
+export default AchievementToasts;
@@ -0,0 +1,95 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const SLIDES = ["title", "leaderboard", "how-to"];
+const LEADERBOARD_ROWS = 5;
+// Taps on the title within this window open the operator panel
+const SECRET_TAPS = 5;
+const SECRET_WINDOW_MS = 3000;
+
+// Kiosk idle screen over the autopiloted game. Cycles through a few slides
+// until someone steps into the frame (or taps PLAY without a camera).
+const AttractScreen = ({
+  slideMs,
+  leaderboard,
+  modeLabel,
+  usesCamera,
+  arriving,
+  arriveMs,
+  hint,
+  onPlay,
+  onOperator,
+}) => {
+  const [slide, setSlide] = useState(0);
+  const tapsRef = useRef([]);
+
+  useEffect(() => {
+    const id = setInterval(() => setSlide((s) => (s + 1) % SLIDES.length), slideMs);
+    return () => clearInterval(id);
+  }, [slideMs]);
+
+  const secretTap = () => {
+    const now = Date.now();
+    tapsRef.current = [...tapsRef.current.filter((t) => now - t < SECRET_WINDOW_MS), now];
+    if (tapsRef.current.length >= SECRET_TAPS) {
+      tapsRef.current = [];
+      onOperator();
+    }
+  };
+
+  return (
+    <div className="attract-overlay">
+      <div className="attract-card">
+        <h1 className="attract-title" onClick={secretTap}>
+          JUMPING DINO 🦖
+        </h1>
+
+        {SLIDES[slide] === "title" && (
+          <p className="attract-tagline">Jump for real to make the dino jump!</p>
+        )}
+
+        {SLIDES[slide] === "leaderboard" && (
+          <div className="attract-leaderboard">
+            <h2>TOP SCORES · {modeLabel}</h2>
+            {leaderboard.length === 0 ? (
+              <p>No scores yet. Be the first!</p>
+            ) : (
+              <ol>
+                {leaderboard.slice(0, LEADERBOARD_ROWS).map((entry) => (
+                  <li key={entry.id}>
+                    <span>{entry.name}</span>
+                    <strong>{entry.score}</strong>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        {SLIDES[slide] === "how-to" && (
+          <ul className="attract-howto">
+            <li>⬆ Jump to hop over cacti</li>
+            <li>⬇ Squat to duck</li>
+            <li>🏆 Make the top scores and enter your name</li>
+          </ul>
+        )}
+
+        {usesCamera ? (
+          <div className="attract-cta">
+            <p>{hint || "👋 Step in front of the camera to play"}</p>
+            {arriving && (
+              <div className="attract-arrival">
+                <span style={{ animationDuration: `${arriveMs}ms` }} />
+              </div>
+            )}
+          </div>
+        ) : (
+          <button type="button" className="start-btn pulse attract-play" onClick={onPlay}>
+            TAP TO PLAY
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttractScreen;
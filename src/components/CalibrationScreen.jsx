@@ -0,0 +1,41 @@
+import React from "react";
+import { CALIBRATION_PHASE } from "../pose/calibration";
+
+const CalibrationScreen = ({ playerName, progress, onSkip }) => {
+  const phase = progress?.phase ?? CALIBRATION_PHASE.STANDING;
+  const percent = Math.round((progress?.progress ?? 0) * 100);
+
+  return (
+    <div className="modal-overlay calibration-overlay">
+      <div className="modal-content calibration-card">
+        <h2>CALIBRATION</h2>
+        <p className="menu-subtitle">HI {playerName}!</p>
+
+        {phase === CALIBRATION_PHASE.STANDING && (
+          <p className="calibration-step">
+            Stand still, facing the camera, with your shoulders and hips in view.
+          </p>
+        )}
+        {phase === CALIBRATION_PHASE.JUMPING && (
+          <p className="calibration-step">
+            Now do {progress.jumpsRequired} practice jumps ({progress.jumps}/
+            {progress.jumpsRequired})
+          </p>
+        )}
+
+        <div className="calibration-progress">
+          <div
+            className="calibration-progress-fill"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+
+        <button type="button" className="menu-btn" onClick={onSkip}>
+          SKIP (USE DEFAULTS)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationScreen;
@@ -0,0 +1,97 @@
+import React from "react";
+import {
+  CAMERA_RESOLUTIONS,
+  PREVIEW_POSITIONS,
+  PREVIEW_SIZES,
+} from "../input/cameraSettings";
+
+// Sidebar webcam settings; `onChange` receives a partial settings patch.
+// A saved camera that isn't plugged in shows as the default, which is what
+// input/cameraInput.js falls back to.
+const CameraPanel = ({ settings, devices, onChange }) => {
+  const deviceId = devices.some((device) => device.id === settings.deviceId)
+    ? settings.deviceId
+    : "";
+
+  return (
+    <div className="panel camera-panel">
+      <div className="panel-header">
+        <span className="panel-icon">🎥</span>
+        <h3>Camera</h3>
+      </div>
+      <div className="camera-settings">
+        <label className="camera-setting">
+          <span>Device</span>
+          <select
+            value={deviceId}
+            onChange={(e) => onChange({ deviceId: e.target.value || null })}
+          >
+            <option value="">Default camera</option>
+            {devices.map((device) => (
+              <option key={device.id} value={device.id}>
+                {device.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="camera-setting">
+          <span>Resolution</span>
+          <select
+            value={settings.resolution}
+            onChange={(e) => onChange({ resolution: e.target.value })}
+          >
+            {CAMERA_RESOLUTIONS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="camera-setting">
+          <span>Preview</span>
+          <select
+            value={settings.previewSize}
+            onChange={(e) => onChange({ previewSize: e.target.value })}
+          >
+            {PREVIEW_SIZES.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="camera-setting">
+          <span>Position</span>
+          <select
+            value={settings.previewPosition}
+            onChange={(e) => onChange({ previewPosition: e.target.value })}
+          >
+            {PREVIEW_POSITIONS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="recalibrate-toggle">
+          <input
+            type="checkbox"
+            checked={settings.mirror}
+            onChange={(e) => onChange({ mirror: e.target.checked })}
+          />
+          Mirror the preview
+        </label>
+        <label className="recalibrate-toggle">
+          <input
+            type="checkbox"
+            checked={settings.skeleton}
+            onChange={(e) => onChange({ skeleton: e.target.checked })}
+          />
+          Draw the tracked skeleton
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default CameraPanel;
@@ -0,0 +1,34 @@
+import React from "react";
+import { ROUND_PHASE } from "../game/roundFlow";
+
+const HEADINGS = {
+  [ROUND_PHASE.WAITING]: "GET READY",
+  [ROUND_PHASE.PAUSED]: "PAUSED",
+};
+
+// Covers the game while a camera round is held: waiting for the player,
+// counting down, or paused because they left the frame. `fullBody` is false
+// when no body gesture is bound, so only the upper body has to be in view.
+const CountdownOverlay = ({ phase, count, hint, fullBody = true }) => (
+  <div className={`countdown-overlay ${phase}`} role="status" aria-live="assertive">
+    {phase === ROUND_PHASE.COUNTDOWN ? (
+      <span key={count} className="countdown-number">
+        {count}
+      </span>
+    ) : (
+      <>
+        <h2>{HEADINGS[phase]}</h2>
+        <p>
+          {phase === ROUND_PHASE.PAUSED
+            ? "Step back into frame to carry on"
+            : fullBody
+              ? "Stand where the camera can see your whole body"
+              : "Sit or stand where the camera can see your head and shoulders"}
+        </p>
+        {hint && <p className="countdown-hint">{hint}</p>}
+      </>
+    )}
+  </div>
+);
+
+export default CountdownOverlay;
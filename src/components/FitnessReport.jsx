@@ -0,0 +1,60 @@
+import React from "react";
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function formatHeight(height) {
+  return height === null ? "–" : `${Math.round(height * 100)}% torso`;
+}
+
+// End-of-round / end-of-workout fitness summary.
+const FitnessReport = ({ report, workout }) => {
+  const targetMet = workout?.targetJumps && report.jumps >= workout.targetJumps;
+
+  return (
+    <div className="fitness-report">
+      <h3>{workout?.targetJumps ? `WORKOUT · ${workout.label}` : "FITNESS"}</h3>
+      {workout?.targetJumps && (
+        <p className={`fitness-target ${targetMet ? "met" : ""}`}>
+          {targetMet ? "🎯 Target reached!" : "Target missed"} — {report.jumps}/
+          {workout.targetJumps} jumps
+        </p>
+      )}
+      <div className="summary-stats fitness-stats">
+        <div className="summary-row">
+          <span>DURATION</span>
+          <span className="summary-val">{formatDuration(report.durationMs)}</span>
+        </div>
+        <div className="summary-row">
+          <span>CADENCE</span>
+          <span className="summary-val">
+            {Math.round(report.cadence)}/min (peak {Math.round(report.peakCadence)})
+          </span>
+        </div>
+        <div className="summary-row">
+          <span>JUMP HEIGHT</span>
+          <span className="summary-val">
+            {formatHeight(report.avgJumpHeight)}
+            {report.maxJumpHeight !== null && ` (max ${Math.round(report.maxJumpHeight * 100)}%)`}
+          </span>
+        </div>
+        <div className="summary-row">
+          <span>ACTIVE / IDLE</span>
+          <span className="summary-val">
+            {formatDuration(report.activeMs)} / {formatDuration(report.idleMs)}
+          </span>
+        </div>
+        <div className="summary-row">
+          <span>CALORIES</span>
+          <span className="summary-val">
+            {report.calories === null ? "enter weight" : `~${Math.round(report.calories)} kcal`}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FitnessReport;
@@ -0,0 +1,28 @@
+import React from "react";
+
+const RADIUS = 22;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// One hands-free menu action: the pose to strike and a ring that fills
+// while the player holds it.
+const GestureHint = ({ icon, label, progress = 0 }) => (
+  <div className={`gesture-hint ${progress > 0 ? "holding" : ""}`}>
+    <svg className="gesture-ring" viewBox="0 0 52 52" aria-hidden="true">
+      <circle className="gesture-ring-track" cx="26" cy="26" r={RADIUS} />
+      <circle
+        className="gesture-ring-fill"
+        cx="26"
+        cy="26"
+        r={RADIUS}
+        strokeDasharray={CIRCUMFERENCE}
+        strokeDashoffset={CIRCUMFERENCE * (1 - progress)}
+      />
+      <text x="26" y="27">
+        {icon}
+      </text>
+    </svg>
+    <span className="gesture-label">{label}</span>
+  </div>
+);
+
+export default GestureHint;
@@ -0,0 +1,99 @@
+import React from "react";
+import { GAME_ACTION, GAME_ACTION_LABELS } from "../pose/gestureBindings";
+import { POSE_TRIGGER, POSE_TRIGGERS } from "../pose/poseTriggers";
+
+// Meter runs past the threshold so players can see how much margin they have
+const METER_MAX = 1.5;
+
+// Rebinds game actions to gestures that don't need jumping or squatting.
+// Changes apply straight away so the meters show the new sensitivity.
+const GestureSettings = ({ bindings, levels, cameraActive, onChange, onClose }) => {
+  const updateAction = (action, patch) =>
+    onChange({ ...bindings, [action]: { ...bindings[action], ...patch } });
+
+  return (
+    <div className="modal-overlay gesture-settings-overlay">
+      <div className="modal-content gesture-settings">
+        <h2>GESTURE CONTROLS</h2>
+        {!cameraActive && (
+          <p className="input-notice">Gestures only work with the camera as the input.</p>
+        )}
+
+        <label className="recalibrate-toggle">
+          <input
+            type="checkbox"
+            checked={bindings.faceLandmarks}
+            onChange={(e) => onChange({ ...bindings, faceLandmarks: e.target.checked })}
+          />
+          Track my face (needed for mouth gestures, uses more CPU)
+        </label>
+
+        {Object.values(GAME_ACTION).map((action) => {
+          const binding = bindings[action];
+          const trigger = POSE_TRIGGERS[binding.trigger];
+          const level = levels[action];
+          const takenBy = Object.values(GAME_ACTION)
+            .filter((other) => other !== action)
+            .map((other) => bindings[other].trigger);
+
+          return (
+            <section key={action} className="gesture-binding">
+              <h3>{GAME_ACTION_LABELS[action].toUpperCase()}</h3>
+              <div className="mode-picker">
+                {Object.values(POSE_TRIGGERS).map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    className={`mode-option ${option.id === binding.trigger ? "selected" : ""}`}
+                    disabled={
+                      (option.needsFace && !bindings.faceLandmarks) ||
+                      (option.id !== POSE_TRIGGER.BODY && takenBy.includes(option.id))
+                    }
+                    onClick={() => updateAction(action, { trigger: option.id })}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <p className="mode-description">{trigger.description}</p>
+
+              {binding.trigger === POSE_TRIGGER.BODY ? (
+                <p className="mode-description">Uses your jump calibration</p>
+              ) : (
+                <>
+                  <label className="gesture-sensitivity">
+                    SENSITIVITY
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={binding.sensitivity}
+                      onChange={(e) => updateAction(action, { sensitivity: Number(e.target.value) })}
+                    />
+                  </label>
+                  <div
+                    className={`gesture-meter ${level >= 1 ? "firing" : ""}`}
+                    role="meter"
+                    aria-valuemin="0"
+                    aria-valuemax={METER_MAX}
+                    aria-valuenow={level ?? 0}
+                  >
+                    <span style={{ width: `${(Math.min(level ?? 0, METER_MAX) / METER_MAX) * 100}%` }} />
+                    <i style={{ left: `${100 / METER_MAX}%` }} />
+                  </div>
+                </>
+              )}
+            </section>
+          );
+        })}
+
+        <button type="button" className="retry-btn" onClick={onClose}>
+          DONE
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GestureSettings;
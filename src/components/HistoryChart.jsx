@@ -0,0 +1,63 @@
+import React, { useEffect, useRef } from "react";
+
+const WIDTH = 260;
+const HEIGHT = 90;
+const PADDING = { top: 14, right: 8, bottom: 6, left: 8 };
+
+// Colours come from the theme's CSS variables on the canvas
+function cssVar(canvas, name) {
+  return getComputedStyle(canvas).getPropertyValue(name).trim();
+}
+
+function drawChart(canvas, values, colorVar) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+  const max = Math.max(...values, 1);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) =>
+    PADDING.left + (values.length > 1 ? (i / (values.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (v) => PADDING.top + plotHeight - (v / max) * plotHeight;
+
+  ctx.strokeStyle = cssVar(canvas, "--panel-border");
+  ctx.beginPath();
+  ctx.moveTo(PADDING.left, PADDING.top + plotHeight);
+  ctx.lineTo(WIDTH - PADDING.right, PADDING.top + plotHeight);
+  ctx.stroke();
+
+  ctx.strokeStyle = cssVar(canvas, colorVar);
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  values.forEach((v, i) => (i === 0 ? ctx.moveTo(x(i), y(v)) : ctx.lineTo(x(i), y(v))));
+  ctx.stroke();
+  values.forEach((v, i) => {
+    ctx.beginPath();
+    ctx.arc(x(i), y(v), 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  ctx.fillStyle = cssVar(canvas, "--text-secondary");
+  ctx.font = "10px sans-serif";
+  ctx.textAlign = "right";
+  ctx.fillText(`max ${Math.round(max)}`, WIDTH - PADDING.right, 10);
+}
+
+// Small line chart of `values` in round order.
+const HistoryChart = ({ title, values, colorVar = "--accent-color", theme }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    drawChart(canvasRef.current, values, colorVar);
+  }, [values, colorVar, theme]);
+
+  return (
+    <div className="history-chart">
+      <span className="history-chart-title">{title}</span>
+      <canvas ref={canvasRef} width={WIDTH} height={HEIGHT} />
+    </div>
+  );
+};
+
+export default HistoryChart;
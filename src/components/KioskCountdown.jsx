@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from "react";
+
+// "Back to start in 12s" line; calls `onDone` when it runs out. Changing
+// `resetKey` (on any visitor activity) starts it over.
+const KioskCountdown = ({ ms, resetKey, onDone }) => {
+  const [left, setLeft] = useState(ms);
+
+  useEffect(() => {
+    const endsAt = Date.now() + ms;
+    setLeft(ms);
+    const id = setInterval(() => {
+      const remaining = endsAt - Date.now();
+      setLeft(remaining);
+      if (remaining <= 0) {
+        clearInterval(id);
+        onDone();
+      }
+    }, 250);
+    return () => clearInterval(id);
+  }, [ms, resetKey, onDone]);
+
+  return (
+    <p className="kiosk-countdown">Back to start in {Math.max(0, Math.ceil(left / 1000))}s</p>
+  );
+};
+
+export default KioskCountdown;
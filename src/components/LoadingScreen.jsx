@@ -0,0 +1,49 @@
+import React from "react";
+import { POSE_LOAD_PHASE } from "../input/cameraInput";
+
+const PHASE_LABELS = {
+  [POSE_LOAD_PHASE.DOWNLOADING]: "Loading pose model",
+  [POSE_LOAD_PHASE.INITIALIZING]: "Starting pose detection",
+};
+
+const LoadingScreen = ({ status, onRetry, onUseKeyboard }) => {
+  if (status.phase === POSE_LOAD_PHASE.ERROR) {
+    return (
+      <div className="modal-overlay loading-overlay">
+        <div className="modal-content loading-card">
+          <h2>MODEL FAILED TO LOAD</h2>
+          <p className="loading-error">{status.message}</p>
+          <div className="summary-actions">
+            <button type="button" className="retry-btn" onClick={onRetry}>
+              RETRY ↺
+            </button>
+            <button type="button" className="menu-btn" onClick={onUseKeyboard}>
+              USE KEYBOARD ⌨️
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const percent = Math.round(status.progress * 100);
+  const downloading = status.phase === POSE_LOAD_PHASE.DOWNLOADING;
+
+  return (
+    <div className="modal-overlay loading-overlay">
+      <div className="modal-content loading-card">
+        <h2>JUMPING DINO 🦖</h2>
+        <p className="calibration-step">{PHASE_LABELS[status.phase]}…</p>
+        <div className="calibration-progress">
+          <div
+            className={`calibration-progress-fill ${downloading ? "" : "indeterminate"}`}
+            style={{ width: downloading ? `${percent}%` : "100%" }}
+          />
+        </div>
+        {downloading && <p className="loading-percent">{percent}%</p>}
+      </div>
+    </div>
+  );
+};
+
+export default LoadingScreen;
@@ -0,0 +1,51 @@
+import React from "react";
+
+// Touch keyboard for booths without a physical one. `keys` come from
+// kiosk/kiosk.js; `mask` hides the value (for PINs).
+const OnScreenKeyboard = ({
+  keys,
+  value,
+  maxLength,
+  onChange,
+  onSubmit,
+  submitLabel = "OK",
+  mask = false,
+}) => {
+  const type = (key) => {
+    if (value.length < maxLength) onChange(value + key);
+  };
+
+  return (
+    <div className="osk">
+      <div className="osk-display" aria-live="polite">
+        {(mask ? "•".repeat(value.length) : value) || " "}
+        <span className="osk-cursor" />
+      </div>
+      <div className={`osk-keys ${keys.length <= 10 ? "digits" : ""}`}>
+        {keys.map((key) => (
+          <button key={key} type="button" className="osk-key" onClick={() => type(key)}>
+            {key}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="osk-key wide"
+          onClick={() => onChange(value.slice(0, -1))}
+          disabled={!value}
+        >
+          ⌫
+        </button>
+        <button
+          type="button"
+          className="osk-key wide submit"
+          onClick={() => onSubmit(value)}
+          disabled={!value}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OnScreenKeyboard;
@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import OnScreenKeyboard from "./OnScreenKeyboard";
+import { checkPin, isValidPin, PIN_KEYS, PIN_LENGTH } from "../kiosk/kiosk";
+
+const seconds = (ms) => Math.round(ms / 1000);
+
+// Booth configuration. Once kiosk mode is on, the panel asks for the PIN
+// before showing anything. Without `onClearLeaderboard` (a backend that
+// can't clear) there's no clear button.
+const OperatorPanel = ({
+  settings,
+  gameModes,
+  gameMode,
+  onSelectMode,
+  onSave,
+  onClearLeaderboard,
+  onResetStats,
+  onClose,
+}) => {
+  const [unlocked, setUnlocked] = useState(!settings.enabled);
+  const [pin, setPin] = useState("");
+  const [pinError, setPinError] = useState(false);
+  const [draft, setDraft] = useState(settings);
+  const [newPin, setNewPin] = useState("");
+
+  const submitPin = (value) => {
+    if (checkPin(settings, value)) {
+      setUnlocked(true);
+    } else {
+      setPinError(true);
+      setPin("");
+    }
+  };
+
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const newPinInvalid = newPin !== "" && !isValidPin(newPin);
+  const needsPin = draft.enabled && !settings.pin && !newPin;
+
+  const save = (e) => {
+    e.preventDefault();
+    if (newPinInvalid || needsPin) return;
+    onSave({ ...draft, pin: newPin || draft.pin });
+  };
+
+  if (!unlocked) {
+    return (
+      <div className="modal-overlay operator-overlay">
+        <div className="modal-content operator-card">
+          <h2>OPERATOR</h2>
+          <p className="mode-description">
+            {pinError ? "Wrong PIN, try again" : `Enter the ${PIN_LENGTH}-digit PIN`}
+          </p>
+          <OnScreenKeyboard
+            keys={PIN_KEYS}
+            value={pin}
+            maxLength={PIN_LENGTH}
+            mask
+            onChange={(value) => {
+              setPin(value);
+              setPinError(false);
+            }}
+            onSubmit={submitPin}
+            submitLabel="UNLOCK"
+          />
+          <button type="button" className="menu-btn" onClick={onClose}>
+            CANCEL
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal-overlay operator-overlay">
+      <form className="modal-content operator-card" onSubmit={save}>
+        <h2>OPERATOR</h2>
+
+        <label className="recalibrate-toggle">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Kiosk mode
+        </label>
+        <label className="recalibrate-toggle">
+          <input
+            type="checkbox"
+            checked={draft.nameEntry}
+            onChange={(e) => update({ nameEntry: e.target.checked })}
+          />
+          Ask for a name when a score makes the leaderboard
+        </label>
+
+        <div className="operator-fields">
+          <label>
+            BACK TO START AFTER (S)
+            <input
+              type="number"
+              min="5"
+              max="300"
+              value={seconds(draft.returnMs)}
+              onChange={(e) => update({ returnMs: Math.max(5, Number(e.target.value)) * 1000 })}
+            />
+          </label>
+          <label>
+            START AFTER IN FRAME FOR (S)
+            <input
+              type="number"
+              min="0.5"
+              max="10"
+              step="0.5"
+              value={draft.arriveMs / 1000}
+              onChange={(e) => update({ arriveMs: Math.max(0.5, Number(e.target.value)) * 1000 })}
+            />
+          </label>
+          <label>
+            ATTRACT SLIDE (S)
+            <input
+              type="number"
+              min="3"
+              max="60"
+              value={seconds(draft.slideMs)}
+              onChange={(e) => update({ slideMs: Math.max(3, Number(e.target.value)) * 1000 })}
+            />
+          </label>
+          <label>
+            NEW PIN
+            <input
+              type="password"
+              inputMode="numeric"
+              maxLength={PIN_LENGTH}
+              placeholder={settings.pin ? "unchanged" : "required"}
+              value={newPin}
+              onChange={(e) => setNewPin(e.target.value.replace(/\D/g, ""))}
+            />
+          </label>
+        </div>
+        {newPinInvalid && (
+          <p className="input-notice">
+            The PIN needs exactly {PIN_LENGTH} digits, and not 0000
+          </p>
+        )}
+        {needsPin && (
+          <p className="input-notice">Set a PIN before turning kiosk mode on</p>
+        )}
+
+        <p className="mode-description">GAME MODE</p>
+        <div className="mode-picker">
+          {Object.values(gameModes).map((mode) => (
+            <button
+              key={mode.id}
+              type="button"
+              className={`mode-option ${mode.id === gameMode ? "selected" : ""}`}
+              onClick={() => onSelectMode(mode.id)}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="summary-actions">
+          {onClearLeaderboard && (
+            <button type="button" className="menu-btn" onClick={onClearLeaderboard}>
+              CLEAR LEADERBOARD
+            </button>
+          )}
+          <button type="button" className="menu-btn" onClick={onResetStats}>
+            RESET STATS
+          </button>
+        </div>
+        <div className="summary-actions">
+          <button type="submit" className="retry-btn" disabled={newPinInvalid || needsPin}>
+            SAVE
+          </button>
+          <button type="button" className="menu-btn" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OperatorPanel;
@@ -0,0 +1,21 @@
+import React from "react";
+
+const ms = (value) => (value === null ? "–" : `${Math.round(value)} ms`);
+
+// Pose pipeline numbers under the camera preview, from pose/pipelineStats
+const PoseDebugOverlay = ({ stats }) => (
+  <dl className="pose-debug">
+    <dt>Inference</dt>
+    <dd>
+      {stats.fps} FPS · {ms(stats.inferenceMs)}
+    </dd>
+    <dt>Skipped</dt>
+    <dd>{Math.round(stats.skipRate * 100)}%</dd>
+    <dt>Jump → key</dt>
+    <dd>
+      {ms(stats.jumpLatencyMs)} (avg {ms(stats.avgJumpLatencyMs)})
+    </dd>
+  </dl>
+);
+
+export default PoseDebugOverlay;
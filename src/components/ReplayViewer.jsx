@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from "react";
+import { REPLAY_EVENT } from "../replay/recorder";
+import { downloadRecording, frameAt } from "../replay/replayFile";
+import { drawGame, drawSkeleton } from "../replay/drawFrames";
+
+const SPEEDS = [0.25, 0.5, 1, 2];
+const EVENT_ICONS = {
+  [REPLAY_EVENT.JUMP]: "⬆",
+  [REPLAY_EVENT.DUCK]: "⬇",
+  [REPLAY_EVENT.CRASH]: "💥",
+};
+
+const ReplayViewer = ({ recording, onClose }) => {
+  const skeletonRef = useRef(null);
+  const gameRef = useRef(null);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+
+  const { meta, poseFrames, gameFrames, events } = recording;
+  const duration = meta.duration;
+  const dimensions = meta.dimensions || { width: 600, height: 150 };
+  const crash = events.find((e) => e.type === REPLAY_EVENT.CRASH);
+
+  // ── Playback clock ────────────────────────────────────────────
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    let frameId;
+    const tick = (now) => {
+      const delta = (now - last) * speed;
+      last = now;
+      setTime((t) => Math.min(duration, t + delta));
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    if (time >= duration) setPlaying(false);
+  }, [time, duration]);
+
+  // ── Draw the current instant ─────────────────────────────────
+  useEffect(() => {
+    drawSkeleton(skeletonRef.current, frameAt(poseFrames, time));
+    drawGame(gameRef.current, frameAt(gameFrames, time), crash && time >= crash.t);
+  }, [time, poseFrames, gameFrames, crash]);
+
+  const togglePlay = () => {
+    if (!playing && time >= duration) setTime(0);
+    setPlaying(!playing);
+  };
+
+  const markers = events.filter((e) => EVENT_ICONS[e.type]);
+
+  return (
+    <div className="modal-overlay replay-overlay">
+      <div className="modal-content replay-card">
+        <h2>REPLAY</h2>
+        <p className="mode-description">
+          {meta.playerName} · {meta.gameMode} · {meta.input} · score {meta.score} ·{" "}
+          {meta.jumps} jumps · {new Date(meta.startedAt).toLocaleString()}
+        </p>
+
+        <div className="replay-stage">
+          <canvas ref={skeletonRef} width="320" height="240" className="replay-skeleton" />
+          <canvas
+            ref={gameRef}
+            width={dimensions.width}
+            height={dimensions.height}
+            className="replay-game"
+          />
+        </div>
+
+        <div className="replay-timeline">
+          <input
+            type="range"
+            min="0"
+            max={duration}
+            step="10"
+            value={time}
+            onChange={(e) => {
+              setPlaying(false);
+              setTime(Number(e.target.value));
+            }}
+          />
+          <div className="replay-markers">
+            {markers.map((e, i) => (
+              <span
+                key={i}
+                className={`replay-marker ${e.type}`}
+                style={{ left: `${(e.t / duration) * 100}%` }}
+                title={`${e.type} @ ${(e.t / 1000).toFixed(2)}s`}
+              >
+                {EVENT_ICONS[e.type]}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="replay-controls">
+          <button type="button" className="retry-btn" onClick={togglePlay}>
+            {playing ? "PAUSE ⏸" : "PLAY ▶"}
+          </button>
+          <span className="replay-time">
+            {(time / 1000).toFixed(1)}s / {(duration / 1000).toFixed(1)}s
+          </span>
+          <div className="replay-speeds">
+            {SPEEDS.map((s) => (
+              <button
+                key={s}
+                type="button"
+                className={`mode-option ${s === speed ? "selected" : ""}`}
+                onClick={() => setSpeed(s)}
+              >
+                {s}×
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="summary-actions">
+          <button type="button" className="retry-btn" onClick={() => downloadRecording(recording)}>
+            SAVE FILE 💾
+          </button>
+          <button type="button" className="menu-btn" onClick={onClose}>
+            CLOSE ✕
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
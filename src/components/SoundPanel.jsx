@@ -0,0 +1,51 @@
+import React from "react";
+
+const SLIDERS = [
+  { key: "master", label: "Master" },
+  { key: "sfx", label: "Effects" },
+  { key: "music", label: "Music" },
+];
+
+// Sidebar volume controls; `onChange` receives a partial settings patch.
+const SoundPanel = ({ settings, onChange }) => (
+  <div className="panel sound-panel">
+    <div className="panel-header">
+      <span className="panel-icon">{settings.muted ? "🔇" : "🔊"}</span>
+      <h3>Sound</h3>
+      <button
+        type="button"
+        className={`panel-tag sound-mute ${settings.muted ? "muted" : ""}`}
+        onClick={() => onChange({ muted: !settings.muted })}
+      >
+        {settings.muted ? "Unmute" : "Mute"}
+      </button>
+    </div>
+    <div className="sound-sliders">
+      {SLIDERS.map(({ key, label }) => (
+        <label key={key} className="sound-slider">
+          <span>{label}</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings[key]}
+            disabled={settings.muted || (key === "music" && !settings.musicEnabled)}
+            onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+          />
+          <span className="sound-value">{Math.round(settings[key] * 100)}</span>
+        </label>
+      ))}
+      <label className="recalibrate-toggle">
+        <input
+          type="checkbox"
+          checked={settings.musicEnabled}
+          onChange={(e) => onChange({ musicEnabled: e.target.checked })}
+        />
+        Background music
+      </label>
+    </div>
+  </div>
+);
+
+export default SoundPanel;
@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createSpectatorClient, SPECTATOR_MESSAGE } from "../spectator/spectatorChannel";
+import { GAME_STATE } from "../game/gameState";
+import { drawGame, drawSkeleton } from "../replay/drawFrames";
+import "../Spectator.css";
+
+const CELEBRATION_MS = 6000;
+const LEADERBOARD_ROWS = 8;
+const CONFETTI = ["🎉", "⭐", "🦖", "🎊", "✨", "🏆"];
+
+function banner(state, lastRound) {
+  if (!state) return { label: "WAITING FOR THE GAME", name: "" };
+  switch (state.gameState) {
+    case GAME_STATE.PLAYING:
+      return { label: "NOW PLAYING", name: state.playerName };
+    case GAME_STATE.CALIBRATING:
+      return { label: "GETTING READY", name: state.playerName };
+    case GAME_STATE.GAME_OVER:
+      return {
+        label: "GAME OVER",
+        name: lastRound ? `${lastRound.name} · ${lastRound.score}` : state.playerName,
+      };
+    default:
+      return { label: "UP NEXT", name: state.playerName };
+  }
+}
+
+// Big-screen view for a projector, fed by the game window over
+// BroadcastChannel. Opened with `?view=spectator`.
+const SpectatorView = () => {
+  const gameRef = useRef(null);
+  const skeletonRef = useRef(null);
+  const lastFrameRef = useRef(null);
+  const [state, setState] = useState(null);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [live, setLive] = useState({ score: 0, jumps: 0 });
+  const [lastRound, setLastRound] = useState(null);
+  const [celebration, setCelebration] = useState(null);
+
+  useEffect(() => {
+    const client = createSpectatorClient(({ type, payload }) => {
+      switch (type) {
+        case SPECTATOR_MESSAGE.STATE:
+          setState(payload);
+          if (payload.gameState === GAME_STATE.PLAYING) {
+            setLastRound(null);
+            setLive({ score: 0, jumps: 0 });
+          }
+          // The game stops streaming on a crash; show the last frame crashed
+          if (payload.gameState === GAME_STATE.GAME_OVER && lastFrameRef.current) {
+            drawGame(gameRef.current, lastFrameRef.current, true);
+          }
+          break;
+        case SPECTATOR_MESSAGE.LEADERBOARD:
+          setLeaderboard(payload);
+          break;
+        case SPECTATOR_MESSAGE.FRAME:
+          lastFrameRef.current = payload;
+          drawGame(gameRef.current, payload, false);
+          setLive((prev) =>
+            prev.score === payload.score && prev.jumps === payload.jumps
+              ? prev
+              : { score: payload.score, jumps: payload.jumps }
+          );
+          break;
+        case SPECTATOR_MESSAGE.POSE:
+          drawSkeleton(skeletonRef.current, { landmarks: payload });
+          break;
+        case SPECTATOR_MESSAGE.ROUND_END:
+          setLastRound(payload);
+          if (payload.highScore) setCelebration({ ...payload, key: Date.now() });
+          break;
+        default:
+          break;
+      }
+    });
+    if (!client) return undefined;
+    drawGame(gameRef.current, null, false);
+    drawSkeleton(skeletonRef.current, null);
+    return () => client.close();
+  }, []);
+
+  useEffect(() => {
+    if (!celebration) return;
+    const timer = setTimeout(() => setCelebration(null), CELEBRATION_MS);
+    return () => clearTimeout(timer);
+  }, [celebration]);
+
+  const { label, name } = banner(state, lastRound);
+  const supported = typeof BroadcastChannel !== "undefined";
+
+  return (
+    <div className="spectator">
+      <header className={`spectator-banner ${state?.gameState === GAME_STATE.PLAYING ? "live" : ""}`}>
+        <span className="spectator-label">{label}</span>
+        <span className="spectator-name">{name}</span>
+        {state && (
+          <span className="spectator-mode">
+            {state.mode} · {state.input}
+          </span>
+        )}
+      </header>
+
+      {!supported && (
+        <p className="spectator-notice">
+          This browser can't talk to the game window. Open the spectator screen from the game
+          in a current Chrome, Edge or Firefox.
+        </p>
+      )}
+
+      <main className="spectator-stage">
+        <section className="spectator-game">
+          <div className="spectator-score">
+            <span>SCORE</span>
+            <strong>{lastRound ? lastRound.score : live.score}</strong>
+            <span>JUMPS</span>
+            <strong>{live.jumps}</strong>
+          </div>
+          <canvas ref={gameRef} width="600" height="150" />
+        </section>
+
+        <aside className="spectator-side">
+          <canvas ref={skeletonRef} width="320" height="240" className="spectator-skeleton" />
+          <div className="spectator-leaderboard">
+            <h2>TOP SCORES{leaderboard ? ` · ${leaderboard.mode}` : ""}</h2>
+            {leaderboard && leaderboard.entries.length === 0 && <p>No scores yet</p>}
+            <ol>
+              {(leaderboard?.entries || []).slice(0, LEADERBOARD_ROWS).map((entry) => (
+                <li key={entry.id}>
+                  <span className="spectator-lb-name">{entry.name}</span>
+                  <span className="spectator-lb-score">{entry.score}</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </aside>
+      </main>
+
+      {celebration && (
+        <div className="spectator-celebration" key={celebration.key}>
+          <div className="spectator-confetti" aria-hidden="true">
+            {Array.from({ length: 24 }, (_, i) => (
+              <span
+                key={i}
+                style={{
+                  left: `${(i * 37) % 100}%`,
+                  animationDelay: `${(i % 8) * 0.15}s`,
+                }}
+              >
+                {CONFETTI[i % CONFETTI.length]}
+              </span>
+            ))}
+          </div>
+          <p className="spectator-celebration-title">NEW HIGH SCORE!</p>
+          <p className="spectator-celebration-name">{celebration.name}</p>
+          <p className="spectator-celebration-score">{celebration.score}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpectatorView;
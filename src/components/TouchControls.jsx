@@ -0,0 +1,34 @@
+import React from "react";
+
+const TouchControls = ({ onJump, onDuckStart, onDuckEnd }) => {
+  // Pointer events cover touch, pen and mouse; prevent the synthetic mouse
+  // events so the Runner doesn't see a second press.
+  const press = (handler) => (e) => {
+    e.preventDefault();
+    handler();
+  };
+
+  return (
+    <div className="touch-controls">
+      <button
+        type="button"
+        className="touch-btn duck"
+        onPointerDown={press(onDuckStart)}
+        onPointerUp={press(onDuckEnd)}
+        onPointerLeave={onDuckEnd}
+        onPointerCancel={onDuckEnd}
+      >
+        DUCK ⬇
+      </button>
+      <button
+        type="button"
+        className="touch-btn jump"
+        onPointerDown={press(onJump)}
+      >
+        JUMP ⬆
+      </button>
+    </div>
+  );
+};
+
+export default TouchControls;
@@ -0,0 +1,13 @@
+// Some browsers start the download only after click() returns
+const REVOKE_DELAY_MS = 10000;
+
+// Saves `content` as a file through a temporary link.
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
@@ -0,0 +1,132 @@
+import { DEFAULT_TORSO_LENGTH, shoulderY, torsoLength } from "../pose/landmarks";
+
+// Rough energy cost from the Compendium of Physical Activities:
+// vigorous jumping jacks ~8 MET, standing around ~1.3 MET.
+export const MET = { ACTIVE: 8, IDLE: 1.3 };
+
+// A jump keeps the player "active" for this long
+const ACTIVE_AFTER_JUMP_MS = 1500;
+// Shoulder movement faster than this (torso lengths / s) counts as active
+const ACTIVE_SPEED = 0.5;
+// The peak of a jump is searched for this long after it is detected
+const PEAK_WINDOW_MS = 700;
+const BASELINE_SMOOTHING = 0.05;
+const CADENCE_WINDOW_MS = 10 * 1000;
+
+export function estimateCalories({ activeMs, idleMs, weightKg }) {
+  if (!weightKg) return null;
+  const hours = (ms) => ms / 3600000;
+  return weightKg * (MET.ACTIVE * hours(activeMs) + MET.IDLE * hours(idleMs));
+}
+
+// Most jumps inside any `CADENCE_WINDOW_MS` stretch, as jumps per minute.
+export function peakCadence(jumpTimes) {
+  let best = 0;
+  let start = 0;
+  jumpTimes.forEach((t, end) => {
+    while (t - jumpTimes[start] > CADENCE_WINDOW_MS) start++;
+    best = Math.max(best, end - start + 1);
+  });
+  return (best * 60000) / CADENCE_WINDOW_MS;
+}
+
+// Collects fitness metrics for one round or workout. Feed it the same pose
+// frames and jumps as the game; without pose frames (keyboard / touch) only
+// jump based metrics are available.
+export function createFitnessTracker({ weightKg = null, startedAt }) {
+  const jumpTimes = [];
+  const heights = [];
+  // Merged [from, to] intervals of activity
+  const active = [];
+  let baseline = null;
+  let scale = DEFAULT_TORSO_LENGTH;
+  let prev = null;
+  let peak = null;
+
+  function markActive(from, to) {
+    const last = active[active.length - 1];
+    if (last && from <= last[1]) {
+      last[1] = Math.max(last[1], to);
+    } else {
+      active.push([from, to]);
+    }
+  }
+
+  function closePeak() {
+    if (!peak) return;
+    const height = (peak.baseline - peak.minY) / scale;
+    if (height > 0) heights.push(height);
+    peak = null;
+  }
+
+  function activeMs(endedAt) {
+    return active.reduce(
+      (sum, [from, to]) => sum + Math.max(0, Math.min(to, endedAt) - from),
+      0
+    );
+  }
+
+  return {
+    addFrame(landmarks, now) {
+      const y = shoulderY(landmarks);
+      const torso = torsoLength(landmarks);
+      if (torso !== null) scale += (torso - scale) * BASELINE_SMOOTHING;
+
+      if (peak) {
+        if (now - peak.startedAt > PEAK_WINDOW_MS) closePeak();
+        else peak.minY = Math.min(peak.minY, y);
+      }
+
+      if (prev) {
+        const dt = now - prev.t;
+        const speed = dt > 0 ? Math.abs(y - prev.y) / scale / (dt / 1000) : 0;
+        if (speed > ACTIVE_SPEED) markActive(prev.t, now);
+        // Standing height only follows the player while they are still
+        const settled = !peak && now - (jumpTimes[jumpTimes.length - 1] ?? -Infinity) > PEAK_WINDOW_MS;
+        if (settled && speed <= ACTIVE_SPEED) {
+          baseline = baseline === null ? y : baseline + (y - baseline) * BASELINE_SMOOTHING;
+        }
+      } else {
+        baseline = y;
+      }
+      prev = { t: now, y };
+    },
+
+    addJump(now) {
+      closePeak();
+      jumpTimes.push(now);
+      markActive(now, now + ACTIVE_AFTER_JUMP_MS);
+      if (baseline !== null && prev) {
+        peak = { startedAt: now, baseline, minY: prev.y };
+      }
+    },
+
+    getJumps() {
+      return jumpTimes.length;
+    },
+
+    // `pausedMs` is time the round was on hold, which isn't part of it
+    finish(endedAt, pausedMs = 0) {
+      closePeak();
+      const durationMs = Math.max(0, endedAt - startedAt - pausedMs);
+      const activeTime = Math.min(durationMs, activeMs(endedAt));
+      const idleTime = durationMs - activeTime;
+      const minutes = durationMs / 60000;
+
+      return {
+        durationMs,
+        jumps: jumpTimes.length,
+        cadence: minutes > 0 ? jumpTimes.length / minutes : 0,
+        peakCadence: peakCadence(jumpTimes),
+        // Shoulder rise in torso lengths
+        avgJumpHeight: heights.length
+          ? heights.reduce((sum, h) => sum + h, 0) / heights.length
+          : null,
+        maxJumpHeight: heights.length ? Math.max(...heights) : null,
+        activeMs: activeTime,
+        idleMs: idleTime,
+        calories: estimateCalories({ activeMs: activeTime, idleMs: idleTime, weightKg }),
+      };
+    },
+  };
+}
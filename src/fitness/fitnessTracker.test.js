@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { createFitnessTracker, estimateCalories, peakCadence } from "./fitnessTracker";
+
+// Shoulders at `shoulder`, hips one 0.25 torso below
+function pose(shoulder) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, visibility: 1 }));
+  landmarks[11].y = landmarks[12].y = shoulder;
+  landmarks[23].y = landmarks[24].y = shoulder + 0.25;
+  return landmarks;
+}
+
+describe("createFitnessTracker", () => {
+  it("measures jump height in torso lengths from the standing baseline", () => {
+    const tracker = createFitnessTracker({ startedAt: 0 });
+    let t = 0;
+    const frame = (y) => tracker.addFrame(pose(y), (t += 33));
+
+    for (let i = 0; i < 30; i++) frame(0.4);
+    frame(0.35);
+    tracker.addJump(t);
+    frame(0.3);
+    frame(0.28);
+    frame(0.33);
+    frame(0.4);
+    for (let i = 0; i < 30; i++) frame(0.4);
+
+    const report = tracker.finish(t);
+    expect(report.jumps).toBe(1);
+    expect(report.avgJumpHeight).toBeCloseTo(0.12 / 0.25, 1);
+  });
+
+  it("splits the session into active and idle time", () => {
+    const tracker = createFitnessTracker({ startedAt: 0, weightKg: 60 });
+    tracker.addJump(1000);
+    tracker.addJump(2000);
+    const report = tracker.finish(10000);
+
+    expect(report.activeMs).toBe(2500);
+    expect(report.idleMs).toBe(7500);
+    expect(report.avgJumpHeight).toBeNull();
+    expect(report.calories).toBeGreaterThan(0);
+  });
+
+  it("leaves paused time out of the session", () => {
+    const tracker = createFitnessTracker({ startedAt: 0 });
+    tracker.addJump(1000);
+    const report = tracker.finish(10000, 4000);
+
+    expect(report.durationMs).toBe(6000);
+    expect(report.idleMs).toBe(6000 - report.activeMs);
+  });
+});
+
+describe("fitness helpers", () => {
+  it("needs a weight for calories", () => {
+    expect(estimateCalories({ activeMs: 60000, idleMs: 0, weightKg: null })).toBeNull();
+    expect(estimateCalories({ activeMs: 3600000, idleMs: 0, weightKg: 50 })).toBe(400);
+  });
+
+  it("reports the busiest 10 s as jumps per minute", () => {
+    const times = [0, 1000, 2000, 3000, 20000];
+    expect(peakCadence(times)).toBe(24);
+    expect(peakCadence([])).toBe(0);
+  });
+});
@@ -0,0 +1,38 @@
+// Timed workout sessions for fitness mode. `targetJumps` must be reached
+// within `durationMs`; crashes restart the dino and the clock keeps running.
+export const WORKOUTS = {
+  free: {
+    id: "free",
+    label: "Free play",
+    description: "Play normally, with a fitness report after each round",
+    durationMs: null,
+    targetJumps: null,
+  },
+  warmup: {
+    id: "warmup",
+    label: "30 in 1 min",
+    description: "A quick warm-up: 30 jumps in one minute",
+    durationMs: 60 * 1000,
+    targetJumps: 30,
+  },
+  break: {
+    id: "break",
+    label: "50 in 2 min",
+    description: "Active break: 50 jumps in two minutes",
+    durationMs: 2 * 60 * 1000,
+    targetJumps: 50,
+  },
+  cardio: {
+    id: "cardio",
+    label: "120 in 5 min",
+    description: "Cardio session: 120 jumps in five minutes",
+    durationMs: 5 * 60 * 1000,
+    targetJumps: 120,
+  },
+};
+
+export const DEFAULT_WORKOUT = "free";
+
+export function getWorkout(id) {
+  return WORKOUTS[id] || WORKOUTS[DEFAULT_WORKOUT];
+}
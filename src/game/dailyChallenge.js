@@ -0,0 +1,41 @@
+import { STORAGE_KEYS, loadStored, saveStored } from "../storage";
+import { hashSeed } from "./seededRandom";
+
+export const DAILY_MODE = "daily";
+// Enforced on this machine only; the leaderboard accepts any entry
+export const DAILY_ATTEMPTS = 3;
+export const DAILY_ARCHIVE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The challenge day is the UTC date, so everyone shares the same course
+export function dailyDate(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// Leaderboard key for one day's scores
+export function dailyBoard(date) {
+  return `${DAILY_MODE}-${date}`;
+}
+
+export function dailySeed(date) {
+  return hashSeed(dailyBoard(date));
+}
+
+// Most recent first, not including today
+export function pastDailyDates(now = Date.now(), days = DAILY_ARCHIVE_DAYS) {
+  return Array.from({ length: days }, (_, i) => dailyDate(now - (i + 1) * DAY_MS));
+}
+
+// Attempts are counted per machine rather than per profile, so a new
+// profile doesn't bring three more. Stored as { [date]: used }; older days
+// are dropped on write.
+export function dailyAttemptsLeft(date) {
+  const used = loadStored(STORAGE_KEYS.DAILY, {})[date] || 0;
+  return Math.max(0, DAILY_ATTEMPTS - used);
+}
+
+export function spendDailyAttempt(date) {
+  const used = loadStored(STORAGE_KEYS.DAILY, {})[date] || 0;
+  saveStored(STORAGE_KEYS.DAILY, { [date]: used + 1 });
+  return Math.max(0, DAILY_ATTEMPTS - used - 1);
+}
@@ -0,0 +1,26 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { createProfile, loadProfiles } from "../profiles/profiles";
+import { memoryStorage } from "../testing/memoryStorage";
+import { DAILY_ATTEMPTS, dailyAttemptsLeft, dailyDate, spendDailyAttempt } from "./dailyChallenge";
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+describe("daily attempts", () => {
+  const today = dailyDate(Date.UTC(2026, 9, 19, 12));
+
+  it("runs out after the daily allowance and comes back the next day", () => {
+    expect(dailyAttemptsLeft(today)).toBe(DAILY_ATTEMPTS);
+    for (let i = 0; i < DAILY_ATTEMPTS; i++) spendDailyAttempt(today);
+    expect(dailyAttemptsLeft(today)).toBe(0);
+    expect(dailyAttemptsLeft("2026-10-20")).toBe(DAILY_ATTEMPTS);
+  });
+
+  it("isn't reset by creating another profile", () => {
+    loadProfiles();
+    for (let i = 0; i < DAILY_ATTEMPTS; i++) spendDailyAttempt(today);
+    createProfile(loadProfiles(), "NEWCOMER");
+    expect(dailyAttemptsLeft(today)).toBe(0);
+  });
+});
@@ -0,0 +1,7 @@
+// Phases of the app around the Runner. Shared with the spectator screen.
+export const GAME_STATE = {
+  START: "START",
+  CALIBRATING: "CALIBRATING",
+  PLAYING: "PLAYING",
+  GAME_OVER: "GAME_OVER",
+};
@@ -0,0 +1,68 @@
+// Each mode carries the Runner config it is played with. Scores are stored
+// per mode, so changing a mode's config should come with a new id.
+export const GAME_MODES = {
+  kids: {
+    id: "kids",
+    label: "Kids",
+    description: "Slow and steady, lots of room between cacti",
+    difficulty: {
+      speed: 3,
+      acceleration: 0,
+      gapCoefficient: 36.0,
+      maxObstacleDuplication: 1,
+    },
+  },
+  arcade: {
+    id: "arcade",
+    label: "Arcade",
+    description: "Constant speed, friendly gaps",
+    difficulty: {
+      speed: 3.5,
+      acceleration: 0,
+      gapCoefficient: 28.0,
+      maxObstacleDuplication: 1,
+    },
+  },
+  classic: {
+    id: "classic",
+    label: "Classic",
+    description: "The original Chrome dino, speeding up as you go",
+    difficulty: {
+      speed: 6,
+      acceleration: 0.001,
+      gapCoefficient: 0.6,
+      maxObstacleDuplication: 2,
+    },
+  },
+  endurance: {
+    id: "endurance",
+    label: "Endurance",
+    description: "Starts gentle, slowly gets faster. Built for long runs",
+    difficulty: {
+      speed: 4,
+      acceleration: 0.0002,
+      gapCoefficient: 16.0,
+      maxObstacleDuplication: 1,
+    },
+  },
+  // Obstacles come from a PRNG seeded with the date (see dailyChallenge.js).
+  // Constant speed keeps obstacle sizes and gaps identical between runs.
+  daily: {
+    id: "daily",
+    label: "Daily",
+    description: "Today's course, the same for everyone. 3 attempts a day",
+    seeded: true,
+    difficulty: {
+      speed: 5,
+      acceleration: 0,
+      gapCoefficient: 10.0,
+      maxObstacleDuplication: 1,
+    },
+  },
+};
+
+export const DEFAULT_GAME_MODE = "arcade";
+
+export function getGameMode(id) {
+  return GAME_MODES[id] || GAME_MODES[DEFAULT_GAME_MODE];
+}
@@ -0,0 +1,115 @@
+import { isTrackingReady } from "../pose/trackingQuality";
+
+// Holds a camera round until the player is properly in view: a countdown
+// once their whole body is tracked, and a pause whenever they go missing
+// mid-run. Time spent held doesn't count towards the round.
+export const ROUND_PHASE = {
+  WAITING: "waiting",
+  COUNTDOWN: "countdown",
+  RUNNING: "running",
+  PAUSED: "paused",
+};
+
+export const ROUND_EVENT = {
+  COUNT: "count",
+  GO: "go",
+  PAUSE: "pause",
+};
+
+const COUNT_MS = 1000;
+// Landmarks can drop out for a few frames while jumping; this long without
+// any means the player has left
+const ABSENCE_MS = 1500;
+
+export function createRoundFlow({ countFrom = 3, absenceMs = ABSENCE_MS } = {}) {
+  let phase = ROUND_PHASE.RUNNING;
+  let started = false;
+  let heldSince = null;
+  let heldMs = 0;
+  let countdownEndsAt = null;
+  let count = null;
+  let absentSince = null;
+
+  function hold(now, next) {
+    phase = next;
+    heldSince = now;
+    count = null;
+    absentSince = null;
+  }
+
+  return {
+    // Rounds without a camera run straight away
+    start(now, { waitForPlayer = true } = {}) {
+      started = false;
+      heldMs = 0;
+      if (waitForPlayer) {
+        hold(now, ROUND_PHASE.WAITING);
+      } else {
+        phase = ROUND_PHASE.RUNNING;
+        heldSince = null;
+        started = true;
+      }
+    },
+
+    // Feed every pose frame. Returns `{ type, count }` for a new number,
+    // `{ type, resumed }` when the Runner should go, `{ type }` to pause it,
+    // or null.
+    update(landmarks, quality, now) {
+      if (phase === ROUND_PHASE.RUNNING) {
+        if (landmarks) {
+          absentSince = null;
+          return null;
+        }
+        if (absentSince === null) absentSince = now;
+        if (now - absentSince < absenceMs) return null;
+        hold(now, ROUND_PHASE.PAUSED);
+        return { type: ROUND_EVENT.PAUSE };
+      }
+
+      // Leaving during the countdown starts it over
+      if (!isTrackingReady(quality)) {
+        if (phase === ROUND_PHASE.COUNTDOWN) {
+          phase = started ? ROUND_PHASE.PAUSED : ROUND_PHASE.WAITING;
+          count = null;
+        }
+        return null;
+      }
+
+      if (phase !== ROUND_PHASE.COUNTDOWN) {
+        phase = ROUND_PHASE.COUNTDOWN;
+        countdownEndsAt = now + countFrom * COUNT_MS;
+      }
+      if (now >= countdownEndsAt) {
+        const resumed = started;
+        phase = ROUND_PHASE.RUNNING;
+        started = true;
+        heldMs += now - heldSince;
+        heldSince = null;
+        count = null;
+        return { type: ROUND_EVENT.GO, resumed };
+      }
+      const next = Math.ceil((countdownEndsAt - now) / COUNT_MS);
+      if (next === count) return null;
+      count = next;
+      return { type: ROUND_EVENT.COUNT, count };
+    },
+
+    getPhase() {
+      return phase;
+    },
+
+    // The number on screen, or null outside the countdown
+    getCount() {
+      return count;
+    },
+
+    isHeld() {
+      return phase !== ROUND_PHASE.RUNNING;
+    },
+
+    // Held time so far, including a hold that is still going on
+    getHeldMs(now) {
+      return heldMs + (heldSince === null ? 0 : now - heldSince);
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { createRoundFlow, ROUND_EVENT, ROUND_PHASE } from "./roundFlow";
+import { TRACKING_LEVEL } from "../pose/trackingQuality";
+
+const player = [{ x: 0.5, y: 0.5, visibility: 1 }];
+const ready = { level: TRACKING_LEVEL.GOOD, issues: [] };
+const outOfFrame = { level: TRACKING_LEVEL.POOR, issues: [] };
+
+// Feeds one frame every 100ms from `from` to `to` and collects the events
+function play(flow, from, to, landmarks, quality) {
+  const events = [];
+  for (let t = from; t <= to; t += 100) {
+    const event = flow.update(landmarks, quality, t);
+    if (event) events.push({ ...event, t });
+  }
+  return events;
+}
+
+describe("createRoundFlow", () => {
+  it("waits for the player before counting down from three", () => {
+    const flow = createRoundFlow();
+    flow.start(0);
+    expect(play(flow, 0, 2000, null, outOfFrame)).toEqual([]);
+    expect(flow.getPhase()).toBe(ROUND_PHASE.WAITING);
+
+    expect(play(flow, 2100, 5100, player, ready)).toEqual([
+      { type: ROUND_EVENT.COUNT, count: 3, t: 2100 },
+      { type: ROUND_EVENT.COUNT, count: 2, t: 3100 },
+      { type: ROUND_EVENT.COUNT, count: 1, t: 4100 },
+      { type: ROUND_EVENT.GO, resumed: false, t: 5100 },
+    ]);
+    expect(flow.isHeld()).toBe(false);
+    expect(flow.getHeldMs(9000)).toBe(5100);
+  });
+
+  it("starts the countdown over when the player steps out during it", () => {
+    const flow = createRoundFlow();
+    flow.start(0);
+    play(flow, 0, 1500, player, ready);
+    flow.update(player, outOfFrame, 1600);
+    expect(flow.getPhase()).toBe(ROUND_PHASE.WAITING);
+    expect(flow.getCount()).toBeNull();
+    expect(flow.update(player, ready, 1700)).toEqual({ type: ROUND_EVENT.COUNT, count: 3 });
+  });
+
+  it("pauses once the player has been missing for a while", () => {
+    const flow = createRoundFlow({ countFrom: 1, absenceMs: 1000 });
+    flow.start(0);
+    play(flow, 0, 1000, player, ready);
+    // A short dropout, like a blurry jump, doesn't pause
+    expect(play(flow, 1100, 1500, null, ready)).toEqual([]);
+    play(flow, 1600, 2000, player, ready);
+    expect(play(flow, 2100, 3500, null, outOfFrame)).toEqual([
+      { type: ROUND_EVENT.PAUSE, t: 3100 },
+    ]);
+    expect(flow.getPhase()).toBe(ROUND_PHASE.PAUSED);
+  });
+
+  it("resumes after another countdown and leaves the pause out of the round", () => {
+    const flow = createRoundFlow({ countFrom: 1, absenceMs: 1000 });
+    flow.start(0);
+    play(flow, 0, 1000, player, ready);
+    expect(flow.getHeldMs(1000)).toBe(1000);
+
+    play(flow, 1100, 2100, null, outOfFrame);
+    // Paused at 2100, and the clock stays stopped while it is
+    expect(flow.getHeldMs(4000)).toBe(1000 + 1900);
+    const events = play(flow, 5000, 6000, player, ready);
+    expect(events).toEqual([
+      { type: ROUND_EVENT.COUNT, count: 1, t: 5000 },
+      { type: ROUND_EVENT.GO, resumed: true, t: 6000 },
+    ]);
+    expect(flow.getHeldMs(10000)).toBe(1000 + 3900);
+  });
+
+  it("runs straight away without a camera", () => {
+    const flow = createRoundFlow();
+    flow.start(0, { waitForPlayer: false });
+    expect(flow.isHeld()).toBe(false);
+    expect(flow.getHeldMs(5000)).toBe(0);
+  });
+});
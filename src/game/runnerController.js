@@ -0,0 +1,323 @@
+import { createSeededRandom } from "./seededRandom";
+
+// Event bridge around the Chrome Runner that react-chrome-dino injects as
+// the `window.Runner.instance_` singleton. Nothing else should touch the
+// Runner directly.
+
+export const RUNNER_EVENT = {
+  START: "start",
+  SCORE_TICK: "score-tick",
+  SPEED_CHANGE: "speed-change",
+  OBSTACLE_SPAWNED: "obstacle-spawned",
+  JUMP: "jump",
+  DUCK: "duck",
+  MILESTONE: "milestone",
+  CRASH: "crash",
+};
+
+/**
+ * Event payloads:
+ * @typedef {{ restart: boolean }} StartEvent
+ * @typedef {{ score: number }} ScoreTickEvent
+ * @typedef {{ score: number }} MilestoneEvent
+ * @typedef {{ speed: number }} SpeedChangeEvent
+ * @typedef {{ type: string, x: number, y: number, width: number, height: number }} ObstacleEvent
+ * @typedef {{ score: number, distance: number, speed: number }} CrashEvent
+ *
+ * Difficulty accepted by `setConfig` (see game/modes.js):
+ * @typedef {{ speed: number, acceleration: number, gapCoefficient: number,
+ *   maxObstacleDuplication: number }} RunnerDifficulty
+ */
+
+// Shared across module instances so a hot-reloaded controller finds and
+// undoes the patches of the previous one
+const PATCHES = Symbol.for("jumping-dino.runnerPatches");
+
+// Speed changes smaller than this aren't reported
+const SPEED_STEP = 0.05;
+// Where the Runner flashes its score
+const MILESTONE_POINTS = 100;
+
+function patchMethod(target, name, wrap, restores) {
+  const hadOwn = Object.prototype.hasOwnProperty.call(target, name);
+  const original = target[name];
+  target[name] = wrap(original);
+  restores.push(() => {
+    if (hadOwn) target[name] = original;
+    else delete target[name];
+  });
+}
+
+export function scoreOf(runner) {
+  return runner.distanceMeter.getActualDistance(Math.ceil(runner.distanceRan));
+}
+
+export function createRunnerController() {
+  const listeners = new Map();
+  let runner = null;
+  let unpatch = null;
+  let difficulty = null;
+  let obstacleSeed = null;
+  let obstacleRandom = null;
+  let lastScore = 0;
+  let lastSpeed = 0;
+  let roundGuard = { inRound: () => false, isHeld: () => false };
+
+  function emit(type, payload = {}) {
+    (listeners.get(type) || []).forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Runner "${type}" listener failed:`, error);
+      }
+    });
+  }
+
+  function applyConfig() {
+    if (!runner || !difficulty) return;
+    // The instance gets its own copy so the shared Runner.config stays intact
+    runner.config = {
+      ...runner.config,
+      SPEED: difficulty.speed,
+      ACCELERATION: difficulty.acceleration,
+      GAP_COEFFICIENT: difficulty.gapCoefficient,
+      // Not read by the Runner build react-chrome-dino ships; kept in case
+      // the game is swapped for one that does
+      MAX_OBSTACLE_DUPLICATION: difficulty.maxObstacleDuplication,
+    };
+    runner.setSpeed(difficulty.speed);
+    // The horizon copies the coefficient when it is created
+    runner.horizon.gapCoefficient = difficulty.gapCoefficient;
+  }
+
+  // Each run replays the seeded course from its first obstacle
+  function reseed() {
+    obstacleRandom = obstacleSeed === null ? null : createSeededRandom(obstacleSeed);
+  }
+
+  function restart() {
+    if (!runner) return;
+    // The Runner ignores restart() while its frame loop is running
+    if (runner.raqId) runner.stop();
+    runner.restart();
+  }
+
+  function attach(instance) {
+    if (instance[PATCHES]) instance[PATCHES]();
+
+    const restores = [];
+    const { tRex, horizon } = instance;
+
+    patchMethod(instance, "update", (original) => function (...args) {
+      const result = original.apply(this, args);
+      if (this.activated && !this.crashed) {
+        const score = scoreOf(this);
+        if (score !== lastScore) {
+          const milestone =
+            Math.floor(score / MILESTONE_POINTS) > Math.floor(lastScore / MILESTONE_POINTS);
+          lastScore = score;
+          emit(RUNNER_EVENT.SCORE_TICK, { score });
+          if (milestone) emit(RUNNER_EVENT.MILESTONE, { score });
+        }
+        if (Math.abs(this.currentSpeed - lastSpeed) >= SPEED_STEP) {
+          lastSpeed = this.currentSpeed;
+          emit(RUNNER_EVENT.SPEED_CHANGE, { speed: lastSpeed });
+        }
+      }
+      return result;
+    }, restores);
+
+    // All sound goes through the app's sound manager so volume and mute
+    // apply; the Runner's own beeps (and the AudioContext they need) are off
+    patchMethod(instance, "loadSounds", () => function () {}, restores);
+    patchMethod(instance, "playSound", () => function () {}, restores);
+
+    // startGame runs once the intro of the very first run finishes
+    patchMethod(instance, "startGame", (original) => function (...args) {
+      reseed();
+      const result = original.apply(this, args);
+      emit(RUNNER_EVENT.START, { restart: false });
+      return result;
+    }, restores);
+
+    patchMethod(instance, "restart", (original) => function (...args) {
+      const wasRunning = !!this.raqId;
+      if (!wasRunning) reseed();
+      const result = original.apply(this, args);
+      if (!wasRunning) {
+        lastScore = 0;
+        emit(RUNNER_EVENT.START, { restart: true });
+      }
+      return result;
+    }, restores);
+
+    patchMethod(instance, "gameOver", (original) => function (...args) {
+      const result = original.apply(this, args);
+      emit(RUNNER_EVENT.CRASH, {
+        score: scoreOf(this),
+        distance: this.distanceRan,
+        speed: this.currentSpeed,
+      });
+      return result;
+    }, restores);
+
+    patchMethod(tRex, "startJump", (original) => function (...args) {
+      const wasJumping = this.jumping;
+      const result = original.apply(this, args);
+      if (!wasJumping && this.jumping) emit(RUNNER_EVENT.JUMP);
+      return result;
+    }, restores);
+
+    patchMethod(tRex, "setSpeedDrop", (original) => function (...args) {
+      const result = original.apply(this, args);
+      emit(RUNNER_EVENT.DUCK);
+      return result;
+    }, restores);
+
+    // The obstacle type, size and gap all come from Math.random, so the
+    // global is swapped for the seeded generator for the length of the call
+    patchMethod(horizon, "addNewObstacle", (original) => function (...args) {
+      let result;
+      if (obstacleRandom) {
+        const random = Math.random;
+        Math.random = obstacleRandom;
+        try {
+          result = original.apply(this, args);
+        } finally {
+          Math.random = random;
+        }
+      } else {
+        result = original.apply(this, args);
+      }
+      const obstacle = this.obstacles[this.obstacles.length - 1];
+      emit(RUNNER_EVENT.OBSTACLE_SPAWNED, {
+        type: obstacle.typeConfig.type,
+        x: obstacle.xPos,
+        y: obstacle.yPos,
+        width: obstacle.width,
+        height: obstacle.typeConfig.height,
+      });
+      return result;
+    }, restores);
+
+    // The app decides when a round runs. While it holds one (waiting for or
+    // counting in the player) neither the Runner's space bar nor its focus
+    // handling may set the dino off, and during a round the window losing
+    // focus (say to the spectator screen) doesn't stop it. Hiding the tab
+    // still does.
+    patchMethod(instance, "play", (original) => function (...args) {
+      if (roundGuard.isHeld()) return undefined;
+      return original.apply(this, args);
+    }, restores);
+
+    patchMethod(instance, "onKeyUp", (original) => function (...args) {
+      if (roundGuard.isHeld()) return undefined;
+      return original.apply(this, args);
+    }, restores);
+
+    // The Runner binds this when its first run starts, after attach()
+    patchMethod(instance, "onVisibilityChange", (original) => function (event, ...args) {
+      if (roundGuard.inRound() && (event.type === "blur" || event.type === "focus")) {
+        return undefined;
+      }
+      return original.call(this, event, ...args);
+    }, restores);
+
+    unpatch = () => {
+      restores.reverse().forEach((restore) => restore());
+      delete instance[PATCHES];
+    };
+    instance[PATCHES] = unpatch;
+
+    runner = instance;
+    lastScore = 0;
+    lastSpeed = instance.currentSpeed;
+    applyConfig();
+  }
+
+  return {
+    // Attaches to the Runner. react-chrome-dino creates it synchronously
+    // while mounting, so this can run from the parent's effect.
+    connect() {
+      if (runner) return;
+      const instance = window.Runner && window.Runner.instance_;
+      if (!instance || !instance.tRex || !instance.horizon) {
+        console.error("Runner is not available; the dino game did not mount");
+        return;
+      }
+      attach(instance);
+    },
+
+    // Undoes every patch, so connecting again never wraps twice. Patches
+    // another controller has since replaced are left alone.
+    disconnect() {
+      if (runner && runner[PATCHES] === unpatch) unpatch();
+      runner = null;
+      unpatch = null;
+    },
+
+    isConnected() {
+      return !!runner;
+    },
+
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+
+    // The first run begins with a jump, like pressing space does. A run
+    // that ended or was stopped part way starts over.
+    start() {
+      if (!runner) return;
+      if (runner.crashed || (runner.playCount > 0 && !runner.activated)) {
+        restart();
+        return;
+      }
+      if (!runner.activated) runner.activated = true;
+      runner.tRex.startJump();
+    },
+
+    pause() {
+      if (runner && runner.activated && !runner.crashed) runner.stop();
+    },
+
+    // `paused` stays set after a restart, so check the frame loop instead
+    resume() {
+      if (runner && runner.paused && !runner.raqId && !runner.crashed) runner.play();
+    },
+
+    restart,
+
+    // `inRound()` is true from the start of a round to its end, `isHeld()`
+    // while the app holds it (see game/roundFlow.js)
+    setRoundGuard({ inRound, isHeld }) {
+      roundGuard = { inRound, isHeld };
+    },
+
+    /** @param {RunnerDifficulty} config */
+    setConfig(config) {
+      difficulty = config;
+      applyConfig();
+    },
+
+    // Seeds the obstacle course of the following runs; null for random
+    setObstacleSeed(seed) {
+      obstacleSeed = seed;
+      reseed();
+    },
+
+    getScore() {
+      return runner ? scoreOf(runner) : 0;
+    },
+
+    isRunning() {
+      return !!runner && runner.activated && !runner.crashed;
+    },
+
+    // Read-only access for the replay recorder
+    getRunner() {
+      return runner;
+    },
+  };
+}
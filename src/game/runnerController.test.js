@@ -0,0 +1,247 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { createRunnerController, RUNNER_EVENT } from "./runnerController";
+
+// Just enough of the Chrome Runner for the controller
+function fakeRunner() {
+  const proto = {
+    update() {
+      if (this.activated) this.distanceRan += 40;
+    },
+    startGame() {},
+    restart() {
+      if (this.raqId) return;
+      this.playCount += 1;
+      this.crashed = false;
+      this.activated = true;
+      this.distanceRan = 0;
+      this.raqId = 1;
+    },
+    gameOver() {
+      this.stop();
+      this.crashed = true;
+    },
+    stop() {
+      this.activated = false;
+      this.paused = true;
+      this.raqId = 0;
+    },
+    play() {
+      this.activated = true;
+      this.paused = false;
+      this.raqId = 1;
+    },
+    setSpeed(speed) {
+      this.currentSpeed = speed;
+    },
+    loadSounds() {},
+    playSound() {},
+    // Space resumes a paused Runner; blur stops it and focus plays it
+    onKeyUp() {
+      if (this.paused) this.play();
+    },
+    onVisibilityChange(event) {
+      if (event.type === "blur") this.stop();
+      else this.play();
+    },
+  };
+  return Object.assign(Object.create(proto), {
+    config: { SPEED: 6 },
+    currentSpeed: 6,
+    distanceRan: 0,
+    playCount: 0,
+    activated: false,
+    crashed: false,
+    paused: false,
+    raqId: 1,
+    distanceMeter: { getActualDistance: (d) => Math.round(d * 0.025) },
+    tRex: {
+      jumping: false,
+      startJump() {
+        this.jumping = true;
+      },
+      setSpeedDrop() {},
+    },
+    horizon: {
+      obstacles: [],
+      gapCoefficient: 0.6,
+      addNewObstacle() {
+        this.obstacles.push({ typeConfig: { type: "CACTUS_SMALL", height: 35 }, xPos: 600, yPos: 105, width: 17 });
+      },
+    },
+  });
+}
+
+let runner;
+beforeEach(() => {
+  runner = fakeRunner();
+  const Runner = { config: { SPEED: 6 }, instance_: runner };
+  vi.stubGlobal("window", { Runner });
+});
+
+describe("createRunnerController", () => {
+  it("emits game events and reports the score", () => {
+    const controller = createRunnerController();
+    const events = [];
+    Object.values(RUNNER_EVENT).forEach((type) =>
+      controller.on(type, (payload) => events.push([type, payload]))
+    );
+    controller.connect();
+
+    controller.start();
+    runner.update();
+    runner.horizon.addNewObstacle();
+    runner.tRex.setSpeedDrop();
+    runner.gameOver();
+
+    expect(events.map(([type]) => type)).toEqual([
+      RUNNER_EVENT.JUMP,
+      RUNNER_EVENT.SCORE_TICK,
+      RUNNER_EVENT.OBSTACLE_SPAWNED,
+      RUNNER_EVENT.DUCK,
+      RUNNER_EVENT.CRASH,
+    ]);
+    expect(events[2][1]).toMatchObject({ type: "CACTUS_SMALL", width: 17 });
+    expect(events[4][1].score).toBe(1);
+    expect(controller.getScore()).toBe(1);
+  });
+
+  it("flags every hundred points as a milestone", () => {
+    const controller = createRunnerController();
+    const milestones = [];
+    controller.on(RUNNER_EVENT.MILESTONE, ({ score }) => milestones.push(score));
+    controller.connect();
+    controller.start();
+    // 40 distance is 1 point per frame in the fake
+    for (let i = 0; i < 250; i++) runner.update();
+    expect(milestones).toEqual([100, 200]);
+  });
+
+  it("applies difficulty without touching the shared Runner.config", () => {
+    const controller = createRunnerController();
+    controller.setConfig({ speed: 3.5, acceleration: 0, gapCoefficient: 28, maxObstacleDuplication: 1 });
+    controller.connect();
+
+    expect(runner.config).toMatchObject({ SPEED: 3.5, ACCELERATION: 0, GAP_COEFFICIENT: 28 });
+    expect(window.Runner.config).toEqual({ SPEED: 6 });
+    expect(runner.currentSpeed).toBe(3.5);
+    expect(runner.horizon.gapCoefficient).toBe(28);
+  });
+
+  it("restarts a running game and pauses / resumes it", () => {
+    const controller = createRunnerController();
+    const starts = [];
+    controller.on(RUNNER_EVENT.START, (e) => starts.push(e));
+    controller.connect();
+
+    runner.activated = true;
+    runner.distanceRan = 800;
+    controller.restart();
+    expect(runner.distanceRan).toBe(0);
+    expect(starts).toEqual([{ restart: true }]);
+
+    controller.pause();
+    expect(controller.isRunning()).toBe(false);
+    controller.resume();
+    expect(controller.isRunning()).toBe(true);
+  });
+
+  it("keeps a held round still whatever the Runner's own handlers do", () => {
+    const controller = createRunnerController();
+    let held = true;
+    controller.setRoundGuard({ inRound: () => true, isHeld: () => held });
+    controller.connect();
+    controller.restart();
+    controller.pause();
+
+    runner.onKeyUp({ keyCode: 32 });
+    runner.onVisibilityChange({ type: "focus" });
+    runner.onVisibilityChange({ type: "visibilitychange" });
+    expect(controller.isRunning()).toBe(false);
+
+    held = false;
+    controller.resume();
+    expect(controller.isRunning()).toBe(true);
+  });
+
+  it("keeps a round running when the window loses focus", () => {
+    const controller = createRunnerController();
+    let inRound = true;
+    controller.setRoundGuard({ inRound: () => inRound, isHeld: () => false });
+    controller.connect();
+    controller.restart();
+
+    runner.onVisibilityChange({ type: "blur" });
+    expect(controller.isRunning()).toBe(true);
+
+    inRound = false;
+    runner.onVisibilityChange({ type: "blur" });
+    expect(controller.isRunning()).toBe(false);
+  });
+
+  it("starts a stopped run over rather than jumping", () => {
+    const controller = createRunnerController();
+    controller.connect();
+    controller.start();
+    expect(runner.tRex.jumping).toBe(true);
+
+    controller.restart();
+    runner.distanceRan = 800;
+    controller.pause();
+    controller.start();
+    expect(runner.distanceRan).toBe(0);
+    expect(controller.isRunning()).toBe(true);
+  });
+
+  it("never patches twice and restores the Runner on disconnect", () => {
+    const first = createRunnerController();
+    const second = createRunnerController();
+    const crashes = vi.fn();
+    first.on(RUNNER_EVENT.CRASH, crashes);
+    second.on(RUNNER_EVENT.CRASH, crashes);
+
+    first.connect();
+    first.connect();
+    second.connect();
+    runner.gameOver();
+    expect(crashes).toHaveBeenCalledTimes(1);
+
+    first.disconnect();
+    runner.gameOver();
+    expect(crashes).toHaveBeenCalledTimes(2);
+
+    second.disconnect();
+    expect(Object.prototype.hasOwnProperty.call(runner, "gameOver")).toBe(false);
+    expect(Object.prototype.hasOwnProperty.call(runner.tRex, "startJump")).toBe(true);
+    runner.gameOver();
+    expect(crashes).toHaveBeenCalledTimes(2);
+  });
+
+  it("replays the same obstacles on every run of a seeded course", () => {
+    // Stands in for the Runner's random obstacle type and gap
+    runner.horizon.addNewObstacle = function () {
+      this.obstacles.push({ typeConfig: { type: "CACTUS_SMALL", height: 35 }, xPos: 600 + Math.random() * 600, yPos: 105, width: 17 });
+    };
+    const controller = createRunnerController();
+    const spawned = [];
+    controller.on(RUNNER_EVENT.OBSTACLE_SPAWNED, ({ x }) => spawned.push(x));
+    controller.connect();
+    controller.setObstacleSeed(42);
+
+    const run = () => {
+      runner.gameOver();
+      controller.restart();
+      runner.horizon.addNewObstacle();
+      runner.horizon.addNewObstacle();
+    };
+    run();
+    run();
+    expect(spawned.slice(2)).toEqual(spawned.slice(0, 2));
+    expect(spawned[0]).not.toBe(spawned[1]);
+
+    const random = Math.random;
+    controller.setObstacleSeed(null);
+    run();
+    expect(Math.random).toBe(random);
+    expect(spawned[4]).not.toBe(spawned[0]);
+  });
+});
@@ -0,0 +1,26 @@
+// The Runner only listens for keyboard events on `document`, so gestures are
+// turned into the same key events a player would type.
+const KEYS = {
+  SPACE: { key: " ", code: "Space", keyCode: 32, which: 32 },
+  ARROW_DOWN: { key: "ArrowDown", code: "ArrowDown", keyCode: 40, which: 40 },
+};
+
+function dispatchKey(type, keyInit) {
+  document.dispatchEvent(
+    new KeyboardEvent(type, { ...keyInit, bubbles: true })
+  );
+}
+
+export function simulateSpacebar() {
+  dispatchKey("keydown", KEYS.SPACE);
+  setTimeout(() => dispatchKey("keyup", KEYS.SPACE), 100);
+}
+
+// Duck is held for as long as the player stays crouched.
+export function pressDuck() {
+  dispatchKey("keydown", KEYS.ARROW_DOWN);
+}
+
+export function releaseDuck() {
+  dispatchKey("keyup", KEYS.ARROW_DOWN);
+}
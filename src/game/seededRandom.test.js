@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { createSeededRandom, hashSeed } from "./seededRandom";
+import { dailyBoard, dailyDate, dailySeed, pastDailyDates } from "./dailyChallenge";
+
+describe("createSeededRandom", () => {
+  it("repeats its sequence for the same seed", () => {
+    const a = createSeededRandom(7);
+    const b = createSeededRandom(7);
+    const sequence = Array.from({ length: 20 }, () => a());
+    expect(Array.from({ length: 20 }, () => b())).toEqual(sequence);
+    expect(sequence.every((n) => n >= 0 && n < 1)).toBe(true);
+    expect(createSeededRandom(8)()).not.toBe(sequence[0]);
+  });
+
+  it("hashes strings to stable 32-bit seeds", () => {
+    expect(hashSeed("daily-2024-05-01")).toBe(hashSeed("daily-2024-05-01"));
+    expect(hashSeed("daily-2024-05-01")).not.toBe(hashSeed("daily-2024-05-02"));
+    expect(hashSeed("")).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe("daily challenge dates", () => {
+  it("uses the UTC day for the board and seed", () => {
+    const now = Date.UTC(2024, 4, 1, 23, 30);
+    expect(dailyDate(now)).toBe("2024-05-01");
+    expect(dailyBoard("2024-05-01")).toBe("daily-2024-05-01");
+    expect(dailySeed("2024-05-01")).toBe(hashSeed("daily-2024-05-01"));
+    expect(pastDailyDates(now, 3)).toEqual(["2024-04-30", "2024-04-29", "2024-04-28"]);
+  });
+});
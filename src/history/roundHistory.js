@@ -0,0 +1,175 @@
+import { STORAGE_KEYS } from "../storage";
+import { loadProfileValue, saveProfileValue } from "../profiles/profiles";
+import { downloadFile } from "../download";
+
+// Oldest rounds are dropped beyond this to keep localStorage small
+export const MAX_HISTORY_ROUNDS = 2000;
+const HISTORY_VERSION = 1;
+
+// `duration` is in seconds
+const ROUND_FIELDS = ["timestamp", "score", "jumps", "duration", "mode"];
+const CSV_COLUMNS = ["player", "date", ...ROUND_FIELDS];
+
+export function loadHistory(profileId) {
+  return loadProfileValue(profileId, STORAGE_KEYS.HISTORY, []);
+}
+
+export function saveHistory(profileId, rounds) {
+  saveProfileValue(profileId, STORAGE_KEYS.HISTORY, rounds);
+}
+
+export function appendRound(rounds, round) {
+  return [...rounds, round].slice(-MAX_HISTORY_ROUNDS);
+}
+
+const samePlayer = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// Rounds without a `player` are `playerName`'s, the profile's own
+const roundKey = (round, playerName) =>
+  `${String(round.player ?? playerName ?? "").trim().toLowerCase()}|${round.timestamp}`;
+
+// Imported rounds are matched on player and timestamp, so importing the same
+// file twice doesn't duplicate anything while two players' rounds from the
+// same moment both stay. The profile's own rounds are kept without a name.
+export function mergeHistory(rounds, imported, playerName) {
+  const byKey = new Map(rounds.map((r) => [roundKey(r, playerName), r]));
+  imported.forEach((r) => {
+    let round = r;
+    if (samePlayer(r.player, playerName) || !r.player) {
+      round = { ...r };
+      delete round.player;
+    }
+    byKey.set(roundKey(round, playerName), round);
+  });
+  return [...byKey.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_HISTORY_ROUNDS);
+}
+
+export function jumpsPerMinute(round) {
+  return round.duration > 0 ? (round.jumps * 60) / round.duration : 0;
+}
+
+// ── Export ────────────────────────────────────────────────────────
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function historyToCsv(rounds, playerName) {
+  const rows = rounds.map((r) =>
+    [r.player ?? playerName, new Date(r.timestamp).toISOString(), ...ROUND_FIELDS.map((f) => r[f])]
+      .map(csvField)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+export function historyToJson(rounds, playerName) {
+  return JSON.stringify(
+    { version: HISTORY_VERSION, player: playerName, exportedAt: Date.now(), rounds },
+    null,
+    2
+  );
+}
+
+export function downloadHistory(rounds, playerName, format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const name = `dino-history-${playerName || "player"}-${stamp}.${format}`;
+  if (format === "csv") {
+    downloadFile(name, historyToCsv(rounds, playerName), "text/csv");
+  } else {
+    downloadFile(name, historyToJson(rounds, playerName), "application/json");
+  }
+}
+
+// ── Import ────────────────────────────────────────────────────────
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// `player` is only set when the file names one; `defaultPlayer` is the
+// name a JSON export carries for all of its rounds
+function toRound(raw, where, defaultPlayer) {
+  const player = String(raw.player || defaultPlayer || "").trim();
+  const round = {
+    timestamp: Number(raw.timestamp) || Date.parse(raw.date),
+    score: Number(raw.score),
+    jumps: Number(raw.jumps),
+    duration: Number(raw.duration),
+    mode: String(raw.mode || "").trim(),
+  };
+  const valid =
+    round.timestamp > 0 &&
+    [round.score, round.jumps, round.duration].every((n) => Number.isFinite(n) && n >= 0) &&
+    round.mode;
+  if (!valid) {
+    throw new Error(`${where} is not a valid round`);
+  }
+  return player ? { ...round, player } : round;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const header = parseCsvLine(lines[0] || "").map((h) => h.trim().toLowerCase());
+  const missing = ROUND_FIELDS.filter((f) => f !== "timestamp" && !header.includes(f));
+  if (missing.length) {
+    throw new Error(`CSV is missing the ${missing.join(", ")} column(s)`);
+  }
+  return lines.slice(1).map((line, i) => {
+    const values = parseCsvLine(line);
+    const raw = Object.fromEntries(header.map((h, j) => [h, values[j]]));
+    return toRound(raw, `Line ${i + 2}`);
+  });
+}
+
+// Accepts both export formats. Rejects with a readable message otherwise.
+export function parseHistory(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("{") && !trimmed.startsWith("[")) return parseCsv(trimmed);
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  const rounds = Array.isArray(data) ? data : data?.rounds;
+  if (!Array.isArray(rounds)) {
+    throw new Error("JSON has no rounds");
+  }
+  return rounds.map((raw, i) => toRound(raw, `Round ${i + 1}`, data.player));
+}
+
+export async function readHistoryFile(file) {
+  try {
+    return parseHistory(await file.text());
+  } catch (error) {
+    throw new Error(`${file.name}: ${error.message}`);
+  }
+}
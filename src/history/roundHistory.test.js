@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { historyToCsv, historyToJson, mergeHistory, parseHistory } from "./roundHistory";
+
+const rounds = [
+  { timestamp: 1700000000000, score: 120, jumps: 8, duration: 24.5, mode: "arcade" },
+  { timestamp: 1700000100000, score: 310, jumps: 19, duration: 51, mode: "classic" },
+];
+
+describe("history export / import", () => {
+  it("round-trips through CSV", () => {
+    const csv = historyToCsv(rounds, 'ANA "A", B');
+    expect(csv.split("\n")[0]).toBe("player,date,timestamp,score,jumps,duration,mode");
+    expect(parseHistory(csv)).toEqual(rounds.map((r) => ({ ...r, player: 'ANA "A", B' })));
+  });
+
+  it("round-trips through JSON", () => {
+    expect(parseHistory(historyToJson(rounds, "ANA"))).toEqual(
+      rounds.map((r) => ({ ...r, player: "ANA" }))
+    );
+  });
+
+  it("accepts a spreadsheet CSV with only a date column", () => {
+    const csv = "Date,Score,Jumps,Duration,Mode\n2024-01-05T10:00:00Z,50,3,10,kids\n";
+    expect(parseHistory(csv)[0]).toMatchObject({
+      timestamp: Date.parse("2024-01-05T10:00:00Z"),
+      score: 50,
+      mode: "kids",
+    });
+  });
+
+  it("names the first bad row", () => {
+    const csv = "timestamp,score,jumps,duration,mode\n1,5,1,3,arcade\n2,lots,1,3,arcade\n";
+    expect(() => parseHistory(csv)).toThrow("Line 3 is not a valid round");
+    expect(() => parseHistory("score,jumps\n1,2")).toThrow("duration, mode");
+  });
+});
+
+describe("mergeHistory", () => {
+  it("skips rounds that are already there and keeps time order", () => {
+    const merged = mergeHistory([rounds[1]], rounds);
+    expect(merged).toEqual(rounds);
+  });
+
+  it("keeps other players' rounds from the same moment apart", () => {
+    const imported = parseHistory(historyToCsv([rounds[0]], "BEN"));
+    const merged = mergeHistory(rounds, imported, "ANA");
+    expect(merged).toHaveLength(3);
+    expect(merged.filter((r) => r.timestamp === rounds[0].timestamp)).toEqual([
+      rounds[0],
+      { ...rounds[0], player: "BEN" },
+    ]);
+    // Re-importing the same file changes nothing
+    expect(mergeHistory(merged, imported, "ANA")).toEqual(merged);
+  });
+
+  it("recognises the profile's own exported rounds", () => {
+    const imported = parseHistory(historyToCsv(rounds, "ana"));
+    expect(mergeHistory(rounds, imported, "ANA")).toEqual(rounds);
+  });
+});
@@ -0,0 +1,278 @@
+import { preloadPoseAssets } from "../pose/poseAssets";
+import { preciseNow } from "../pose/pipelineStats";
+
+export const POSE_LOAD_PHASE = {
+  DOWNLOADING: "DOWNLOADING",
+  INITIALIZING: "INITIALIZING",
+  READY: "READY",
+  ERROR: "ERROR",
+};
+
+const PREVIEW_SIZE = { width: 320, height: 240 };
+// An animation frame this long means the page missed at least one vsync
+const DROPPED_FRAME_MS = 25;
+const LOAD_REPORT_MS = 500;
+// Share of dropped frames at which the worker is asked to back off
+const DROPPING_SHARE = 0.2;
+// Frames in a row the page may fail to grab before giving up on the camera
+const MAX_GRAB_FAILURES = 30;
+
+// Tells the worker whether the page (and with it the Runner) is dropping
+// animation frames. Returns a function that stops watching.
+function watchPageLoad(worker) {
+  let last = performance.now();
+  let windowStart = last;
+  let frames = 0;
+  let dropped = 0;
+  let frameId;
+  const tick = (now) => {
+    frames += 1;
+    if (now - last > DROPPED_FRAME_MS) dropped += 1;
+    last = now;
+    if (now - windowStart >= LOAD_REPORT_MS) {
+      worker.postMessage({ type: "load", dropping: dropped / frames > DROPPING_SHARE });
+      windowStart = now;
+      frames = 0;
+      dropped = 0;
+    }
+    frameId = requestAnimationFrame(tick);
+  };
+  frameId = requestAnimationFrame(tick);
+  return () => cancelAnimationFrame(frameId);
+}
+
+// Asks for `camera` (`{ deviceId, width, height }`, see cameraSettings.js).
+// A camera that has been unplugged since it was chosen falls back to the
+// browser's default rather than failing.
+async function openCamera({ deviceId, width, height }) {
+  const video = { width: { ideal: width }, height: { ideal: height } };
+  if (!deviceId) return navigator.mediaDevices.getUserMedia({ video, audio: false });
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      video: { ...video, deviceId: { exact: deviceId } },
+      audio: false,
+    });
+  } catch (error) {
+    if (error.name !== "NotFoundError" && error.name !== "OverconstrainedError") throw error;
+    console.warn("Chosen camera unavailable, using the default:", error.name);
+    return navigator.mediaDevices.getUserMedia({ video, audio: false });
+  }
+}
+
+// Runs MediaPipe Pose on the webcam in a worker (pose/poseWorker.js) and
+// hands every result to `onResults` as `{ poseLandmarks, faceLandmarks,
+// capturedAt, inferenceMs, skipped }`. With `faceLandmarks`, Face Mesh runs
+// on the same frames (its landmarks are null when no face is found). The
+// worker draws the preview onto a canvas added to `preview`, with the
+// skeleton on top while `skeleton` is set; `setSkeleton()` changes that
+// without restarting. `setCamera()` switches to another camera or resolution
+// the same way: only the MediaStream is reopened, the model keeps running.
+//
+// Page → worker: `init` with the preloaded assets and the preview as an
+// OffscreenCanvas; then either `frames`, a stream of VideoFrames (sent again
+// for each new camera), or one `frame` ImageBitmap per `next` it asks for;
+// `load` reports and `skeleton`.
+// Worker → page: `ready`, `results`, `next` and `error`.
+//
+// `start()` rejects with a "PoseLoadError" when the model can't be loaded,
+// with the browser's own error when there is no camera or permission is
+// refused, and with an "AbortError" when `stop()` comes first. Failures once
+// running go to `onError`.
+export function createCameraInput({
+  video,
+  preview,
+  onResults,
+  onLoadProgress,
+  onError,
+  faceLandmarks = false,
+  modelComplexity = 0,
+  camera = { deviceId: null, width: 640, height: 480 },
+  skeleton = true,
+}) {
+  let assets = null;
+  let worker = null;
+  let canvas = null;
+  let stream = null;
+  let stopWatching = null;
+  let stopped = false;
+  let abortStart = null;
+  let grabFailures = 0;
+  let grabbing = false;
+  // Bumped per camera opened, so only the latest of quick switches is kept
+  let attachments = 0;
+  let attaching = false;
+
+  const report = (phase, progress = 0) => {
+    if (onLoadProgress) onLoadProgress({ phase, progress });
+  };
+
+  const fail = (error) => {
+    if (!stopped && onError) onError(error);
+  };
+
+  // Without MediaStreamTrackProcessor the page grabs frames from the video.
+  // The video has no frame to give while it (re)starts, so a failed grab is
+  // retried on the next animation frame for a while before giving up.
+  const sendFrame = async () => {
+    if (stopped) return;
+    const capturedAt = preciseNow();
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(video);
+    } catch (error) {
+      if (!attaching) grabFailures += 1;
+      if (grabFailures >= MAX_GRAB_FAILURES) fail(error);
+      else requestAnimationFrame(sendFrame);
+      return;
+    }
+    grabFailures = 0;
+    if (stopped) {
+      bitmap.close();
+      return;
+    }
+    worker.postMessage({ type: "frame", bitmap, capturedAt }, [bitmap]);
+  };
+
+  function startWorker() {
+    worker = new Worker(new URL("../pose/poseWorker.js", import.meta.url), { type: "module" });
+    canvas = document.createElement("canvas");
+    canvas.width = PREVIEW_SIZE.width;
+    canvas.height = PREVIEW_SIZE.height;
+    canvas.className = "canvasCam";
+    preview.appendChild(canvas);
+    const offscreen = canvas.transferControlToOffscreen();
+
+    return new Promise((resolve, reject) => {
+      let ready = false;
+      abortStart = () => {
+        const error = new Error("The camera was stopped while starting");
+        error.name = "AbortError";
+        reject(error);
+      };
+      worker.onmessage = ({ data }) => {
+        if (data.type === "ready") {
+          ready = true;
+          abortStart = null;
+          resolve();
+        }
+        if (data.type === "results") onResults(data);
+        if (data.type === "next") requestAnimationFrame(sendFrame);
+        if (data.type === "error") {
+          const error = new Error(data.message);
+          error.name = "PoseLoadError";
+          // Once the worker is running there's no promise left to reject
+          if (ready) fail(error);
+          else reject(error);
+        }
+      };
+      worker.onerror = (event) => {
+        const error = new Error(event.message || "The pose worker could not start");
+        error.name = "PoseLoadError";
+        if (ready) fail(error);
+        else reject(error);
+      };
+      worker.postMessage(
+        {
+          type: "init",
+          assets: assets.files,
+          modelComplexity,
+          withFace: faceLandmarks,
+          skeleton,
+          canvas: offscreen,
+        },
+        [offscreen]
+      );
+    });
+  }
+
+  // Opens `camera` and feeds it to the worker in place of the current
+  // stream, which is stopped once the new one is wired up
+  async function attachCamera() {
+    const attempt = ++attachments;
+    const next = await openCamera(camera);
+    if (stopped || attempt !== attachments) {
+      next.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    const previous = stream;
+    stream = next;
+
+    const [track] = stream.getVideoTracks();
+    if (window.MediaStreamTrackProcessor) {
+      // The worker finishes with the old frames, which end with their track
+      const { readable } = new window.MediaStreamTrackProcessor({ track });
+      worker.postMessage({ type: "frames", frames: readable }, [readable]);
+      if (previous) previous.getTracks().forEach((t) => t.stop());
+      return;
+    }
+
+    attaching = true;
+    video.srcObject = stream;
+    if (previous) previous.getTracks().forEach((t) => t.stop());
+    try {
+      await video.play();
+    } catch (error) {
+      // A newer camera took the video over before this one played
+      if (attempt === attachments) throw error;
+      return;
+    } finally {
+      if (attempt === attachments) attaching = false;
+    }
+    grabFailures = 0;
+    if (stopped || grabbing) return;
+    grabbing = true;
+    sendFrame();
+  }
+
+  return {
+    async start() {
+      report(POSE_LOAD_PHASE.DOWNLOADING);
+      assets = await preloadPoseAssets({
+        modelComplexity,
+        onProgress: ({ progress }) =>
+          report(POSE_LOAD_PHASE.DOWNLOADING, progress),
+      });
+      if (stopped) return;
+
+      report(POSE_LOAD_PHASE.INITIALIZING);
+      await startWorker();
+      report(POSE_LOAD_PHASE.READY, 1);
+      if (stopped) return;
+
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error("This browser has no camera access");
+      }
+      await attachCamera();
+      if (stopped) return;
+      stopWatching = watchPageLoad(worker);
+    },
+
+    setSkeleton(show) {
+      if (worker) worker.postMessage({ type: "skeleton", show });
+    },
+
+    // Before the camera is first opened this just changes what start() asks for
+    setCamera(next) {
+      if (
+        next.deviceId === camera.deviceId &&
+        next.width === camera.width &&
+        next.height === camera.height
+      ) {
+        return;
+      }
+      camera = next;
+      if (attachments > 0 && !stopped) attachCamera().catch(fail);
+    },
+
+    stop() {
+      stopped = true;
+      if (abortStart) abortStart();
+      if (stopWatching) stopWatching();
+      if (worker) worker.terminate();
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+      if (video) video.srcObject = null;
+      if (canvas) canvas.remove();
+      if (assets) assets.release();
+    },
+  };
+}
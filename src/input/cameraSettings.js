@@ -0,0 +1,71 @@
+import { STORAGE_KEYS, loadStored, saveStored } from "../storage";
+
+// Which webcam to use and how its preview looks. Kept per machine: the
+// cameras belong to the computer, not to whoever is playing.
+export const CAMERA_RESOLUTIONS = [
+  { id: "360p", label: "480×360", width: 480, height: 360 },
+  { id: "480p", label: "640×480", width: 640, height: 480 },
+  { id: "720p", label: "1280×720", width: 1280, height: 720 },
+];
+
+export const PREVIEW_SIZES = [
+  { id: "small", label: "Small" },
+  { id: "medium", label: "Medium" },
+  { id: "large", label: "Large" },
+];
+
+export const PREVIEW_POSITIONS = [
+  { id: "top-left", label: "Top left" },
+  { id: "top-right", label: "Top right" },
+  { id: "bottom-left", label: "Bottom left" },
+  { id: "bottom-right", label: "Bottom right" },
+];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  // null is whichever camera the browser picks
+  deviceId: null,
+  resolution: "480p",
+  mirror: true,
+  previewSize: "medium",
+  previewPosition: "top-left",
+  skeleton: true,
+};
+
+const isOneOf = (options, id) => options.some((option) => option.id === id);
+
+export function loadCameraSettings() {
+  const settings = { ...DEFAULT_CAMERA_SETTINGS, ...loadStored(STORAGE_KEYS.CAMERA, {}) };
+  if (!isOneOf(CAMERA_RESOLUTIONS, settings.resolution)) {
+    settings.resolution = DEFAULT_CAMERA_SETTINGS.resolution;
+  }
+  if (!isOneOf(PREVIEW_SIZES, settings.previewSize)) {
+    settings.previewSize = DEFAULT_CAMERA_SETTINGS.previewSize;
+  }
+  if (!isOneOf(PREVIEW_POSITIONS, settings.previewPosition)) {
+    settings.previewPosition = DEFAULT_CAMERA_SETTINGS.previewPosition;
+  }
+  return settings;
+}
+
+export function saveCameraSettings(settings) {
+  saveStored(STORAGE_KEYS.CAMERA, settings);
+}
+
+// What input/cameraInput.js asks getUserMedia for. The resolution is only
+// a preference, so a camera that can't do it still starts.
+export function cameraRequest({ deviceId, resolution }) {
+  const { width, height } = CAMERA_RESOLUTIONS.find((option) => option.id === resolution);
+  return { deviceId, width, height };
+}
+
+// Browsers only fill in labels once camera permission has been granted
+export function toCameraList(devices) {
+  return devices
+    .filter((device) => device.kind === "videoinput" && device.deviceId)
+    .map((device, i) => ({ id: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+export async function listCameras() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  return toCameraList(await navigator.mediaDevices.enumerateDevices());
+}
@@ -0,0 +1,60 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { STORAGE_KEYS } from "../storage";
+import {
+  cameraRequest,
+  DEFAULT_CAMERA_SETTINGS,
+  loadCameraSettings,
+  saveCameraSettings,
+  toCameraList,
+} from "./cameraSettings";
+import { memoryStorage } from "../testing/memoryStorage";
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+describe("camera settings", () => {
+  it("starts with the default camera, mirrored", () => {
+    expect(loadCameraSettings()).toEqual(DEFAULT_CAMERA_SETTINGS);
+    expect(loadCameraSettings().mirror).toBe(true);
+  });
+
+  it("keeps saved choices and drops ones this version doesn't offer", () => {
+    saveCameraSettings({ ...DEFAULT_CAMERA_SETTINGS, deviceId: "abc", previewSize: "large" });
+    expect(loadCameraSettings()).toMatchObject({ deviceId: "abc", previewSize: "large" });
+
+    localStorage.setItem(
+      STORAGE_KEYS.CAMERA,
+      JSON.stringify({ resolution: "4k", previewPosition: "middle", mirror: false })
+    );
+    expect(loadCameraSettings()).toMatchObject({
+      resolution: DEFAULT_CAMERA_SETTINGS.resolution,
+      previewPosition: DEFAULT_CAMERA_SETTINGS.previewPosition,
+      mirror: false,
+    });
+  });
+
+  it("turns a resolution into the size to ask the camera for", () => {
+    expect(cameraRequest({ deviceId: "abc", resolution: "720p" })).toEqual({
+      deviceId: "abc",
+      width: 1280,
+      height: 720,
+    });
+  });
+});
+
+describe("toCameraList", () => {
+  it("lists video inputs and names the ones the browser hasn't labelled", () => {
+    const devices = [
+      { kind: "audioinput", deviceId: "mic", label: "Mic" },
+      { kind: "videoinput", deviceId: "front", label: "FaceTime HD" },
+      { kind: "videoinput", deviceId: "usb", label: "" },
+      // Before permission some browsers report cameras with no id at all
+      { kind: "videoinput", deviceId: "", label: "" },
+    ];
+    expect(toCameraList(devices)).toEqual([
+      { id: "front", label: "FaceTime HD" },
+      { id: "usb", label: "Camera 2" },
+    ]);
+  });
+});
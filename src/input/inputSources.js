@@ -0,0 +1,53 @@
+import { createCameraInput } from "./cameraInput";
+import { createKeyboardInput } from "./keyboardInput";
+
+export const INPUT_SOURCE = {
+  CAMERA: "camera",
+  KEYBOARD: "keyboard",
+  TOUCH: "touch",
+};
+
+export const INPUT_SOURCES = {
+  [INPUT_SOURCE.CAMERA]: { id: INPUT_SOURCE.CAMERA, label: "Camera", icon: "📷" },
+  [INPUT_SOURCE.KEYBOARD]: { id: INPUT_SOURCE.KEYBOARD, label: "Keyboard", icon: "⌨️" },
+  [INPUT_SOURCE.TOUCH]: { id: INPUT_SOURCE.TOUCH, label: "Touch", icon: "👆" },
+};
+
+// Where the camera fails, play continues on this source.
+export const FALLBACK_INPUT_SOURCE = INPUT_SOURCE.KEYBOARD;
+
+// Every source shares the same lifecycle: `start()` (may reject) and `stop()`.
+// The camera also has `setSkeleton(show)` and `setCamera(camera)`, and reports
+// failures after it has started to `onCameraError`.
+// Touch play is driven by the on-screen buttons, so it only needs the
+// keyboard listener alongside it.
+export function createInputSource(
+  source,
+  {
+    video,
+    preview,
+    onPoseResults,
+    onPoseLoadProgress,
+    onCameraError,
+    onJump,
+    faceLandmarks,
+    modelComplexity,
+    camera,
+    skeleton,
+  }
+) {
+  if (source === INPUT_SOURCE.CAMERA) {
+    return createCameraInput({
+      video,
+      preview,
+      onResults: onPoseResults,
+      onLoadProgress: onPoseLoadProgress,
+      onError: onCameraError,
+      faceLandmarks,
+      modelComplexity,
+      camera,
+      skeleton,
+    });
+  }
+  return createKeyboardInput({ onJump });
+}
@@ -0,0 +1,20 @@
+const JUMP_KEYS = ["Space", "ArrowUp"];
+
+// The Runner already reacts to real key presses; this only reports them so
+// jumps are counted. Synthetic events sent by gesture input are ignored.
+export function createKeyboardInput({ onJump }) {
+  const handleKeyDown = (e) => {
+    if (!e.isTrusted || e.repeat) return;
+    if (JUMP_KEYS.includes(e.code)) onJump();
+  };
+
+  return {
+    async start() {
+      document.addEventListener("keydown", handleKeyDown);
+    },
+
+    stop() {
+      document.removeEventListener("keydown", handleKeyDown);
+    },
+  };
+}
@@ -0,0 +1,48 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createKeyboardInput } from "./keyboardInput";
+
+// Real key presses can't be synthesised (`isTrusted` is read-only), so the
+// listener is called with plain event objects
+let listeners;
+const press = (event) =>
+  listeners.forEach((listener) => listener({ isTrusted: true, repeat: false, ...event }));
+
+beforeEach(() => {
+  listeners = new Set();
+  vi.stubGlobal("document", {
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("createKeyboardInput", () => {
+  it("counts space and up arrow presses as jumps", async () => {
+    const onJump = vi.fn();
+    await createKeyboardInput({ onJump }).start();
+    press({ code: "Space" });
+    press({ code: "ArrowUp" });
+    press({ code: "ArrowDown" });
+    expect(onJump).toHaveBeenCalledTimes(2);
+  });
+
+  it("ignores held keys and the gesture input's synthetic presses", async () => {
+    const onJump = vi.fn();
+    await createKeyboardInput({ onJump }).start();
+    press({ code: "Space", repeat: true });
+    press({ code: "Space", isTrusted: false });
+    expect(onJump).not.toHaveBeenCalled();
+  });
+
+  it("stops listening when stopped", async () => {
+    const onJump = vi.fn();
+    const input = createKeyboardInput({ onJump });
+    await input.start();
+    input.stop();
+    press({ code: "Space" });
+    expect(onJump).not.toHaveBeenCalled();
+  });
+});
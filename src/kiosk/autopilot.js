@@ -0,0 +1,51 @@
+// Plays the Runner by itself for the kiosk's attract loop.
+
+// Pixels of lead before an obstacle, plus this many per unit of speed
+const JUMP_LEAD = 20;
+const JUMP_LEAD_PER_SPEED = 11;
+const RESTART_MS = 1500;
+
+// True when the next obstacle is close enough to jump it
+export function shouldJump(runner) {
+  const { tRex, horizon, currentSpeed } = runner;
+  if (tRex.jumping) return false;
+  const dinoFront = tRex.xPos + tRex.config.WIDTH;
+  const next = horizon.obstacles.find((o) => o.xPos + o.width > tRex.xPos);
+  if (!next) return false;
+  return next.xPos - dinoFront < JUMP_LEAD + currentSpeed * JUMP_LEAD_PER_SPEED;
+}
+
+export function createAutopilot(controller) {
+  let frameId = null;
+  let restartTimer = null;
+
+  const tick = () => {
+    const runner = controller.getRunner();
+    if (runner) {
+      if (runner.crashed) {
+        if (!restartTimer) {
+          restartTimer = setTimeout(() => {
+            restartTimer = null;
+            controller.restart();
+          }, RESTART_MS);
+        }
+      } else if (!runner.activated || shouldJump(runner)) {
+        controller.start();
+      }
+    }
+    frameId = requestAnimationFrame(tick);
+  };
+
+  return {
+    start() {
+      if (frameId === null) frameId = requestAnimationFrame(tick);
+    },
+
+    stop() {
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      clearTimeout(restartTimer);
+      frameId = null;
+      restartTimer = null;
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import { STORAGE_KEYS, loadStored, saveStored } from "../storage";
+
+// Kiosk settings belong to the machine, not to a player profile. The PIN
+// only keeps visitors out of the operator panel; it is stored as typed.
+// There is no default: kiosk mode can't be turned on until one is set.
+export const PIN_LENGTH = 4;
+// Earlier versions shipped with this PIN, so it is known to everyone
+const OLD_DEFAULT_PIN = "0000";
+
+export const DEFAULT_KIOSK_SETTINGS = {
+  enabled: false,
+  pin: null,
+  // Back to the attract loop this long after a game over
+  returnMs: 20000,
+  // A player must be tracked this long before a round starts by itself
+  arriveMs: 1500,
+  // Each attract slide stays up this long
+  slideMs: 8000,
+  // Ask for a name on screen when a score makes the leaderboard
+  nameEntry: true,
+};
+
+export function loadKioskSettings() {
+  const settings = { ...DEFAULT_KIOSK_SETTINGS, ...loadStored(STORAGE_KEYS.KIOSK, {}) };
+  if (!isValidPin(settings.pin)) {
+    settings.pin = null;
+    settings.enabled = false;
+  }
+  return settings;
+}
+
+export function saveKioskSettings(settings) {
+  saveStored(STORAGE_KEYS.KIOSK, settings);
+}
+
+// On-screen keyboard layouts
+export const NAME_KEYS = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789"];
+export const PIN_KEYS = [..."1234567890"];
+
+export function isValidPin(pin) {
+  return new RegExp(`^\\d{${PIN_LENGTH}}$`).test(pin) && pin !== OLD_DEFAULT_PIN;
+}
+
+export function checkPin(settings, pin) {
+  return settings.pin !== null && pin === settings.pin;
+}
+
+// Whether `score` would show up on a leaderboard of `size` entries
+export function makesLeaderboard(score, entries, size) {
+  if (score <= 0) return false;
+  return entries.length < size || score > entries[entries.length - 1].score;
+}
+
+// ── Presence ──────────────────────────────────────────────────────
+export const PRESENCE = {
+  ARRIVED: "arrived",
+  LEFT: "left",
+};
+
+// Debounces "someone is tracked" into arrivals and departures, so people
+// walking past the booth don't start a round.
+export function createPresenceDetector({ arriveMs, leaveMs = arriveMs }) {
+  let present = false;
+  let changingSince = null;
+
+  return {
+    update(tracked, now) {
+      if (tracked === present) {
+        changingSince = null;
+        return null;
+      }
+      if (changingSince === null) changingSince = now;
+      if (now - changingSince < (tracked ? arriveMs : leaveMs)) return null;
+      present = tracked;
+      changingSince = null;
+      return present ? PRESENCE.ARRIVED : PRESENCE.LEFT;
+    },
+
+    // Someone is being tracked but hasn't stayed long enough yet
+    isArriving() {
+      return !present && changingSince !== null;
+    },
+
+    isPresent() {
+      return present;
+    },
+
+    reset() {
+      present = false;
+      changingSince = null;
+    },
+  };
+}
@@ -0,0 +1,138 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { STORAGE_KEYS } from "../storage";
+import {
+  checkPin,
+  createPresenceDetector,
+  DEFAULT_KIOSK_SETTINGS,
+  isValidPin,
+  loadKioskSettings,
+  makesLeaderboard,
+  PRESENCE,
+  saveKioskSettings,
+} from "./kiosk";
+import { shouldJump } from "./autopilot";
+import { memoryStorage } from "../testing/memoryStorage";
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+describe("kiosk settings", () => {
+  it("starts disabled and without a PIN", () => {
+    expect(loadKioskSettings()).toEqual(DEFAULT_KIOSK_SETTINGS);
+    expect(loadKioskSettings().pin).toBeNull();
+    expect(checkPin(loadKioskSettings(), "0000")).toBe(false);
+  });
+
+  it("turns kiosk mode off on machines still using the old default PIN", () => {
+    localStorage.setItem(STORAGE_KEYS.KIOSK, JSON.stringify({ enabled: true, pin: "0000" }));
+    expect(loadKioskSettings()).toMatchObject({ enabled: false, pin: null });
+  });
+
+  it("fills in settings added after the machine was set up", () => {
+    localStorage.setItem(STORAGE_KEYS.KIOSK, JSON.stringify({ enabled: true, pin: "4821" }));
+    const settings = loadKioskSettings();
+    expect(settings.enabled).toBe(true);
+    expect(settings.pin).toBe("4821");
+    expect(settings.returnMs).toBe(DEFAULT_KIOSK_SETTINGS.returnMs);
+  });
+
+  it("checks the PIN it saved", () => {
+    saveKioskSettings({ ...DEFAULT_KIOSK_SETTINGS, pin: "4821" });
+    const settings = loadKioskSettings();
+    expect(checkPin(settings, "4821")).toBe(true);
+    expect(checkPin(settings, "0000")).toBe(false);
+  });
+
+  it("only accepts PINs of exactly four digits", () => {
+    expect(isValidPin("4821")).toBe(true);
+    expect(isValidPin("482")).toBe(false);
+    expect(isValidPin("48211")).toBe(false);
+    expect(isValidPin("48a1")).toBe(false);
+    expect(isValidPin("0000")).toBe(false);
+  });
+});
+
+describe("makesLeaderboard", () => {
+  const entries = [{ score: 900 }, { score: 500 }, { score: 300 }];
+
+  it("takes any score while the board has room", () => {
+    expect(makesLeaderboard(10, entries, 5)).toBe(true);
+    expect(makesLeaderboard(10, [], 5)).toBe(true);
+  });
+
+  it("needs to beat the last entry on a full board", () => {
+    expect(makesLeaderboard(301, entries, 3)).toBe(true);
+    expect(makesLeaderboard(300, entries, 3)).toBe(false);
+  });
+
+  it("never asks for a name for a zero score", () => {
+    expect(makesLeaderboard(0, [], 5)).toBe(false);
+  });
+});
+
+describe("createPresenceDetector", () => {
+  it("reports an arrival only after someone stays tracked", () => {
+    const presence = createPresenceDetector({ arriveMs: 1000 });
+    expect(presence.update(true, 0)).toBeNull();
+    expect(presence.isArriving()).toBe(true);
+    expect(presence.update(true, 999)).toBeNull();
+    expect(presence.update(true, 1000)).toBe(PRESENCE.ARRIVED);
+    expect(presence.isPresent()).toBe(true);
+    expect(presence.isArriving()).toBe(false);
+    expect(presence.update(true, 5000)).toBeNull();
+  });
+
+  it("ignores people walking past", () => {
+    const presence = createPresenceDetector({ arriveMs: 1000 });
+    presence.update(true, 0);
+    presence.update(true, 600);
+    expect(presence.update(false, 700)).toBeNull();
+    expect(presence.isArriving()).toBe(false);
+    expect(presence.update(true, 800)).toBeNull();
+    expect(presence.update(true, 1700)).toBeNull();
+    expect(presence.update(true, 1800)).toBe(PRESENCE.ARRIVED);
+  });
+
+  it("reports a departure after the leave delay", () => {
+    const presence = createPresenceDetector({ arriveMs: 100, leaveMs: 2000 });
+    presence.update(true, 0);
+    presence.update(true, 100);
+    expect(presence.update(false, 200)).toBeNull();
+    expect(presence.update(false, 2200)).toBe(PRESENCE.LEFT);
+    expect(presence.isPresent()).toBe(false);
+  });
+
+  it("forgets everything on reset", () => {
+    const presence = createPresenceDetector({ arriveMs: 100 });
+    presence.update(true, 0);
+    presence.update(true, 100);
+    presence.reset();
+    expect(presence.isPresent()).toBe(false);
+    expect(presence.update(true, 200)).toBeNull();
+  });
+});
+
+describe("shouldJump", () => {
+  const runner = (obstacleX, { jumping = false, speed = 6 } = {}) => ({
+    currentSpeed: speed,
+    tRex: { xPos: 50, jumping, config: { WIDTH: 44 } },
+    horizon: { obstacles: obstacleX === null ? [] : [{ xPos: obstacleX, width: 25 }] },
+  });
+
+  it("jumps when the next obstacle is within the lead", () => {
+    expect(shouldJump(runner(150))).toBe(true);
+    expect(shouldJump(runner(400))).toBe(false);
+  });
+
+  it("leads further at higher speeds", () => {
+    expect(shouldJump(runner(200, { speed: 6 }))).toBe(false);
+    expect(shouldJump(runner(200, { speed: 12 }))).toBe(true);
+  });
+
+  it("waits while already in the air or with nothing ahead", () => {
+    expect(shouldJump(runner(150, { jumping: true }))).toBe(false);
+    expect(shouldJump(runner(null))).toBe(false);
+    expect(shouldJump(runner(10))).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  ref,
+  push,
+  get,
+  onValue,
+  query,
+  orderByChild,
+  limitToLast,
+  startAt,
+  equalTo,
+} from "firebase/database";
+import { playerKey, rankStandings } from "./standings";
+
+// Firebase is only initialised when this backend is actually used, so the
+// offline backends work without any Firebase configuration.
+let databasePromise = null;
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = import("../firebase").then((m) => m.database);
+  }
+  return databasePromise;
+}
+
+const scoresPath = (mode) => `leaderboards/${mode}`;
+
+// The database can only order by one child, so a time window fetches every
+// entry in it and leaves the ranking to toEntries
+function topQuery(database, mode, { limit, since }) {
+  const scores = ref(database, scoresPath(mode));
+  if (since != null) return query(scores, orderByChild("timestamp"), startAt(since));
+  if (limit === undefined) return query(scores, orderByChild("score"));
+  return query(scores, orderByChild("score"), limitToLast(limit));
+}
+
+// Convert object to array and sort descending
+function toEntries(snapshot) {
+  return Object.entries(snapshot.val() || {})
+    .map(([id, entry]) => ({ ...entry, id }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export function createFirebaseLeaderboard() {
+  return {
+    // The database rules only allow adding entries, so players can't wipe
+    // the board. Admins clear a mode from the Firebase console, or with
+    //   firebase database:remove /leaderboards/<mode> --project <project>
+    canClear: false,
+
+    // `nameKey` lets standing() find a player's scores whatever case they
+    // typed their name in
+    async submit(mode, entry) {
+      const database = await getDatabase();
+      const result = await push(ref(database, scoresPath(mode)), {
+        ...entry,
+        nameKey: playerKey(entry.name),
+      });
+      return result.key;
+    },
+
+    subscribe(mode, options, onScores, onError) {
+      let unsubscribe = null;
+      let cancelled = false;
+
+      getDatabase()
+        .then((database) => {
+          if (cancelled) return;
+          unsubscribe = onValue(
+            topQuery(database, mode, options),
+            (snapshot) => onScores(toEntries(snapshot)),
+            onError
+          );
+        })
+        .catch(onError);
+
+      return () => {
+        cancelled = true;
+        if (unsubscribe) unsubscribe();
+      };
+    },
+
+    async top(mode, options) {
+      const database = await getDatabase();
+      const entries = toEntries(await get(topQuery(database, mode, options)));
+      return options.limit === undefined ? entries : entries.slice(0, options.limit);
+    },
+
+    // Finds the player's best by name, then fetches only the scores at or
+    // above it. The database can't count distinct players, so no total.
+    async standing(mode, { player, since }) {
+      const database = await getDatabase();
+      const scores = ref(database, scoresPath(mode));
+      const [byKey, byName] = await Promise.all([
+        get(query(scores, orderByChild("nameKey"), equalTo(playerKey(player)))),
+        // Scores submitted before entries carried a nameKey
+        get(query(scores, orderByChild("name"), equalTo(player))),
+      ]);
+      const own = [...toEntries(byKey), ...toEntries(byName)]
+        .filter((entry) => since == null || entry.timestamp >= since)
+        .sort((a, b) => b.score - a.score);
+      if (own.length === 0) return { mine: null, total: null };
+
+      const above = toEntries(
+        await get(query(scores, orderByChild("score"), startAt(own[0].score)))
+      );
+      const { mine } = rankStandings(above, { since, player, limit: 0 });
+      return { mine, total: null };
+    },
+
+    async clear(mode) {
+      throw new Error(`Leaderboard "${mode}" can only be cleared by an admin`);
+    },
+  };
+}
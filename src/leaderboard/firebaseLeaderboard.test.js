@@ -0,0 +1,63 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { createFirebaseLeaderboard } from "./firebaseLeaderboard";
+
+// Just enough of the Realtime Database for one mode's list: queries keep
+// their constraints and get() applies them to `stored`
+const { stored } = vi.hoisted(() => ({ stored: {} }));
+
+vi.mock("../firebase", () => ({ database: {} }));
+vi.mock("firebase/database", () => ({
+  ref: (database, path) => ({ path }),
+  push: async (scores, entry) => {
+    const key = `k${Object.keys(stored).length}`;
+    stored[key] = entry;
+    return { key };
+  },
+  query: (scores, ...constraints) => ({ ...scores, ...Object.assign({}, ...constraints) }),
+  orderByChild: (child) => ({ child }),
+  equalTo: (value) => ({ equalTo: value }),
+  startAt: (value) => ({ startAt: value }),
+  limitToLast: (limit) => ({ limitToLast: limit }),
+  onValue: vi.fn(),
+  get: async ({ child, equalTo, startAt }) => {
+    const matches = Object.entries(stored).filter(
+      ([, entry]) =>
+        (equalTo === undefined || entry[child] === equalTo) &&
+        (startAt === undefined || entry[child] >= startAt)
+    );
+    return { val: () => Object.fromEntries(matches) };
+  },
+}));
+
+const entry = (name, score, timestamp = 1000) => ({ name, score, timestamp });
+
+describe("createFirebaseLeaderboard", () => {
+  beforeEach(() => {
+    Object.keys(stored).forEach((key) => delete stored[key]);
+  });
+
+  it("finds a player's rank whatever case they typed their name in", async () => {
+    const board = createFirebaseLeaderboard();
+    await board.submit("classic", entry("Bea", 600));
+    await board.submit("classic", entry("alex", 500));
+    await board.submit("classic", entry("Cal", 400));
+
+    expect(await board.standing("classic", { player: "Alex" })).toEqual({
+      mine: expect.objectContaining({ name: "alex", score: 500, rank: 2 }),
+      total: null,
+    });
+  });
+
+  it("still finds scores stored before entries had a name key", async () => {
+    stored.old = entry("Alex", 700);
+    const board = createFirebaseLeaderboard();
+    await board.submit("classic", entry("Bea", 600));
+
+    const { mine } = await board.standing("classic", { player: "Alex" });
+    expect(mine).toMatchObject({ score: 700, rank: 1 });
+    expect(await board.standing("classic", { player: "nobody" })).toEqual({
+      mine: null,
+      total: null,
+    });
+  });
+});
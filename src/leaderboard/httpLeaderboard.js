@@ -0,0 +1,78 @@
+// Talks to the small leaderboard server in `server/leaderboard-server.js`
+// (or anything else speaking the same routes).
+const POLL_MS = 5000;
+
+function scoresQuery({ limit, since, player }) {
+  const params = new URLSearchParams();
+  if (limit !== undefined) params.set("limit", limit);
+  if (since != null) params.set("since", since);
+  if (player !== undefined) params.set("player", player);
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+async function request(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`Leaderboard server responded ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+export function createHttpLeaderboard(baseUrl) {
+  const scoresUrl = (mode) =>
+    `${baseUrl.replace(/\/$/, "")}/leaderboards/${encodeURIComponent(mode)}`;
+  // Subscribers are refreshed right after our own writes instead of waiting
+  // for the next poll.
+  const refreshers = new Set();
+  const refreshAll = () => refreshers.forEach((refresh) => refresh());
+
+  return {
+    canClear: true,
+
+    async submit(mode, entry) {
+      const { id } = await request(scoresUrl(mode), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(entry),
+      });
+      refreshAll();
+      return id;
+    },
+
+    subscribe(mode, options, onScores, onError) {
+      let cancelled = false;
+      const refresh = () =>
+        request(`${scoresUrl(mode)}${scoresQuery(options)}`)
+          .then((scores) => {
+            if (!cancelled) onScores(scores);
+          })
+          .catch((error) => {
+            if (!cancelled && onError) onError(error);
+          });
+
+      refreshers.add(refresh);
+      refresh();
+      const timer = setInterval(refresh, POLL_MS);
+
+      return () => {
+        cancelled = true;
+        refreshers.delete(refresh);
+        clearInterval(timer);
+      };
+    },
+
+    top(mode, options) {
+      return request(`${scoresUrl(mode)}${scoresQuery(options)}`);
+    },
+
+    standing(mode, options) {
+      return request(`${scoresUrl(mode)}/standing${scoresQuery(options)}`);
+    },
+
+    async clear(mode) {
+      await request(scoresUrl(mode), { method: "DELETE" });
+      refreshAll();
+    },
+  };
+}
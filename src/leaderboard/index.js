@@ -0,0 +1,40 @@
+import { createFirebaseLeaderboard } from "./firebaseLeaderboard";
+import { createLocalLeaderboard } from "./localLeaderboard";
+import { createHttpLeaderboard } from "./httpLeaderboard";
+
+// Every backend implements the same interface:
+//   submit(mode, entry)                                -> Promise<id>
+//   subscribe(mode, { limit, since }, onScores, onError) -> unsubscribe()
+//   top(mode, { limit, since })                        -> Promise<entry[]>
+//   standing(mode, { player, since })                  -> Promise<{ mine, total }>
+//   clear(mode)                                        -> Promise
+//   canClear                                           -> boolean
+// `onScores` always receives entries with an `id`, best score first. With
+// `since` (a timestamp) only entries from then on count, and `limit` may be
+// left out to get all of them. standing() ranks `player` against everyone,
+// however many scores there are, as rankStandings() does: `mine` is their
+// best with its `rank`, or null, and `total` the number of players, or null
+// where the backend can't count them. Where `canClear` is false, clear()
+// rejects and the app doesn't offer it.
+export const LEADERBOARD_BACKEND = {
+  FIREBASE: "firebase",
+  LOCAL: "local",
+  HTTP: "http",
+};
+
+export function createLeaderboard(
+  backend = import.meta.env.VITE_LEADERBOARD_BACKEND || LEADERBOARD_BACKEND.FIREBASE
+) {
+  switch (backend) {
+    case LEADERBOARD_BACKEND.LOCAL:
+      return createLocalLeaderboard();
+    case LEADERBOARD_BACKEND.HTTP:
+      return createHttpLeaderboard(
+        import.meta.env.VITE_LEADERBOARD_URL || "http://localhost:8787"
+      );
+    case LEADERBOARD_BACKEND.FIREBASE:
+      return createFirebaseLeaderboard();
+    default:
+      throw new Error(`Unknown leaderboard backend "${backend}"`);
+  }
+}
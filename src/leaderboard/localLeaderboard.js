@@ -0,0 +1,71 @@
+import { STORAGE_KEYS, loadStored, saveStored } from "../storage";
+import { rankStandings } from "./standings";
+
+// Kept entirely in localStorage: { [mode]: entry[] }. Other tabs are kept in
+// sync through the `storage` event.
+function loadAll() {
+  const stored = loadStored(STORAGE_KEYS.LEADERBOARD, {});
+  // Older versions stored a single (always empty) array here
+  return Array.isArray(stored) ? {} : stored;
+}
+
+function topScores(entries, { limit, since }) {
+  return entries
+    .filter((entry) => since == null || entry.timestamp >= since)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export function createLocalLeaderboard() {
+  const listeners = new Set();
+
+  const notify = () => {
+    const all = loadAll();
+    listeners.forEach((listener) => listener(all));
+  };
+
+  return {
+    canClear: true,
+
+    async submit(mode, entry) {
+      const all = loadAll();
+      const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      all[mode] = [...(all[mode] || []), { ...entry, id }];
+      saveStored(STORAGE_KEYS.LEADERBOARD, all);
+      notify();
+      return id;
+    },
+
+    subscribe(mode, options, onScores) {
+      const listener = (all) => onScores(topScores(all[mode] || [], options));
+      const handleStorage = (e) => {
+        if (e.key === STORAGE_KEYS.LEADERBOARD) listener(loadAll());
+      };
+
+      listeners.add(listener);
+      window.addEventListener("storage", handleStorage);
+      listener(loadAll());
+
+      return () => {
+        listeners.delete(listener);
+        window.removeEventListener("storage", handleStorage);
+      };
+    },
+
+    async top(mode, options) {
+      return topScores(loadAll()[mode] || [], options);
+    },
+
+    async standing(mode, { player, since }) {
+      const { mine, total } = rankStandings(loadAll()[mode] || [], { since, player, limit: 0 });
+      return { mine, total };
+    },
+
+    async clear(mode) {
+      const all = loadAll();
+      delete all[mode];
+      saveStored(STORAGE_KEYS.LEADERBOARD, all);
+      notify();
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { STORAGE_KEYS } from "../storage";
+import { memoryStorage } from "../testing/memoryStorage";
+import { createLocalLeaderboard } from "./localLeaderboard";
+import { createHttpLeaderboard } from "./httpLeaderboard";
+
+const entry = (name, score, timestamp = 1000) => ({ name, score, timestamp });
+
+describe("createLocalLeaderboard", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", memoryStorage());
+    vi.stubGlobal("window", new EventTarget());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("keeps one list per mode, best score first", async () => {
+    const board = createLocalLeaderboard();
+    await board.submit("classic", entry("ana", 300));
+    await board.submit("classic", entry("ben", 500));
+    await board.submit("kids", entry("cam", 900));
+
+    const top = await board.top("classic", { limit: 10 });
+    expect(top.map((e) => [e.name, e.score])).toEqual([
+      ["ben", 500],
+      ["ana", 300],
+    ]);
+    expect(top.every((e) => typeof e.id === "string")).toBe(true);
+    expect(await board.top("classic", { limit: 1 })).toHaveLength(1);
+  });
+
+  it("returns the id of what it stored", async () => {
+    const board = createLocalLeaderboard();
+    const id = await board.submit("classic", entry("ana", 300));
+    const [stored] = await board.top("classic", { limit: 1 });
+    expect(stored.id).toBe(id);
+  });
+
+  it("filters to a time window and returns all of it without a limit", async () => {
+    const board = createLocalLeaderboard();
+    await board.submit("classic", entry("old", 900, 100));
+    for (let i = 0; i < 12; i++) await board.submit("classic", entry(`p${i}`, i, 5000));
+    const recent = await board.top("classic", { since: 1000 });
+    expect(recent).toHaveLength(12);
+    expect(recent[0].name).toBe("p11");
+  });
+
+  it("ranks a player against every player's best", async () => {
+    const board = createLocalLeaderboard();
+    for (let i = 0; i < 5; i++) await board.submit("classic", entry(`p${i}`, 100 * i));
+    await board.submit("classic", entry("P4", 50));
+    await board.submit("classic", entry("ana", 150));
+
+    expect(await board.standing("classic", { player: "Ana" })).toMatchObject({
+      mine: { name: "ana", score: 150, rank: 4 },
+      total: 6,
+    });
+    expect(await board.standing("classic", { player: "nobody" })).toEqual({ mine: null, total: 6 });
+  });
+
+  it("tells subscribers about new scores and stops when unsubscribed", async () => {
+    const board = createLocalLeaderboard();
+    const onScores = vi.fn();
+    const unsubscribe = board.subscribe("classic", { limit: 10 }, onScores);
+    expect(onScores).toHaveBeenLastCalledWith([]);
+
+    await board.submit("classic", entry("ana", 300));
+    expect(onScores.mock.lastCall[0].map((e) => e.name)).toEqual(["ana"]);
+
+    unsubscribe();
+    await board.submit("classic", entry("ben", 500));
+    expect(onScores).toHaveBeenCalledTimes(2);
+  });
+
+  it("picks up scores written by another tab", () => {
+    const board = createLocalLeaderboard();
+    const onScores = vi.fn();
+    board.subscribe("classic", { limit: 10 }, onScores);
+    localStorage.setItem(
+      STORAGE_KEYS.LEADERBOARD,
+      JSON.stringify({ classic: [{ ...entry("ana", 300), id: "x" }] })
+    );
+    window.dispatchEvent(Object.assign(new Event("storage"), { key: STORAGE_KEYS.LEADERBOARD }));
+    expect(onScores.mock.lastCall[0]).toHaveLength(1);
+  });
+
+  it("clears one mode only", async () => {
+    const board = createLocalLeaderboard();
+    expect(board.canClear).toBe(true);
+    await board.submit("classic", entry("ana", 300));
+    await board.submit("kids", entry("cam", 900));
+    await board.clear("classic");
+    expect(await board.top("classic", { limit: 10 })).toEqual([]);
+    expect(await board.top("kids", { limit: 10 })).toHaveLength(1);
+  });
+
+  it("ignores the single array older versions stored", async () => {
+    localStorage.setItem(STORAGE_KEYS.LEADERBOARD, "[]");
+    expect(await createLocalLeaderboard().top("classic", { limit: 10 })).toEqual([]);
+  });
+});
+
+describe("createHttpLeaderboard", () => {
+  let fetch;
+
+  const respond = (status, body) => ({
+    ok: status < 400,
+    status,
+    json: async () => body,
+  });
+
+  beforeEach(() => {
+    fetch = vi.fn(async () => respond(200, []));
+    vi.stubGlobal("fetch", fetch);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("asks the server for a mode's scores with the limit and window", async () => {
+    const board = createHttpLeaderboard("http://booth:8787/");
+    await board.top("classic", { limit: 10 });
+    await board.top("daily-2026-10-19", { since: 500 });
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      "http://booth:8787/leaderboards/classic?limit=10",
+      "http://booth:8787/leaderboards/daily-2026-10-19?since=500",
+    ]);
+  });
+
+  it("asks the server for a player's standing", async () => {
+    fetch.mockResolvedValueOnce(respond(200, { mine: null, total: 0 }));
+    const board = createHttpLeaderboard("http://booth:8787");
+    expect(await board.standing("classic", { player: "ana" })).toEqual({ mine: null, total: 0 });
+    expect(fetch.mock.calls[0][0]).toBe("http://booth:8787/leaderboards/classic/standing?player=ana");
+  });
+
+  it("posts entries and refreshes subscribers straight away", async () => {
+    vi.useFakeTimers();
+    const board = createHttpLeaderboard("http://booth:8787");
+    const onScores = vi.fn();
+    const unsubscribe = board.subscribe("classic", { limit: 10 }, onScores);
+    await vi.waitFor(() => expect(onScores).toHaveBeenCalledTimes(1));
+
+    fetch.mockResolvedValueOnce(respond(201, { id: "abc" }));
+    expect(await board.submit("classic", entry("ana", 300))).toBe("abc");
+    const [url, options] = fetch.mock.calls[1];
+    expect(url).toBe("http://booth:8787/leaderboards/classic");
+    expect(options.method).toBe("POST");
+    await vi.waitFor(() => expect(onScores).toHaveBeenCalledTimes(2));
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(onScores).toHaveBeenCalledTimes(2);
+    vi.useRealTimers();
+  });
+
+  it("reports server errors to the subscriber", async () => {
+    fetch.mockResolvedValue(respond(500, null));
+    const onError = vi.fn();
+    const unsubscribe = createHttpLeaderboard("http://booth:8787").subscribe(
+      "classic",
+      { limit: 10 },
+      vi.fn(),
+      onError
+    );
+    await vi.waitFor(() => expect(onError).toHaveBeenCalled());
+    expect(onError.mock.lastCall[0].message).toMatch(/500/);
+    unsubscribe();
+  });
+});
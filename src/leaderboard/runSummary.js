@@ -0,0 +1,58 @@
+// Plausibility limits for a submitted run. firebase_rules.json enforces the
+// same numbers server-side; keep the two in sync.
+//
+// The Runner scores 0.025 points per pixel and moves `speed` pixels per frame
+// at 60 fps, so even at its MAX_SPEED of 12 a run earns 18 points a second.
+export const RUN_LIMITS = {
+  MAX_SCORE_PER_SECOND: 20,
+  MAX_JUMPS_PER_SECOND: 5,
+  // A few points are reachable before the first cactus arrives
+  MAX_SCORE_WITHOUT_JUMPS: 100,
+  MAX_TIME_SECONDS: 7200,
+};
+
+export const RUN_FLAG = {
+  SCORE_TOO_FAST: "SCORE_TOO_FAST",
+  TOO_MANY_JUMPS: "TOO_MANY_JUMPS",
+  NO_JUMPS: "NO_JUMPS",
+  TOO_LONG: "TOO_LONG",
+};
+
+export const RUN_FLAG_MESSAGES = {
+  [RUN_FLAG.SCORE_TOO_FAST]: "Score grew faster than the dino can run",
+  [RUN_FLAG.TOO_MANY_JUMPS]: "More jumps than fit in the round",
+  [RUN_FLAG.NO_JUMPS]: "High score without a single jump",
+  [RUN_FLAG.TOO_LONG]: "Round lasted implausibly long",
+};
+
+// Compares score, elapsed time and jump count of a finished round.
+// Flagged runs are kept out of the leaderboard.
+export function summarizeRun({ score, jumps, startedAt, endedAt }) {
+  const time = Math.max(0, (endedAt - startedAt) / 1000);
+  // Rules only see whole seconds, so allow for the rounding here as well
+  const budget = Math.round(time) + 1;
+  const flags = [];
+
+  if (score > budget * RUN_LIMITS.MAX_SCORE_PER_SECOND) {
+    flags.push(RUN_FLAG.SCORE_TOO_FAST);
+  }
+  if (jumps > budget * RUN_LIMITS.MAX_JUMPS_PER_SECOND) {
+    flags.push(RUN_FLAG.TOO_MANY_JUMPS);
+  }
+  if (jumps === 0 && score > RUN_LIMITS.MAX_SCORE_WITHOUT_JUMPS) {
+    flags.push(RUN_FLAG.NO_JUMPS);
+  }
+  if (time > RUN_LIMITS.MAX_TIME_SECONDS) {
+    flags.push(RUN_FLAG.TOO_LONG);
+  }
+
+  return {
+    score,
+    jumps,
+    time,
+    scorePerSecond: time > 0 ? score / time : 0,
+    jumpsPerSecond: time > 0 ? jumps / time : 0,
+    flags,
+    plausible: flags.length === 0,
+  };
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { RUN_FLAG, summarizeRun } from "./runSummary";
+
+const run = (overrides) =>
+  summarizeRun({ score: 300, jumps: 20, startedAt: 0, endedAt: 60000, ...overrides });
+
+describe("summarizeRun", () => {
+  it("accepts an ordinary round", () => {
+    const summary = run();
+    expect(summary.plausible).toBe(true);
+    expect(summary.flags).toEqual([]);
+    expect(summary.time).toBe(60);
+    expect(summary.scorePerSecond).toBe(5);
+  });
+
+  it("flags a score the Runner can't reach in the elapsed time", () => {
+    const summary = run({ score: 999999 });
+    expect(summary.plausible).toBe(false);
+    expect(summary.flags).toContain(RUN_FLAG.SCORE_TOO_FAST);
+  });
+
+  it("allows the top Runner speed for the whole round", () => {
+    expect(run({ score: 18 * 60 }).plausible).toBe(true);
+  });
+
+  it("flags more jumps than fit in the round", () => {
+    expect(run({ jumps: 1000 }).flags).toEqual([RUN_FLAG.TOO_MANY_JUMPS]);
+  });
+
+  it("flags a high score without jumps but allows a short jumpless start", () => {
+    expect(run({ jumps: 0 }).flags).toEqual([RUN_FLAG.NO_JUMPS]);
+    expect(run({ jumps: 0, score: 40 }).plausible).toBe(true);
+  });
+
+  it("flags absurdly long rounds", () => {
+    expect(run({ endedAt: 3 * 3600 * 1000 }).flags).toContain(RUN_FLAG.TOO_LONG);
+  });
+});
@@ -0,0 +1,57 @@
+// What the Top Scores panel shows: one row per player, over a time window,
+// ranked across everyone even while a name search hides some rows.
+
+export const LEADERBOARD_WINDOW = {
+  TODAY: "today",
+  WEEK: "week",
+  ALL: "all",
+};
+
+export const LEADERBOARD_WINDOWS = [
+  { id: LEADERBOARD_WINDOW.TODAY, label: "Today" },
+  { id: LEADERBOARD_WINDOW.WEEK, label: "This Week" },
+  { id: LEADERBOARD_WINDOW.ALL, label: "All Time" },
+];
+
+// Local midnight today, or on the Monday of this week; null for all time
+export function windowStart(window, now) {
+  if (window === LEADERBOARD_WINDOW.ALL) return null;
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (window === LEADERBOARD_WINDOW.WEEK) {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start.getTime();
+}
+
+// Names are typed by hand, so "Ana" and "ana " are the same player
+export const playerKey = (name) => String(name || "").trim().toLowerCase();
+
+// Higher score first; on a tie whoever got there first
+const byRank = (a, b) => b.score - a.score || (a.timestamp || 0) - (b.timestamp || 0);
+
+// Each player's best entry, in rank order
+export function bestPerPlayer(entries) {
+  const best = new Map();
+  entries.forEach((entry) => {
+    const key = playerKey(entry.name);
+    const current = best.get(key);
+    if (!current || byRank(entry, current) < 0) best.set(key, entry);
+  });
+  return [...best.values()].sort(byRank);
+}
+
+// `rows` are up to `limit` ranked entries matching `search`; `mine` is
+// `player`'s best with its rank, or null if they have no score in the window.
+export function rankStandings(entries, { since = null, search = "", player = "", limit }) {
+  const ranked = bestPerPlayer(
+    since == null ? entries : entries.filter((entry) => entry.timestamp >= since)
+  ).map((entry, i) => ({ ...entry, rank: i + 1 }));
+
+  const query = playerKey(search);
+  const rows = (query ? ranked.filter((entry) => playerKey(entry.name).includes(query)) : ranked)
+    .slice(0, limit);
+  const me = playerKey(player);
+  const mine = (me && ranked.find((entry) => playerKey(entry.name) === me)) || null;
+  return { rows, mine, total: ranked.length };
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import {
+  bestPerPlayer,
+  LEADERBOARD_WINDOW,
+  rankStandings,
+  windowStart,
+} from "./standings";
+
+const entry = (name, score, timestamp = 0) => ({ id: `${name}-${score}`, name, score, timestamp });
+
+describe("windowStart", () => {
+  // Thursday afternoon, local time
+  const now = new Date(2026, 9, 22, 15, 30).getTime();
+
+  it("starts today at local midnight", () => {
+    expect(windowStart(LEADERBOARD_WINDOW.TODAY, now)).toBe(new Date(2026, 9, 22).getTime());
+  });
+
+  it("starts the week on Monday", () => {
+    expect(windowStart(LEADERBOARD_WINDOW.WEEK, now)).toBe(new Date(2026, 9, 19).getTime());
+    const sunday = new Date(2026, 9, 25, 9).getTime();
+    expect(windowStart(LEADERBOARD_WINDOW.WEEK, sunday)).toBe(new Date(2026, 9, 19).getTime());
+  });
+
+  it("has no start for all time", () => {
+    expect(windowStart(LEADERBOARD_WINDOW.ALL, now)).toBeNull();
+  });
+});
+
+describe("bestPerPlayer", () => {
+  it("keeps one entry per player however they typed their name", () => {
+    const best = bestPerPlayer([
+      entry("ANA", 300),
+      entry("ana ", 500),
+      entry("Ben", 400),
+      entry("Ana", 200),
+    ]);
+    expect(best.map((e) => [e.name, e.score])).toEqual([
+      ["ana ", 500],
+      ["Ben", 400],
+    ]);
+  });
+
+  it("ranks the earlier of two equal scores first", () => {
+    const best = bestPerPlayer([entry("late", 100, 20), entry("early", 100, 10)]);
+    expect(best.map((e) => e.name)).toEqual(["early", "late"]);
+  });
+});
+
+describe("rankStandings", () => {
+  const entries = [
+    entry("Ana", 900, 100),
+    entry("Ana", 800, 100),
+    entry("Ben", 700, 300),
+    entry("Cam", 600, 300),
+    entry("Dee", 500, 100),
+    entry("Eli", 400, 300),
+  ];
+
+  it("fills the rows with different players", () => {
+    const { rows, total } = rankStandings(entries, { limit: 3 });
+    expect(rows.map((e) => e.name)).toEqual(["Ana", "Ben", "Cam"]);
+    expect(rows.map((e) => e.rank)).toEqual([1, 2, 3]);
+    expect(total).toBe(5);
+  });
+
+  it("pins the player's best with its rank even when it is off the list", () => {
+    const { rows, mine } = rankStandings(entries, { limit: 2, player: "eli" });
+    expect(rows).toHaveLength(2);
+    expect(mine).toMatchObject({ name: "Eli", score: 400, rank: 5 });
+  });
+
+  it("ranks only the scores inside the window", () => {
+    const { rows, mine } = rankStandings(entries, { since: 200, limit: 10, player: "Ana" });
+    expect(rows.map((e) => [e.name, e.rank])).toEqual([
+      ["Ben", 1],
+      ["Cam", 2],
+      ["Eli", 3],
+    ]);
+    expect(mine).toBeNull();
+  });
+
+  it("treats a missing window as all time", () => {
+    expect(rankStandings(entries, { since: undefined, limit: 10 }).total).toBe(5);
+  });
+
+  it("keeps global ranks while searching", () => {
+    const { rows } = rankStandings(entries, { search: "e", limit: 10 });
+    expect(rows.map((e) => [e.name, e.rank])).toEqual([
+      ["Ben", 2],
+      ["Dee", 4],
+      ["Eli", 5],
+    ]);
+  });
+});
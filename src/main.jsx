@@ -1,6 +1,15 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
-import App from "./App.jsx";
 
-createRoot(document.getElementById("root")).render(<App />);
+// `?view=spectator` is the big-screen window opened from the game. Only the
+// page in use is loaded, so the spectator window doesn't pull in the game
+// and the pose model code.
+const view = new URLSearchParams(window.location.search).get("view");
+const page =
+  view === "spectator" ? import("./components/SpectatorView.jsx") : import("./App.jsx");
+
+page.then((module) => {
+  const Page = module.default;
+  createRoot(document.getElementById("root")).render(<Page />);
+});
@@ -0,0 +1,146 @@
+import { shoulderY, torsoLength } from "./landmarks";
+import { DEFAULT_JUMP_SETTINGS } from "./jumpDetector";
+import { STORAGE_KEYS, loadStored, saveStored, profileKey } from "../storage";
+
+export const CALIBRATION_PHASE = {
+  STANDING: "STANDING",
+  JUMPING: "JUMPING",
+  DONE: "DONE",
+};
+
+const STANDING_MS = 2000;
+const PRACTICE_JUMPS = 3;
+
+// A practice jump starts once the shoulders are this far above the standing
+// baseline and ends when they settle back below the landing mark (torso lengths).
+const PRACTICE_TAKEOFF_RISE = 0.12;
+const PRACTICE_LANDING_RISE = 0.04;
+
+const MIN_THRESHOLD = 0.06;
+const MIN_COOLDOWN_MS = 250;
+const MAX_COOLDOWN_MS = 900;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Turn a standing baseline and a few practice jumps into detector settings.
+// The threshold sits halfway up the player's typical take-off speed but never
+// inside their standing jitter; the cooldown follows how long a jump lasts.
+export function deriveJumpSettings({ torsoLength, noise, jumps }) {
+  const peak = median(jumps.map((jump) => jump.peakVelocity));
+  const duration = median(jumps.map((jump) => jump.durationMs));
+
+  return {
+    threshold: Math.max(peak * 0.5, noise * 2, MIN_THRESHOLD),
+    cooldownMs: Math.round(
+      clamp(duration * 0.8, MIN_COOLDOWN_MS, MAX_COOLDOWN_MS)
+    ),
+    torsoLength,
+    calibratedAt: Date.now(),
+  };
+}
+
+export function createCalibrationSession({
+  standingMs = STANDING_MS,
+  jumpsRequired = PRACTICE_JUMPS,
+  onProgress,
+} = {}) {
+  let phase = CALIBRATION_PHASE.STANDING;
+  let standingStart = null;
+  const standingSamples = [];
+
+  let baselineY = 0;
+  let torso = DEFAULT_JUMP_SETTINGS.torsoLength;
+  let noise = 0;
+  let prevY = null;
+  let currentJump = null;
+  const jumps = [];
+  let settings = null;
+
+  const report = (progress) => {
+    if (onProgress) {
+      onProgress({ phase, progress, jumps: jumps.length, jumpsRequired, settings });
+    }
+  };
+
+  const finishStanding = () => {
+    const lengths = standingSamples.map((s) => s.torso).filter((t) => t !== null);
+    baselineY =
+      standingSamples.reduce((sum, s) => sum + s.y, 0) / standingSamples.length;
+    if (lengths.length) {
+      torso = lengths.reduce((sum, t) => sum + t, 0) / lengths.length;
+    }
+    for (let i = 1; i < standingSamples.length; i++) {
+      const jitter = Math.abs(standingSamples[i].y - standingSamples[i - 1].y);
+      noise = Math.max(noise, jitter / torso);
+    }
+    phase = CALIBRATION_PHASE.JUMPING;
+    prevY = null;
+  };
+
+  const trackJump = (y, now) => {
+    const rise = (baselineY - y) / torso;
+    const velocity = prevY === null ? 0 : (prevY - y) / torso;
+    prevY = y;
+
+    if (!currentJump) {
+      if (rise > PRACTICE_TAKEOFF_RISE) {
+        currentJump = { start: now, peakVelocity: velocity };
+      }
+      return;
+    }
+
+    currentJump.peakVelocity = Math.max(currentJump.peakVelocity, velocity);
+    if (rise < PRACTICE_LANDING_RISE) {
+      jumps.push({
+        peakVelocity: currentJump.peakVelocity,
+        durationMs: now - currentJump.start,
+      });
+      currentJump = null;
+
+      if (jumps.length >= jumpsRequired) {
+        settings = deriveJumpSettings({ torsoLength: torso, noise, jumps });
+        phase = CALIBRATION_PHASE.DONE;
+      }
+    }
+  };
+
+  return {
+    addFrame(landmarks, now) {
+      if (phase === CALIBRATION_PHASE.DONE) return;
+      const y = shoulderY(landmarks);
+
+      if (phase === CALIBRATION_PHASE.STANDING) {
+        if (standingStart === null) standingStart = now;
+        standingSamples.push({ y, torso: torsoLength(landmarks) });
+        const elapsed = now - standingStart;
+        if (elapsed >= standingMs) finishStanding();
+        report(Math.min(1, elapsed / standingMs));
+        return;
+      }
+
+      trackJump(y, now);
+      report(jumps.length / jumpsRequired);
+    },
+
+    getSettings() {
+      return settings;
+    },
+  };
+}
+
+// ── Per-profile persistence ───────────────────────────────────────
+export function loadCalibration(profileId) {
+  return loadStored(profileKey(profileId, STORAGE_KEYS.CALIBRATION), null);
+}
+
+export function saveCalibration(profileId, settings) {
+  saveStored(profileKey(profileId, STORAGE_KEYS.CALIBRATION), settings);
+}
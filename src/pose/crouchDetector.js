@@ -0,0 +1,85 @@
+import { LANDMARK, averageY, hipY, isVisible, shoulderY } from "./landmarks";
+
+// ratio = thigh height / torso height. Standing is ~1, a squat drops it
+// towards 0. Separate enter/exit ratios stop the state flickering at the edge.
+export const DEFAULT_CROUCH_SETTINGS = {
+  enterRatio: 0.55,
+  exitRatio: 0.75,
+  holdMs: 120,
+  // Knees bend on landing, so ignore crouches just after a jump...
+  afterJumpMs: 400,
+  // ...and standing up throws the shoulders upwards, so don't let that jump.
+  afterStandMs: 350,
+};
+
+function thighRatio(landmarks) {
+  if (
+    !isVisible(landmarks[LANDMARK.LEFT_KNEE]) ||
+    !isVisible(landmarks[LANDMARK.RIGHT_KNEE])
+  ) {
+    return null;
+  }
+  const hips = hipY(landmarks);
+  const torso = hips - shoulderY(landmarks);
+  if (torso <= 0) return null;
+  const knees = averageY(landmarks, LANDMARK.LEFT_KNEE, LANDMARK.RIGHT_KNEE);
+  return (knees - hips) / torso;
+}
+
+export const CROUCH_EVENT = { CROUCH: "CROUCH", STAND: "STAND" };
+
+export function createCrouchDetector(initialSettings = DEFAULT_CROUCH_SETTINGS) {
+  const settings = { ...DEFAULT_CROUCH_SETTINGS, ...initialSettings };
+  let crouched = false;
+  let pendingSince = null;
+  let lastJumpTime = -Infinity;
+  let lastStandTime = -Infinity;
+
+  const setCrouched = (value, now) => {
+    crouched = value;
+    pendingSince = null;
+    if (!value) lastStandTime = now;
+    return value ? CROUCH_EVENT.CROUCH : CROUCH_EVENT.STAND;
+  };
+
+  return {
+    // Feed one frame of landmarks; returns a CROUCH_EVENT on state changes.
+    update(landmarks, now) {
+      const ratio = thighRatio(landmarks);
+      if (ratio === null) {
+        pendingSince = null;
+        return null;
+      }
+
+      const wantsCrouch = crouched
+        ? ratio < settings.exitRatio
+        : ratio < settings.enterRatio && now - lastJumpTime > settings.afterJumpMs;
+
+      if (wantsCrouch === crouched) {
+        pendingSince = null;
+        return null;
+      }
+      if (pendingSince === null) pendingSince = now;
+      if (now - pendingSince < settings.holdMs) return null;
+
+      return setCrouched(wantsCrouch, now);
+    },
+
+    // Tracking lost: stand the player up so the duck key is never left held.
+    release(now) {
+      return crouched ? setCrouched(false, now) : null;
+    },
+
+    notifyJump(now) {
+      lastJumpTime = now;
+    },
+
+    suppressesJump(now) {
+      return crouched || now - lastStandTime < settings.afterStandMs;
+    },
+
+    isCrouched() {
+      return crouched;
+    },
+  };
+}
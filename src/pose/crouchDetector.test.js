@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { LANDMARK } from "./landmarks";
+import { createCrouchDetector, CROUCH_EVENT } from "./crouchDetector";
+
+// Shoulders at 0.3, hips at 0.55; `thigh` is the knee drop below the hips
+// as a share of the torso (~1 standing, near 0 in a deep squat)
+function pose(thigh = 1, kneeVisibility = 0.95) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, visibility: 0.95 }));
+  landmarks[LANDMARK.LEFT_SHOULDER].y = landmarks[LANDMARK.RIGHT_SHOULDER].y = 0.3;
+  landmarks[LANDMARK.LEFT_HIP].y = landmarks[LANDMARK.RIGHT_HIP].y = 0.55;
+  const knee = { x: 0.5, y: 0.55 + thigh * 0.25, visibility: kneeVisibility };
+  landmarks[LANDMARK.LEFT_KNEE] = { ...knee };
+  landmarks[LANDMARK.RIGHT_KNEE] = { ...knee };
+  return landmarks;
+}
+
+// One frame every 50ms; returns the non-null events with their times
+function feed(detector, thighs, from = 0) {
+  const events = [];
+  thighs.forEach((thigh, i) => {
+    const event = detector.update(pose(thigh), from + i * 50);
+    if (event) events.push([event, from + i * 50]);
+  });
+  return events;
+}
+
+describe("createCrouchDetector", () => {
+  it("crouches after the squat is held and stands back up", () => {
+    const detector = createCrouchDetector();
+    const events = feed(detector, [1, 0.3, 0.3, 0.3, 0.3, 1, 1, 1, 1]);
+    expect(events).toEqual([
+      [CROUCH_EVENT.CROUCH, 200],
+      [CROUCH_EVENT.STAND, 400],
+    ]);
+    expect(detector.isCrouched()).toBe(false);
+  });
+
+  it("ignores a dip shorter than the hold time", () => {
+    const detector = createCrouchDetector();
+    expect(feed(detector, [1, 0.3, 0.3, 1, 1])).toEqual([]);
+  });
+
+  it("stays crouched between the enter and exit ratios", () => {
+    const detector = createCrouchDetector();
+    feed(detector, [0.3, 0.3, 0.3, 0.3]);
+    expect(feed(detector, [0.65, 0.65, 0.65, 0.65], 200)).toEqual([]);
+    expect(detector.isCrouched()).toBe(true);
+  });
+
+  it("doesn't take the knee bend of a landing for a crouch", () => {
+    const detector = createCrouchDetector();
+    detector.notifyJump(0);
+    expect(feed(detector, [0.3, 0.3, 0.3, 0.3, 0.3, 0.3])).toEqual([]);
+    expect(feed(detector, [0.3, 0.3, 0.3, 0.3], 500)).toEqual([[CROUCH_EVENT.CROUCH, 650]]);
+  });
+
+  it("suppresses jumps while crouched and just after standing", () => {
+    const detector = createCrouchDetector();
+    feed(detector, [0.3, 0.3, 0.3, 0.3]);
+    expect(detector.suppressesJump(200)).toBe(true);
+    const [[, stoodAt]] = feed(detector, [1, 1, 1, 1], 250);
+    expect(detector.suppressesJump(stoodAt + 100)).toBe(true);
+    expect(detector.suppressesJump(stoodAt + 400)).toBe(false);
+  });
+
+  it("stands the player up when tracking is lost", () => {
+    const detector = createCrouchDetector();
+    feed(detector, [0.3, 0.3, 0.3, 0.3]);
+    expect(detector.update(pose(0.3, 0.1), 250)).toBeNull();
+    expect(detector.release(300)).toBe(CROUCH_EVENT.STAND);
+    expect(detector.release(350)).toBeNull();
+  });
+});
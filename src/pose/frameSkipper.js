@@ -0,0 +1,50 @@
+// Picks the camera frames the pose worker runs inference on. Inference is
+// kept to a share of the wall clock so the worker leaves the CPU some room
+// for the Runner, and that share shrinks while the page reports dropped
+// animation frames.
+
+// How quickly the inference time follows new measurements
+const SMOOTHING = 0.2;
+
+export function createFrameSkipper({ busyShare = 0.6, minBusyShare = 0.2, step = 0.1 } = {}) {
+  let inferenceMs = null;
+  let share = busyShare;
+  let lastRunAt = -Infinity;
+  let skipped = 0;
+
+  return {
+    shouldRun(now) {
+      const interval = inferenceMs === null ? 0 : inferenceMs / share;
+      if (now - lastRunAt < interval) {
+        skipped += 1;
+        return false;
+      }
+      lastRunAt = now;
+      return true;
+    },
+
+    // How long the last frame's inference took
+    record(ms) {
+      inferenceMs = inferenceMs === null ? ms : inferenceMs + (ms - inferenceMs) * SMOOTHING;
+    },
+
+    // `dropping` while the page is missing animation frames. Backs off
+    // quickly and recovers at half the pace.
+    reportLoad(dropping) {
+      share = dropping
+        ? Math.max(minBusyShare, share - step)
+        : Math.min(busyShare, share + step / 2);
+    },
+
+    // Frames skipped since the last call
+    takeSkipped() {
+      const count = skipped;
+      skipped = 0;
+      return count;
+    },
+
+    getBusyShare() {
+      return share;
+    },
+  };
+}
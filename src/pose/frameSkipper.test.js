@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { createFrameSkipper } from "./frameSkipper";
+import { createPipelineStats } from "./pipelineStats";
+
+// 30 fps camera frames for `ms`, with every inference taking `inferenceMs`
+function runCamera(skipper, { ms, inferenceMs, from = 0 }) {
+  let processed = 0;
+  for (let t = from; t < from + ms; t += 1000 / 30) {
+    if (!skipper.shouldRun(t)) continue;
+    skipper.record(inferenceMs);
+    processed += 1;
+  }
+  return processed;
+}
+
+describe("createFrameSkipper", () => {
+  it("runs every frame while inference is quick", () => {
+    const skipper = createFrameSkipper();
+    expect(runCamera(skipper, { ms: 1000, inferenceMs: 8 })).toBe(30);
+    expect(skipper.takeSkipped()).toBe(0);
+  });
+
+  it("skips frames when inference takes most of the frame time", () => {
+    const skipper = createFrameSkipper({ busyShare: 0.5 });
+    // 40ms of inference at half the wall clock needs 80ms per frame, so
+    // every third camera frame
+    expect(runCamera(skipper, { ms: 3000, inferenceMs: 40 })).toBe(30);
+    expect(skipper.takeSkipped()).toBe(60);
+    expect(skipper.takeSkipped()).toBe(0);
+  });
+
+  it("backs off while the page drops frames and recovers after", () => {
+    const skipper = createFrameSkipper({ busyShare: 0.6, minBusyShare: 0.2, step: 0.1 });
+    const before = runCamera(skipper, { ms: 2000, inferenceMs: 20 });
+
+    for (let i = 0; i < 10; i++) skipper.reportLoad(true);
+    expect(skipper.getBusyShare()).toBeCloseTo(0.2);
+    const loaded = runCamera(skipper, { ms: 2000, inferenceMs: 20, from: 2000 });
+    expect(loaded).toBeLessThan(before / 2);
+
+    for (let i = 0; i < 8; i++) skipper.reportLoad(false);
+    expect(skipper.getBusyShare()).toBeCloseTo(0.6);
+  });
+});
+
+describe("createPipelineStats", () => {
+  it("reports the inference rate and share of skipped frames", () => {
+    const stats = createPipelineStats();
+    for (let t = 0; t <= 1000; t += 100) stats.addResult({ inferenceMs: 30, skipped: 1 }, t);
+    const snapshot = stats.snapshot(1000);
+    expect(snapshot.fps).toBe(11);
+    expect(snapshot.inferenceMs).toBe(30);
+    expect(snapshot.skipRate).toBe(0.5);
+    expect(stats.snapshot(5000).fps).toBe(0);
+  });
+
+  it("keeps the latest and average jump latency", () => {
+    const stats = createPipelineStats();
+    expect(stats.snapshot(0).jumpLatencyMs).toBeNull();
+    [60, 80, 100].forEach((ms) => stats.addJumpLatency(ms));
+    expect(stats.snapshot(0)).toMatchObject({ jumpLatencyMs: 100, avgJumpLatencyMs: 80 });
+    stats.reset();
+    expect(stats.snapshot(0).avgJumpLatencyMs).toBeNull();
+  });
+});
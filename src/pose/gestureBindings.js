@@ -0,0 +1,56 @@
+import { STORAGE_KEYS } from "../storage";
+import { loadProfileValue, saveProfileValue } from "../profiles/profiles";
+import { POSE_TRIGGER, POSE_TRIGGERS } from "./poseTriggers";
+
+// Game actions a player can rebind to another gesture
+export const GAME_ACTION = {
+  JUMP: "jump",
+  DUCK: "duck",
+};
+
+export const GAME_ACTION_LABELS = {
+  [GAME_ACTION.JUMP]: "Jump",
+  [GAME_ACTION.DUCK]: "Duck",
+};
+
+const DEFAULT_SENSITIVITY = 0.5;
+
+// Per player. `faceLandmarks` runs Face Mesh next to Pose, which the mouth
+// gesture needs and everything else can do without.
+export const DEFAULT_GESTURE_BINDINGS = {
+  faceLandmarks: false,
+  [GAME_ACTION.JUMP]: { trigger: POSE_TRIGGER.BODY, sensitivity: DEFAULT_SENSITIVITY },
+  [GAME_ACTION.DUCK]: { trigger: POSE_TRIGGER.BODY, sensitivity: DEFAULT_SENSITIVITY },
+};
+
+// Fills in missing actions and moves bindings whose gesture can't run
+// (unknown, or mouth without face tracking) back to the body gesture
+export function normalizeBindings(bindings) {
+  const normalized = { faceLandmarks: !!bindings.faceLandmarks };
+  Object.values(GAME_ACTION).forEach((action) => {
+    const binding = { ...DEFAULT_GESTURE_BINDINGS[action], ...bindings[action] };
+    const trigger = POSE_TRIGGERS[binding.trigger];
+    normalized[action] = {
+      trigger:
+        !trigger || (trigger.needsFace && !normalized.faceLandmarks)
+          ? POSE_TRIGGER.BODY
+          : trigger.id,
+      sensitivity: Math.min(Math.max(Number(binding.sensitivity) || 0, 0), 1),
+    };
+  });
+  return normalized;
+}
+
+// The body gestures need the player's hips (and knees, to duck) in view;
+// the others only use the shoulders and above, so seated players can play
+export function needsFullBody(bindings) {
+  return Object.values(GAME_ACTION).some((action) => bindings[action].trigger === POSE_TRIGGER.BODY);
+}
+
+export function loadGestureBindings(profileId) {
+  return normalizeBindings(loadProfileValue(profileId, STORAGE_KEYS.GESTURE_BINDINGS, {}));
+}
+
+export function saveGestureBindings(profileId, bindings) {
+  saveProfileValue(profileId, STORAGE_KEYS.GESTURE_BINDINGS, bindings);
+}
@@ -0,0 +1,103 @@
+import { createJumpDetector, DEFAULT_JUMP_SETTINGS } from "./jumpDetector";
+import { createCrouchDetector, CROUCH_EVENT, DEFAULT_CROUCH_SETTINGS } from "./crouchDetector";
+import { createTriggerDetector, POSE_TRIGGER, TRIGGER_EVENT } from "./poseTriggers";
+import { DEFAULT_GESTURE_BINDINGS, GAME_ACTION } from "./gestureBindings";
+
+// Same names as the replay events, so recordings and fixtures line up
+export const GESTURE_EVENT = {
+  JUMP: "jump",
+  DUCK: "duck",
+  STAND: "stand",
+};
+
+// Turns the pose stream into game gestures. Knows nothing about the camera,
+// canvas or Runner, so it runs the same in the browser and in Node. Actions
+// bound to another gesture (see gestureBindings.js) bypass the jump and
+// crouch detectors.
+export function createGestureDetector({
+  jumpSettings = DEFAULT_JUMP_SETTINGS,
+  crouchSettings = DEFAULT_CROUCH_SETTINGS,
+  bindings = DEFAULT_GESTURE_BINDINGS,
+} = {}) {
+  const jumpDetector = createJumpDetector(jumpSettings);
+  const crouchDetector = createCrouchDetector(crouchSettings);
+  let jumpTrigger = null;
+  let duckTrigger = null;
+
+  // Keeps the running detector when only the sensitivity changed, so the
+  // learned resting pose survives moving a slider
+  const triggerFor = (binding, existing) => {
+    if (binding.trigger === POSE_TRIGGER.BODY) return null;
+    if (existing?.getTrigger() !== binding.trigger) return createTriggerDetector(binding);
+    existing.setSensitivity(binding.sensitivity);
+    return existing;
+  };
+  const bind = (current) => {
+    jumpTrigger = triggerFor(current[GAME_ACTION.JUMP], jumpTrigger);
+    duckTrigger = triggerFor(current[GAME_ACTION.DUCK], duckTrigger);
+  };
+  bind(bindings);
+
+  return {
+    // Feed one frame (null when nobody is tracked); returns the gestures
+    // it completes, in the order they should reach the game. Face landmarks
+    // only matter for gestures bound to the mouth.
+    update(landmarks, now, faceLandmarks = null) {
+      const events = [];
+      const frame = { landmarks, faceLandmarks };
+      if (duckTrigger) {
+        const change = duckTrigger.update(frame);
+        if (change === TRIGGER_EVENT.PRESS) events.push(GESTURE_EVENT.DUCK);
+        if (change === TRIGGER_EVENT.RELEASE) events.push(GESTURE_EVENT.STAND);
+      }
+      if (jumpTrigger && jumpTrigger.update(frame) === TRIGGER_EVENT.PRESS) {
+        events.push(GESTURE_EVENT.JUMP);
+      }
+
+      if (!landmarks) {
+        // Whoever steps back in may stand at another height; comparing
+        // against the last frame before they left would look like a jump
+        jumpDetector.reset();
+        if (!duckTrigger && crouchDetector.release(now)) events.push(GESTURE_EVENT.STAND);
+        return events;
+      }
+
+      if (!duckTrigger) {
+        const crouchEvent = crouchDetector.update(landmarks, now);
+        if (crouchEvent === CROUCH_EVENT.CROUCH) events.push(GESTURE_EVENT.DUCK);
+        if (crouchEvent === CROUCH_EVENT.STAND) events.push(GESTURE_EVENT.STAND);
+      }
+
+      if (
+        !jumpTrigger &&
+        jumpDetector.update(landmarks, now) &&
+        !crouchDetector.suppressesJump(now)
+      ) {
+        crouchDetector.notifyJump(now);
+        events.push(GESTURE_EVENT.JUMP);
+      }
+      return events;
+    },
+
+    setJumpSettings(settings) {
+      jumpDetector.setSettings(settings);
+    },
+
+    getJumpSettings() {
+      return jumpDetector.getSettings();
+    },
+
+    setBindings(current) {
+      bind(current);
+    },
+
+    // How close each rebound action is to firing (1 fires); null for
+    // actions still on the body gestures
+    getLevels() {
+      return {
+        [GAME_ACTION.JUMP]: jumpTrigger ? jumpTrigger.getLevel() : null,
+        [GAME_ACTION.DUCK]: duckTrigger ? duckTrigger.getLevel() : null,
+      };
+    },
+  };
+}
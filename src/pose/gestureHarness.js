@@ -0,0 +1,81 @@
+import { createGestureDetector, GESTURE_EVENT } from "./gestureDetector";
+import { unpackLandmarks } from "../replay/recorder";
+
+// Runs the gesture detector over recorded landmark sequences without a
+// camera, canvas or browser. Fixtures live in `src/pose/fixtures/`:
+//   { version, name, description, source, jumpSettings?,
+//     frames: [{ t, landmarks }],   // packed like replay pose frames
+//     expected: [{ t, type }],      // what the detector emitted when saved
+//     recorded?: [{ t, type }] }    // what the game saw, for recordings
+export const FIXTURE_VERSION = 1;
+
+const GESTURES = Object.values(GESTURE_EVENT);
+
+// Feeds every frame through a fresh detector; returns `[{ t, type }]`.
+export function runGestureFixture(fixture, { jumpSettings, crouchSettings } = {}) {
+  const detector = createGestureDetector({
+    jumpSettings: jumpSettings || fixture.jumpSettings,
+    crouchSettings,
+  });
+  const events = [];
+  fixture.frames.forEach(({ t, landmarks }) => {
+    detector.update(unpackLandmarks(landmarks), t).forEach((type) => events.push({ t, type }));
+  });
+  return events;
+}
+
+export function validateFixture(fixture) {
+  if (
+    !fixture ||
+    fixture.version !== FIXTURE_VERSION ||
+    typeof fixture.name !== "string" ||
+    !Array.isArray(fixture.frames) ||
+    !Array.isArray(fixture.expected)
+  ) {
+    throw new Error("Not a gesture fixture");
+  }
+  fixture.frames.forEach((frame, i) => {
+    if (typeof frame.t !== "number" || (i > 0 && frame.t < fixture.frames[i - 1].t)) {
+      throw new Error(`Frame ${i} of ${fixture.name} is out of order`);
+    }
+  });
+  return fixture;
+}
+
+// Cuts `from`..`to` (ms into the round) out of a replay recording. Times
+// restart at 0 and `expected` is filled in by running the current detector,
+// so check it against `recorded` (what the game saw) before committing.
+export function recordingToFixture(
+  recording,
+  { name, description = "", from = 0, to = Infinity, jumpSettings }
+) {
+  const frames = recording.poseFrames
+    .filter((frame) => frame.t >= from && frame.t <= to)
+    .map((frame) => ({ t: frame.t - from, landmarks: frame.landmarks }));
+  const fixture = {
+    version: FIXTURE_VERSION,
+    name,
+    description,
+    source: `recording of ${recording.meta.playerName || "a player"} on ${new Date(
+      recording.meta.startedAt
+    ).toISOString()}`,
+    ...(jumpSettings && { jumpSettings }),
+    recorded: recording.events
+      .filter((e) => GESTURES.includes(e.type) && e.t >= from && e.t <= to)
+      .map((e) => ({ t: e.t - from, type: e.type })),
+  };
+  // Frames go last so the summary stays at the top of the file
+  return { ...fixture, expected: runGestureFixture({ ...fixture, frames }), frames };
+}
+
+// Arrays get one item per line, which keeps fixture diffs readable
+export function serializeFixture(fixture) {
+  const fields = Object.entries(fixture).map(([key, value]) => {
+    const body =
+      Array.isArray(value) && value.length
+        ? `[\n${value.map((item) => `    ${JSON.stringify(item)}`).join(",\n")}\n  ]`
+        : JSON.stringify(value, null, 2).replace(/\n/g, "\n  ");
+    return `  ${JSON.stringify(key)}: ${body}`;
+  });
+  return `{\n${fields.join(",\n")}\n}\n`;
+}
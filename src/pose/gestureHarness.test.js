@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import { GESTURE_EVENT } from "./gestureDetector";
+import { DEFAULT_CROUCH_SETTINGS } from "./crouchDetector";
+import { DEFAULT_JUMP_SETTINGS } from "./jumpDetector";
+import {
+  recordingToFixture,
+  runGestureFixture,
+  serializeFixture,
+  validateFixture,
+} from "./gestureHarness";
+
+const fixtures = Object.fromEntries(
+  Object.values(import.meta.glob("./fixtures/*.json", { eager: true, import: "default" })).map(
+    (fixture) => [fixture.name, fixture]
+  )
+);
+
+// Detector tuning may move an event by a frame without it being a regression
+const FRAME_MS = 34;
+
+const ofType = (events, type) => events.filter((e) => e.type === type);
+
+describe("gesture fixtures", () => {
+  it.each(Object.keys(fixtures))("%s still produces its expected events", (name) => {
+    const fixture = validateFixture(fixtures[name]);
+    const events = runGestureFixture(fixture);
+    expect(events.map((e) => e.type)).toEqual(fixture.expected.map((e) => e.type));
+    events.forEach((event, i) => {
+      expect(Math.abs(event.t - fixture.expected[i].t)).toBeLessThanOrEqual(FRAME_MS);
+    });
+  });
+
+  it("detects each jump within a few frames of take-off", () => {
+    const takeoffs = [700, 1700, 2700];
+    const jumps = runGestureFixture(fixtures.jumps);
+    expect(jumps).toHaveLength(takeoffs.length);
+    jumps.forEach((jump, i) => {
+      expect(jump.type).toBe(GESTURE_EVENT.JUMP);
+      expect(jump.t - takeoffs[i]).toBeGreaterThanOrEqual(0);
+      expect(jump.t - takeoffs[i]).toBeLessThan(3 * FRAME_MS);
+    });
+  });
+
+  it("ignores shrugs, even with a sensitive calibration", () => {
+    expect(runGestureFixture(fixtures.shrugs)).toEqual([]);
+    const sensitive = { ...DEFAULT_JUMP_SETTINGS, threshold: 0.1 };
+    expect(runGestureFixture(fixtures.shrugs, { jumpSettings: sensitive })).toEqual([]);
+  });
+
+  it("stands the player up when they leave the frame and doesn't jump on return", () => {
+    const fixture = fixtures["out-of-frame"];
+    const events = runGestureFixture(fixture);
+    const firstLost = fixture.frames.find((f) => f.landmarks === null).t;
+
+    expect(events.map((e) => e.type)).toEqual([GESTURE_EVENT.DUCK, GESTURE_EVENT.STAND]);
+    expect(events[1].t).toBe(firstLost);
+  });
+
+  it("holds each crouch for the hold time and never jumps while standing up", () => {
+    const events = runGestureFixture(fixtures.crouches);
+    const ducks = ofType(events, GESTURE_EVENT.DUCK);
+    const stands = ofType(events, GESTURE_EVENT.STAND);
+
+    expect(ducks).toHaveLength(2);
+    expect(stands).toHaveLength(2);
+    ducks.forEach((duck, i) => {
+      expect(stands[i].t).toBeGreaterThan(duck.t);
+      if (i > 0) expect(duck.t - stands[i - 1].t).toBeGreaterThanOrEqual(DEFAULT_CROUCH_SETTINGS.holdMs);
+    });
+    // The only jump is the real one after the second squat
+    const jumps = ofType(events, GESTURE_EVENT.JUMP);
+    expect(jumps).toHaveLength(1);
+    expect(jumps[0].t - stands[1].t).toBeGreaterThan(DEFAULT_CROUCH_SETTINGS.afterStandMs);
+  });
+});
+
+describe("recordingToFixture", () => {
+  const recording = {
+    version: 1,
+    meta: { playerName: "ANA", startedAt: Date.UTC(2024, 4, 1) },
+    poseFrames: fixtures.jumps.frames.map((f) => ({ ...f, t: f.t + 5000 })),
+    gameFrames: [],
+    events: [
+      { t: 5740, type: "jump" },
+      { t: 6000, type: "obstacle", obstacle: "CACTUS_SMALL" },
+      { t: 9000, type: "jump" },
+    ],
+  };
+
+  it("cuts a window out of a recording and fills in the detected events", () => {
+    const fixture = recordingToFixture(recording, { name: "ana-jumps", from: 5000, to: 6500 });
+
+    expect(fixture.frames[0].t).toBeLessThan(FRAME_MS);
+    expect(fixture.frames.at(-1).t).toBeLessThanOrEqual(1500);
+    expect(fixture.recorded).toEqual([{ t: 740, type: "jump" }]);
+    expect(fixture.expected.map((e) => e.type)).toEqual([GESTURE_EVENT.JUMP]);
+    expect(fixture.source).toContain("ANA");
+  });
+
+  it("writes fixtures that load back unchanged", () => {
+    const fixture = recordingToFixture(recording, { name: "ana-jumps", from: 5000 });
+    const loaded = validateFixture(JSON.parse(serializeFixture(fixture)));
+
+    expect(loaded).toEqual(fixture);
+    expect(Object.keys(loaded).at(-1)).toBe("frames");
+    expect(runGestureFixture(loaded)).toEqual(fixture.expected);
+  });
+
+  it("rejects files that aren't fixtures", () => {
+    expect(() => validateFixture({ name: "x" })).toThrow("Not a gesture fixture");
+    const { frames } = fixtures.jumps;
+    expect(() =>
+      validateFixture({ ...fixtures.jumps, frames: [frames[1], frames[0]] })
+    ).toThrow("out of order");
+  });
+});
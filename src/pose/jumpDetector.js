@@ -0,0 +1,60 @@
+import { DEFAULT_TORSO_LENGTH, shoulderY, torsoLength } from "./landmarks";
+
+// threshold: upward shoulder travel between two frames, in torso lengths.
+// The defaults reproduce the original fixed 0.04 delta for an average torso.
+export const DEFAULT_JUMP_SETTINGS = {
+  threshold: 0.16,
+  cooldownMs: 500,
+  torsoLength: DEFAULT_TORSO_LENGTH,
+};
+
+// Body scale is smoothed so a single noisy hip landmark can't spike it.
+const SCALE_SMOOTHING = 0.1;
+
+export function createJumpDetector(initialSettings = DEFAULT_JUMP_SETTINGS) {
+  let settings = { ...DEFAULT_JUMP_SETTINGS, ...initialSettings };
+  let prevShoulderY = null;
+  let lastJumpTime = -Infinity;
+  let scale = settings.torsoLength;
+
+  return {
+    // Feed one frame of landmarks; returns true when a jump is detected.
+    update(landmarks, now) {
+      const currentShoulderY = shoulderY(landmarks);
+      const torso = torsoLength(landmarks);
+      if (torso !== null) {
+        scale += (torso - scale) * SCALE_SMOOTHING;
+      }
+
+      let jumped = false;
+      if (prevShoulderY !== null) {
+        const rise = (prevShoulderY - currentShoulderY) / scale;
+        if (
+          rise > settings.threshold &&
+          now - lastJumpTime > settings.cooldownMs
+        ) {
+          lastJumpTime = now;
+          jumped = true;
+        }
+      }
+
+      prevShoulderY = currentShoulderY;
+      return jumped;
+    },
+
+    reset() {
+      prevShoulderY = null;
+      lastJumpTime = -Infinity;
+      scale = settings.torsoLength;
+    },
+
+    setSettings(next) {
+      settings = { ...DEFAULT_JUMP_SETTINGS, ...next };
+      scale = settings.torsoLength;
+    },
+
+    getSettings() {
+      return settings;
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { LANDMARK } from "./landmarks";
+import { createJumpDetector, DEFAULT_JUMP_SETTINGS } from "./jumpDetector";
+import { CALIBRATION_PHASE, createCalibrationSession, deriveJumpSettings } from "./calibration";
+
+// A standing player with shoulders at `shoulder` and hips `torso` below
+function standing(shoulder = 0.4, torso = 0.25) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, visibility: 0.95 }));
+  landmarks[LANDMARK.LEFT_SHOULDER].y = landmarks[LANDMARK.RIGHT_SHOULDER].y = shoulder;
+  landmarks[LANDMARK.LEFT_HIP].y = landmarks[LANDMARK.RIGHT_HIP].y = shoulder + torso;
+  return landmarks;
+}
+
+// Shoulder heights at 30 fps; returns the frame indices that jumped
+function feed(detector, heights, { from = 0, torso } = {}) {
+  const jumps = [];
+  heights.forEach((y, i) => {
+    if (detector.update(standing(y, torso), from + (i * 1000) / 30)) jumps.push(i);
+  });
+  return jumps;
+}
+
+describe("createJumpDetector", () => {
+  it("fires once on a quick rise of the shoulders", () => {
+    const detector = createJumpDetector();
+    expect(feed(detector, [0.4, 0.4, 0.34, 0.28, 0.3, 0.36, 0.4])).toEqual([2]);
+  });
+
+  it("ignores a slow drift upwards", () => {
+    const detector = createJumpDetector();
+    expect(feed(detector, [0.4, 0.39, 0.38, 0.37, 0.36, 0.35])).toEqual([]);
+  });
+
+  it("holds off a second jump until the cooldown has passed", () => {
+    const detector = createJumpDetector({ ...DEFAULT_JUMP_SETTINGS, cooldownMs: 500 });
+    // Two rises 200ms apart, then one 700ms after the first
+    const heights = [0.4, 0.34, 0.4, 0.4, 0.4, 0.4, 0.34, 0.4];
+    heights.push(...Array(14).fill(0.4), 0.34);
+    expect(feed(detector, heights)).toEqual([1, 22]);
+  });
+
+  it("measures the rise against the player's torso", () => {
+    // The same 0.03 rise is a jump for someone small in frame only
+    const near = createJumpDetector({ ...DEFAULT_JUMP_SETTINGS, torsoLength: 0.4 });
+    const far = createJumpDetector({ ...DEFAULT_JUMP_SETTINGS, torsoLength: 0.15 });
+    expect(feed(near, [0.4, 0.37], { torso: 0.4 })).toEqual([]);
+    expect(feed(far, [0.4, 0.37], { torso: 0.15 })).toEqual([1]);
+  });
+
+  it("starts over after a reset", () => {
+    const detector = createJumpDetector();
+    feed(detector, [0.4]);
+    detector.reset();
+    // No previous frame to compare the first one against
+    expect(feed(detector, [0.3, 0.3])).toEqual([]);
+  });
+});
+
+describe("createCalibrationSession", () => {
+  it("measures standing, counts practice jumps and derives settings", () => {
+    const progress = [];
+    const session = createCalibrationSession({
+      standingMs: 1000,
+      jumpsRequired: 2,
+      onProgress: (p) => progress.push(p),
+    });
+    let t = 0;
+    const frame = (y) => {
+      session.addFrame(standing(y), t);
+      t += 1000 / 30;
+    };
+
+    for (let i = 0; i < 32; i++) frame(i % 2 ? 0.401 : 0.4);
+    expect(progress[progress.length - 1].phase).toBe(CALIBRATION_PHASE.JUMPING);
+
+    for (let jump = 0; jump < 2; jump++) {
+      [0.4, 0.34, 0.3, 0.32, 0.37, 0.4, 0.4].forEach(frame);
+    }
+    const settings = session.getSettings();
+    expect(progress[progress.length - 1]).toMatchObject({ phase: CALIBRATION_PHASE.DONE, jumps: 2 });
+    expect(settings.torsoLength).toBeCloseTo(0.25);
+    expect(settings.threshold).toBeGreaterThan(0.06);
+    expect(settings.cooldownMs).toBeGreaterThanOrEqual(250);
+  });
+});
+
+describe("deriveJumpSettings", () => {
+  it("keeps the threshold clear of standing jitter", () => {
+    const jumps = [{ peakVelocity: 0.2, durationMs: 400 }];
+    expect(deriveJumpSettings({ torsoLength: 0.25, noise: 0.01, jumps }).threshold).toBeCloseTo(0.1);
+    expect(deriveJumpSettings({ torsoLength: 0.25, noise: 0.08, jumps }).threshold).toBeCloseTo(0.16);
+  });
+
+  it("clamps the cooldown to a sensible range", () => {
+    const quick = deriveJumpSettings({
+      torsoLength: 0.25,
+      noise: 0,
+      jumps: [{ peakVelocity: 0.2, durationMs: 100 }],
+    });
+    const slow = deriveJumpSettings({
+      torsoLength: 0.25,
+      noise: 0,
+      jumps: [{ peakVelocity: 0.2, durationMs: 3000 }],
+    });
+    expect(quick.cooldownMs).toBe(250);
+    expect(slow.cooldownMs).toBe(900);
+  });
+});
@@ -0,0 +1,46 @@
+// MediaPipe Pose landmark indices used by the gesture detectors.
+export const LANDMARK = {
+  NOSE: 0,
+  LEFT_SHOULDER: 11,
+  RIGHT_SHOULDER: 12,
+  LEFT_WRIST: 15,
+  RIGHT_WRIST: 16,
+  LEFT_HIP: 23,
+  RIGHT_HIP: 24,
+  LEFT_KNEE: 25,
+  RIGHT_KNEE: 26,
+};
+
+// Typical shoulder-to-hip distance (normalised image units) of a player
+// standing ~2 m from a laptop camera. Used until a real measurement exists.
+export const DEFAULT_TORSO_LENGTH = 0.25;
+
+const MIN_VISIBILITY = 0.5;
+
+export function isVisible(landmark) {
+  return !!landmark && (landmark.visibility ?? 1) >= MIN_VISIBILITY;
+}
+
+export function averageY(landmarks, a, b) {
+  return (landmarks[a].y + landmarks[b].y) / 2;
+}
+
+export function shoulderY(landmarks) {
+  return averageY(landmarks, LANDMARK.LEFT_SHOULDER, LANDMARK.RIGHT_SHOULDER);
+}
+
+export function hipY(landmarks) {
+  return averageY(landmarks, LANDMARK.LEFT_HIP, LANDMARK.RIGHT_HIP);
+}
+
+// Vertical shoulder-to-hip distance, or null when the hips are out of view.
+export function torsoLength(landmarks) {
+  if (
+    !isVisible(landmarks[LANDMARK.LEFT_HIP]) ||
+    !isVisible(landmarks[LANDMARK.RIGHT_HIP])
+  ) {
+    return null;
+  }
+  const length = hipY(landmarks) - shoulderY(landmarks);
+  return length > 0 ? length : null;
+}
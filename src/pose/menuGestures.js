@@ -0,0 +1,76 @@
+import { DEFAULT_TORSO_LENGTH, LANDMARK, isVisible, shoulderY, torsoLength } from "./landmarks";
+
+// Raised-hand poses that drive the menus. Left and right are the player's
+// own, which is also the side they see in the mirrored camera preview.
+export const MENU_GESTURE = {
+  BOTH_HANDS: "both-hands",
+  LEFT_HAND: "left-hand",
+  RIGHT_HAND: "right-hand",
+};
+
+export const DEFAULT_MENU_GESTURE_SETTINGS = {
+  // A pose must be held this long to count
+  holdMs: 1500,
+  // Wrist height above the shoulders, as a share of the torso, that counts
+  // as raised. Half a torso is roughly head height.
+  raiseRatio: 0.5,
+};
+
+function isRaised(landmarks, wrist, raiseHeight) {
+  const landmark = landmarks[wrist];
+  return isVisible(landmark) && shoulderY(landmarks) - landmark.y > raiseHeight;
+}
+
+// The MENU_GESTURE a single frame shows, or null
+export function raisedHands(landmarks, raiseRatio = DEFAULT_MENU_GESTURE_SETTINGS.raiseRatio) {
+  if (
+    !landmarks ||
+    !isVisible(landmarks[LANDMARK.LEFT_SHOULDER]) ||
+    !isVisible(landmarks[LANDMARK.RIGHT_SHOULDER])
+  ) {
+    return null;
+  }
+  const raiseHeight = (torsoLength(landmarks) ?? DEFAULT_TORSO_LENGTH) * raiseRatio;
+  const left = isRaised(landmarks, LANDMARK.LEFT_WRIST, raiseHeight);
+  const right = isRaised(landmarks, LANDMARK.RIGHT_WRIST, raiseHeight);
+  if (left && right) return MENU_GESTURE.BOTH_HANDS;
+  if (left) return MENU_GESTURE.LEFT_HAND;
+  if (right) return MENU_GESTURE.RIGHT_HAND;
+  return null;
+}
+
+// Hold-to-confirm on top of raisedHands. `update` returns
+// `{ gesture, progress, confirmed }`: the pose being held (if the screen
+// accepts it), how far through the hold it is (0..1), and the gesture on
+// the one frame it completes. Hands have to come down before the same
+// pose can confirm again.
+export function createMenuGestureDetector(initialSettings = DEFAULT_MENU_GESTURE_SETTINGS) {
+  const settings = { ...DEFAULT_MENU_GESTURE_SETTINGS, ...initialSettings };
+  let held = null;
+  let since = 0;
+  let confirmed = false;
+
+  return {
+    // `allowed` lists the gestures the current screen responds to
+    update(landmarks, now, allowed) {
+      const raised = raisedHands(landmarks, settings.raiseRatio);
+      const gesture = allowed.includes(raised) ? raised : null;
+      if (gesture !== held) {
+        held = gesture;
+        since = now;
+        confirmed = false;
+      }
+      if (!held || confirmed) return { gesture: null, progress: 0, confirmed: null };
+
+      const progress = Math.min((now - since) / settings.holdMs, 1);
+      if (progress < 1) return { gesture: held, progress, confirmed: null };
+      confirmed = true;
+      return { gesture: held, progress, confirmed: held };
+    },
+
+    reset() {
+      held = null;
+      confirmed = false;
+    },
+  };
+}
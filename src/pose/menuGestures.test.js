@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { LANDMARK } from "./landmarks";
+import { createMenuGestureDetector, MENU_GESTURE, raisedHands } from "./menuGestures";
+
+// Shoulders at 0.35, hips at 0.6, so a hand counts as raised above 0.225
+function pose({ left = 0.5, right = 0.5, visibility = 0.95 } = {}) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, visibility }));
+  landmarks[LANDMARK.LEFT_SHOULDER].y = landmarks[LANDMARK.RIGHT_SHOULDER].y = 0.35;
+  landmarks[LANDMARK.LEFT_HIP].y = landmarks[LANDMARK.RIGHT_HIP].y = 0.6;
+  landmarks[LANDMARK.LEFT_WRIST].y = left;
+  landmarks[LANDMARK.RIGHT_WRIST].y = right;
+  return landmarks;
+}
+
+const ALL = Object.values(MENU_GESTURE);
+
+describe("raisedHands", () => {
+  it("tells the hands apart", () => {
+    expect(raisedHands(pose())).toBeNull();
+    expect(raisedHands(pose({ left: 0.1 }))).toBe(MENU_GESTURE.LEFT_HAND);
+    expect(raisedHands(pose({ right: 0.1 }))).toBe(MENU_GESTURE.RIGHT_HAND);
+    expect(raisedHands(pose({ left: 0.1, right: 0.15 }))).toBe(MENU_GESTURE.BOTH_HANDS);
+  });
+
+  it("ignores hands at chest or shoulder height", () => {
+    expect(raisedHands(pose({ left: 0.3, right: 0.25 }))).toBeNull();
+  });
+
+  it("needs a tracked player", () => {
+    expect(raisedHands(null)).toBeNull();
+    expect(raisedHands(pose({ left: 0.1, visibility: 0.2 }))).toBeNull();
+  });
+});
+
+describe("createMenuGestureDetector", () => {
+  it("confirms once the pose has been held long enough", () => {
+    const detector = createMenuGestureDetector({ holdMs: 1000 });
+    const raised = pose({ left: 0.1 });
+
+    expect(detector.update(raised, 0, ALL)).toEqual({
+      gesture: MENU_GESTURE.LEFT_HAND,
+      progress: 0,
+      confirmed: null,
+    });
+    expect(detector.update(raised, 500, ALL).progress).toBe(0.5);
+    expect(detector.update(raised, 1000, ALL).confirmed).toBe(MENU_GESTURE.LEFT_HAND);
+  });
+
+  it("starts over when the pose changes or drops", () => {
+    const detector = createMenuGestureDetector({ holdMs: 1000 });
+    detector.update(pose({ left: 0.1 }), 0, ALL);
+    detector.update(pose({ left: 0.1, right: 0.1 }), 800, ALL);
+    expect(detector.update(pose({ left: 0.1, right: 0.1 }), 1200, ALL).confirmed).toBeNull();
+    detector.update(null, 1300, ALL);
+    expect(detector.update(pose({ right: 0.1 }), 1400, ALL).progress).toBe(0);
+  });
+
+  it("needs the hands down before confirming again", () => {
+    const detector = createMenuGestureDetector({ holdMs: 1000 });
+    const raised = pose({ right: 0.1 });
+    detector.update(raised, 0, ALL);
+    expect(detector.update(raised, 1000, ALL).confirmed).toBe(MENU_GESTURE.RIGHT_HAND);
+    expect(detector.update(raised, 3000, ALL)).toEqual({ gesture: null, progress: 0, confirmed: null });
+
+    detector.update(pose(), 3100, ALL);
+    detector.update(raised, 3200, ALL);
+    expect(detector.update(raised, 4200, ALL).confirmed).toBe(MENU_GESTURE.RIGHT_HAND);
+  });
+
+  it("only responds to the gestures the screen allows", () => {
+    const detector = createMenuGestureDetector({ holdMs: 1000 });
+    const both = pose({ left: 0.1, right: 0.1 });
+    detector.update(both, 0, [MENU_GESTURE.LEFT_HAND]);
+    expect(detector.update(both, 2000, [MENU_GESTURE.LEFT_HAND]).gesture).toBeNull();
+  });
+});
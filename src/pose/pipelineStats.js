@@ -0,0 +1,51 @@
+// Numbers for the pose debug overlay.
+
+// Milliseconds on a clock the page and its workers share; each has its own
+// `performance.now()` origin
+export function preciseNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+const WINDOW_MS = 1000;
+// Jump latencies averaged for the overlay
+const LATENCY_SAMPLES = 10;
+
+export function createPipelineStats() {
+  let results = [];
+  let inferenceMs = null;
+  let latencies = [];
+
+  return {
+    // Each result from the worker: `{ inferenceMs, skipped }`
+    addResult(result, now) {
+      results.push({ t: now, skipped: result.skipped || 0 });
+      results = results.filter((r) => now - r.t <= WINDOW_MS);
+      inferenceMs = result.inferenceMs ?? inferenceMs;
+    },
+
+    // Camera frame to simulated key press, for a jump
+    addJumpLatency(ms) {
+      latencies = [...latencies, ms].slice(-LATENCY_SAMPLES);
+    },
+
+    snapshot(now) {
+      const recent = results.filter((r) => now - r.t <= WINDOW_MS);
+      const skipped = recent.reduce((sum, r) => sum + r.skipped, 0);
+      return {
+        fps: recent.length * (1000 / WINDOW_MS),
+        inferenceMs,
+        skipRate: recent.length ? skipped / (skipped + recent.length) : 0,
+        jumpLatencyMs: latencies.length ? latencies[latencies.length - 1] : null,
+        avgJumpLatencyMs: latencies.length
+          ? latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length
+          : null,
+      };
+    },
+
+    reset() {
+      results = [];
+      inferenceMs = null;
+      latencies = [];
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// The MediaPipe Pose runtime is copied into the build by the `mediapipeAssets`
+// plugin in vite.config.js, so it loads from our own origin with no CDN.
+export const POSE_ASSET_BASE = `${import.meta.env.BASE_URL}mediapipe/pose/`;
+// Face Mesh is optional and small enough to load without a progress bar
+export const FACE_MESH_ASSET_BASE = `${import.meta.env.BASE_URL}mediapipe/face_mesh/`;
+
+const MODEL_FILES = [
+  "pose_landmark_lite.tflite",
+  "pose_landmark_full.tflite",
+  "pose_landmark_heavy.tflite",
+];
+
+const MIME_TYPES = {
+  js: "text/javascript",
+  wasm: "application/wasm",
+};
+
+// Same probe MediaPipe uses to pick its SIMD build.
+const SIMD_PROBE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 4, 1, 96, 0, 0, 3, 2, 1, 0, 10, 9, 1, 7, 0,
+  65, 0, 253, 15, 26, 11,
+]);
+
+function supportsSimd() {
+  try {
+    return WebAssembly.validate(SIMD_PROBE);
+  } catch {
+    return false;
+  }
+}
+
+export function poseAssetFiles(modelComplexity = 0) {
+  const wasm = supportsSimd()
+    ? "pose_solution_simd_wasm_bin"
+    : "pose_solution_wasm_bin";
+  return [
+    "pose_solution_packed_assets_loader.js",
+    "pose_solution_packed_assets.data",
+    `${wasm}.js`,
+    `${wasm}.wasm`,
+    "pose_web.binarypb",
+    MODEL_FILES[modelComplexity] || MODEL_FILES[0],
+  ];
+}
+
+async function fetchWithProgress(url, onBytes) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+  const total = Number(response.headers.get("Content-Length")) || 0;
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    onBytes(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    onBytes(value.byteLength, total);
+  }
+  return new Blob(chunks).arrayBuffer();
+}
+
+// Downloads every file Pose will ask for, so progress can be shown while
+// they arrive. `files` maps each file name to an object URL serving it from
+// memory, which the pose worker can read too. Call `release()` once Pose
+// has been closed.
+export async function preloadPoseAssets({ modelComplexity = 0, onProgress } = {}) {
+  const files = poseAssetFiles(modelComplexity);
+  const loaded = new Map();
+  const totals = new Map();
+  const received = new Map();
+
+  const report = (file) => {
+    if (!onProgress) return;
+    const expected = [...totals.values()].reduce((sum, n) => sum + n, 0);
+    const done = [...received.values()].reduce((sum, n) => sum + n, 0);
+    onProgress({
+      file,
+      loadedBytes: done,
+      totalBytes: expected,
+      progress: totals.size === files.length && expected ? done / expected : 0,
+    });
+  };
+
+  try {
+    await Promise.all(
+      files.map(async (file) => {
+        const buffer = await fetchWithProgress(
+          `${POSE_ASSET_BASE}${file}`,
+          (bytes, total) => {
+            totals.set(file, total);
+            received.set(file, (received.get(file) || 0) + bytes);
+            report(file);
+          }
+        );
+        const type = MIME_TYPES[file.split(".").pop()] || "application/octet-stream";
+        loaded.set(file, URL.createObjectURL(new Blob([buffer], { type })));
+      })
+    );
+  } catch (error) {
+    loaded.forEach((url) => URL.revokeObjectURL(url));
+    error.name = "PoseLoadError";
+    throw error;
+  }
+
+  return {
+    files: Object.fromEntries(loaded),
+    release: () => loaded.forEach((url) => URL.revokeObjectURL(url)),
+  };
+}
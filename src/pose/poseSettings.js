@@ -0,0 +1,27 @@
+import { STORAGE_KEYS, loadStored, saveStored } from "../storage";
+
+// How pose inference runs. These depend on the machine rather than the
+// player, so they aren't part of a profile.
+export const POSE_MODELS = [
+  { complexity: 0, label: "Lite", description: "Fastest, and right for most laptops and Chromebooks" },
+  { complexity: 1, label: "Full", description: "Steadier tracking for machines with some power to spare" },
+  { complexity: 2, label: "Heavy", description: "Most accurate; needs a fast desktop" },
+];
+
+export const DEFAULT_POSE_SETTINGS = {
+  modelComplexity: 0,
+  // Inference rate and jump latency over the camera preview
+  debugOverlay: false,
+};
+
+export function loadPoseSettings() {
+  const settings = { ...DEFAULT_POSE_SETTINGS, ...loadStored(STORAGE_KEYS.POSE, {}) };
+  if (!POSE_MODELS.some((model) => model.complexity === settings.modelComplexity)) {
+    settings.modelComplexity = DEFAULT_POSE_SETTINGS.modelComplexity;
+  }
+  return settings;
+}
+
+export function savePoseSettings(settings) {
+  saveStored(STORAGE_KEYS.POSE, settings);
+}
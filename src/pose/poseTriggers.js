@@ -0,0 +1,181 @@
+import { LANDMARK, isVisible, shoulderY } from "./landmarks";
+
+// Alternative gestures a game action can be bound to, for players who
+// can't jump or squat. Everything is measured against the shoulders, which
+// stay in view for seated players whose hips don't.
+export const POSE_TRIGGER = {
+  BODY: "body",
+  ARM_RAISE: "arm-raise",
+  HEAD_NOD: "head-nod",
+  LEAN: "lean",
+  MOUTH_OPEN: "mouth-open",
+};
+
+// Face Mesh indices: inner lips, and forehead to chin for scale
+const FACE = { UPPER_LIP: 13, LOWER_LIP: 14, FOREHEAD: 10, CHIN: 152 };
+
+// Below this the player is side-on and the shoulder scale is meaningless
+const MIN_SHOULDER_WIDTH = 0.03;
+
+function shoulderWidth(landmarks) {
+  const left = landmarks[LANDMARK.LEFT_SHOULDER];
+  const right = landmarks[LANDMARK.RIGHT_SHOULDER];
+  if (!isVisible(left) || !isVisible(right)) return null;
+  const width = Math.abs(left.x - right.x);
+  return width < MIN_SHOULDER_WIDTH ? null : width;
+}
+
+// Highest wrist above the shoulders, in shoulder widths
+function armRaise({ landmarks }) {
+  const width = landmarks && shoulderWidth(landmarks);
+  if (!width) return null;
+  const wrists = [LANDMARK.LEFT_WRIST, LANDMARK.RIGHT_WRIST]
+    .map((i) => landmarks[i])
+    .filter(isVisible);
+  if (!wrists.length) return null;
+  return Math.max(...wrists.map((w) => (shoulderY(landmarks) - w.y) / width));
+}
+
+// Nose height above the shoulders, in shoulder widths
+function headHeight({ landmarks }) {
+  const width = landmarks && shoulderWidth(landmarks);
+  if (!width || !isVisible(landmarks[LANDMARK.NOSE])) return null;
+  return (shoulderY(landmarks) - landmarks[LANDMARK.NOSE].y) / width;
+}
+
+// Nose offset from between the shoulders, in shoulder widths
+function headOffset({ landmarks }) {
+  const width = landmarks && shoulderWidth(landmarks);
+  if (!width || !isVisible(landmarks[LANDMARK.NOSE])) return null;
+  const middle = (landmarks[LANDMARK.LEFT_SHOULDER].x + landmarks[LANDMARK.RIGHT_SHOULDER].x) / 2;
+  return (landmarks[LANDMARK.NOSE].x - middle) / width;
+}
+
+// Gap between the lips as a share of the face height
+function mouthOpening({ faceLandmarks }) {
+  if (!faceLandmarks) return null;
+  const height = faceLandmarks[FACE.CHIN].y - faceLandmarks[FACE.FOREHEAD].y;
+  if (height <= 0) return null;
+  return (faceLandmarks[FACE.LOWER_LIP].y - faceLandmarks[FACE.UPPER_LIP].y) / height;
+}
+
+// `thresholds` is how far the gesture has to go at sensitivity 0 and 1.
+// Gestures with `fromNeutral` are measured against the player's resting
+// pose, which is learned while they sit still.
+export const POSE_TRIGGERS = {
+  [POSE_TRIGGER.BODY]: {
+    id: POSE_TRIGGER.BODY,
+    label: "Jump / squat",
+    description: "Your calibrated jump, or a squat to duck",
+  },
+  [POSE_TRIGGER.ARM_RAISE]: {
+    id: POSE_TRIGGER.ARM_RAISE,
+    label: "Arm raise",
+    description: "Lift either hand above your shoulders",
+    thresholds: [2, 0.3],
+    measure: armRaise,
+  },
+  [POSE_TRIGGER.HEAD_NOD]: {
+    id: POSE_TRIGGER.HEAD_NOD,
+    label: "Head nod",
+    description: "Dip your head towards your chest",
+    thresholds: [0.4, 0.08],
+    measure: headHeight,
+    fromNeutral: (value, neutral) => neutral - value,
+  },
+  [POSE_TRIGGER.LEAN]: {
+    id: POSE_TRIGGER.LEAN,
+    label: "Lean",
+    description: "Lean your head and shoulders to either side",
+    thresholds: [0.6, 0.12],
+    measure: headOffset,
+    fromNeutral: (value, neutral) => Math.abs(value - neutral),
+  },
+  [POSE_TRIGGER.MOUTH_OPEN]: {
+    id: POSE_TRIGGER.MOUTH_OPEN,
+    label: "Mouth open",
+    description: "Open your mouth wide",
+    thresholds: [0.15, 0.03],
+    measure: mouthOpening,
+    needsFace: true,
+  },
+};
+
+export const TRIGGER_EVENT = {
+  PRESS: "press",
+  RELEASE: "release",
+};
+
+// Level at which a pressed trigger lets go, so it doesn't chatter
+const RELEASE_LEVEL = 0.6;
+// The resting pose only follows the player below this level...
+const NEUTRAL_LEVEL = 0.4;
+// ...and only this share of the way per frame
+const NEUTRAL_RATE = 0.05;
+
+export function triggerThreshold(trigger, sensitivity) {
+  const [loose, tight] = POSE_TRIGGERS[trigger].thresholds;
+  return loose + (tight - loose) * sensitivity;
+}
+
+// Turns one alternative gesture into press/release events. `getLevel()` is
+// how far towards pressing the last frame was (1 presses), for meters.
+export function createTriggerDetector({ trigger, sensitivity }) {
+  const definition = POSE_TRIGGERS[trigger];
+  let threshold = triggerThreshold(trigger, sensitivity);
+  let neutral = null;
+  let pressed = false;
+  let level = 0;
+
+  const release = () => {
+    pressed = false;
+    return TRIGGER_EVENT.RELEASE;
+  };
+
+  return {
+    // `frame` is `{ landmarks, faceLandmarks }`, either of which may be null
+    update(frame) {
+      const value = definition.measure(frame);
+      if (value === null) {
+        // Nobody to measure; let go of anything held, and whoever comes
+        // back may rest differently
+        level = 0;
+        if (!frame.landmarks) neutral = null;
+        return pressed ? release() : null;
+      }
+
+      if (definition.fromNeutral) {
+        if (neutral === null) neutral = value;
+        level = Math.max(0, definition.fromNeutral(value, neutral) / threshold);
+        if (level < NEUTRAL_LEVEL) neutral += (value - neutral) * NEUTRAL_RATE;
+      } else {
+        level = Math.max(0, value / threshold);
+      }
+
+      if (!pressed && level >= 1) {
+        pressed = true;
+        return TRIGGER_EVENT.PRESS;
+      }
+      if (pressed && level < RELEASE_LEVEL) return release();
+      return null;
+    },
+
+    getLevel() {
+      return level;
+    },
+
+    getTrigger() {
+      return trigger;
+    },
+
+    setSensitivity(value) {
+      threshold = triggerThreshold(trigger, value);
+    },
+
+    reset() {
+      neutral = null;
+      pressed = false;
+      level = 0;
+    },
+  };
+}
@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import { LANDMARK } from "./landmarks";
+import { createTriggerDetector, POSE_TRIGGER, TRIGGER_EVENT } from "./poseTriggers";
+import { createGestureDetector, GESTURE_EVENT } from "./gestureDetector";
+import {
+  DEFAULT_GESTURE_BINDINGS,
+  GAME_ACTION,
+  needsFullBody,
+  normalizeBindings,
+} from "./gestureBindings";
+
+// A seated player: shoulders 0.2 apart at y 0.4, hips out of view
+function seated({ wrist = 0.6, noseY = 0.28, noseX = 0.5 } = {}) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.9, visibility: 0.1 }));
+  landmarks[LANDMARK.LEFT_SHOULDER] = { x: 0.6, y: 0.4, visibility: 0.95 };
+  landmarks[LANDMARK.RIGHT_SHOULDER] = { x: 0.4, y: 0.4, visibility: 0.95 };
+  landmarks[LANDMARK.NOSE] = { x: noseX, y: noseY, visibility: 0.95 };
+  landmarks[LANDMARK.LEFT_WRIST] = { x: 0.65, y: wrist, visibility: 0.95 };
+  landmarks[LANDMARK.RIGHT_WRIST] = { x: 0.35, y: 0.6, visibility: 0.95 };
+  return landmarks;
+}
+
+function face(opening) {
+  const landmarks = Array.from({ length: 468 }, () => ({ x: 0.5, y: 0.3 }));
+  landmarks[10].y = 0.2;
+  landmarks[152].y = 0.4;
+  landmarks[13].y = 0.33;
+  landmarks[14].y = 0.33 + opening * 0.2;
+  return landmarks;
+}
+
+const run = (detector, frames) => frames.map((frame) => detector.update(frame));
+
+describe("createTriggerDetector", () => {
+  it("presses on an arm raise and releases when the arm comes down", () => {
+    const detector = createTriggerDetector({ trigger: POSE_TRIGGER.ARM_RAISE, sensitivity: 0.5 });
+    const events = run(detector, [
+      { landmarks: seated() },
+      { landmarks: seated({ wrist: 0.1 }) },
+      { landmarks: seated({ wrist: 0.05 }) },
+      { landmarks: seated() },
+    ]);
+    expect(events).toEqual([null, TRIGGER_EVENT.PRESS, null, TRIGGER_EVENT.RELEASE]);
+  });
+
+  it("needs less movement at a higher sensitivity", () => {
+    const halfRaise = { landmarks: seated({ wrist: 0.3 }) };
+    const loose = createTriggerDetector({ trigger: POSE_TRIGGER.ARM_RAISE, sensitivity: 0 });
+    const tight = createTriggerDetector({ trigger: POSE_TRIGGER.ARM_RAISE, sensitivity: 1 });
+    expect(loose.update(halfRaise)).toBeNull();
+    expect(loose.getLevel()).toBeLessThan(1);
+    expect(tight.update(halfRaise)).toBe(TRIGGER_EVENT.PRESS);
+  });
+
+  it("measures a nod from the player's resting head height", () => {
+    const detector = createTriggerDetector({ trigger: POSE_TRIGGER.HEAD_NOD, sensitivity: 0.5 });
+    // Slumping slowly moves the resting pose along without firing
+    const slump = Array.from({ length: 40 }, (_, i) => ({
+      landmarks: seated({ noseY: 0.28 + i * 0.0005 }),
+    }));
+    expect(run(detector, slump).filter(Boolean)).toEqual([]);
+    expect(detector.update({ landmarks: seated({ noseY: 0.36 }) })).toBe(TRIGGER_EVENT.PRESS);
+  });
+
+  it("fires a lean to either side", () => {
+    ["left", "right"].forEach((side) => {
+      const detector = createTriggerDetector({ trigger: POSE_TRIGGER.LEAN, sensitivity: 0.5 });
+      detector.update({ landmarks: seated() });
+      const noseX = side === "left" ? 0.6 : 0.4;
+      expect(detector.update({ landmarks: seated({ noseX }) })).toBe(TRIGGER_EVENT.PRESS);
+    });
+  });
+
+  it("opens the mouth only with face landmarks", () => {
+    const detector = createTriggerDetector({ trigger: POSE_TRIGGER.MOUTH_OPEN, sensitivity: 0.5 });
+    expect(detector.update({ landmarks: seated(), faceLandmarks: null })).toBeNull();
+    expect(detector.update({ landmarks: seated(), faceLandmarks: face(0.02) })).toBeNull();
+    expect(detector.update({ landmarks: seated(), faceLandmarks: face(0.2) })).toBe(TRIGGER_EVENT.PRESS);
+  });
+
+  it("lets go when the player leaves the frame", () => {
+    const detector = createTriggerDetector({ trigger: POSE_TRIGGER.ARM_RAISE, sensitivity: 0.5 });
+    detector.update({ landmarks: seated({ wrist: 0.1 }) });
+    expect(detector.update({ landmarks: null })).toBe(TRIGGER_EVENT.RELEASE);
+    expect(detector.getLevel()).toBe(0);
+  });
+});
+
+describe("gesture bindings", () => {
+  const armJump = normalizeBindings({
+    [GAME_ACTION.JUMP]: { trigger: POSE_TRIGGER.ARM_RAISE, sensitivity: 0.5 },
+    [GAME_ACTION.DUCK]: { trigger: POSE_TRIGGER.LEAN, sensitivity: 0.5 },
+  });
+
+  it("turns rebound gestures into the same events as jumping and squatting", () => {
+    const detector = createGestureDetector({ bindings: armJump });
+    const events = [
+      seated(),
+      seated({ wrist: 0.1 }),
+      seated(),
+      seated({ noseX: 0.6 }),
+      seated(),
+    ].flatMap((landmarks, i) => detector.update(landmarks, i * 33));
+    expect(events).toEqual([GESTURE_EVENT.JUMP, GESTURE_EVENT.DUCK, GESTURE_EVENT.STAND]);
+  });
+
+  it("reports meter levels only for rebound actions", () => {
+    const detector = createGestureDetector();
+    expect(detector.getLevels()).toEqual({ jump: null, duck: null });
+    detector.setBindings(armJump);
+    detector.update(seated({ wrist: 0.3 }), 0);
+    expect(detector.getLevels().jump).toBeGreaterThan(0);
+    expect(detector.getLevels().duck).toBe(0);
+  });
+
+  it("needs the full body only while a body gesture is bound", () => {
+    expect(needsFullBody(DEFAULT_GESTURE_BINDINGS)).toBe(true);
+    expect(needsFullBody(armJump)).toBe(false);
+    expect(needsFullBody({ ...armJump, [GAME_ACTION.DUCK]: DEFAULT_GESTURE_BINDINGS.duck })).toBe(true);
+  });
+
+  it("falls back to the body gesture when a binding can't run", () => {
+    const bindings = normalizeBindings({
+      faceLandmarks: false,
+      [GAME_ACTION.JUMP]: { trigger: POSE_TRIGGER.MOUTH_OPEN, sensitivity: 2 },
+      [GAME_ACTION.DUCK]: { trigger: "wink" },
+    });
+    expect(bindings).toEqual({
+      ...DEFAULT_GESTURE_BINDINGS,
+      [GAME_ACTION.JUMP]: { trigger: POSE_TRIGGER.BODY, sensitivity: 1 },
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { Pose, POSE_CONNECTIONS } from "@mediapipe/pose";
+import { FaceMesh } from "@mediapipe/face_mesh";
+import { drawConnectors, drawLandmarks } from "@mediapipe/drawing_utils";
+import { FACE_MESH_ASSET_BASE, POSE_ASSET_BASE } from "./poseAssets";
+import { createFrameSkipper } from "./frameSkipper";
+import { preciseNow } from "./pipelineStats";
+
+// Runs pose inference and draws the camera preview off the main thread.
+// Started by input/cameraInput.js, which documents the messages.
+
+let pose = null;
+let faceMesh = null;
+let preview = null;
+let showSkeleton = true;
+// Set by the solutions' result callbacks during each send()
+let poseLandmarks = null;
+let faceLandmarks = null;
+const skipper = createFrameSkipper();
+// The page sends a new frame stream for each camera it switches to
+let frameReader = null;
+let reading = Promise.resolve();
+
+// MediaPipe loads its runtime through importScripts, which module workers
+// don't have. Only scripts are evaluated: the model file it passes along
+// too is fetched by the runtime itself, as it is on a page.
+function installImportScripts(isScript) {
+  self.importScripts = (...urls) => {
+    urls.filter(isScript).forEach((url) => {
+      const request = new XMLHttpRequest();
+      request.open("GET", url, false);
+      request.send();
+      if (request.status !== 200) throw new Error(`${url} responded ${request.status}`);
+      // Indirect, so the runtime's top-level declarations become globals
+      (0, eval)(request.responseText);
+    });
+  };
+}
+
+function drawPreview(image, landmarks) {
+  // Keep the camera's aspect ratio so the skeleton lines up; the page crops
+  // the canvas to the preview box
+  const height = Math.round((preview.width * image.height) / image.width);
+  if (preview.height !== height) preview.height = height;
+  const ctx = preview.getContext("2d");
+  ctx.drawImage(image, 0, 0, preview.width, preview.height);
+  if (!landmarks || !showSkeleton) return;
+  drawConnectors(ctx, landmarks, POSE_CONNECTIONS, { color: "#00FF00", lineWidth: 4 });
+  drawLandmarks(ctx, landmarks, { color: "#FF0000", lineWidth: 2 });
+}
+
+async function processFrame(image, capturedAt) {
+  const startedAt = performance.now();
+  if (faceMesh) await faceMesh.send({ image });
+  await pose.send({ image });
+  const inferenceMs = performance.now() - startedAt;
+  skipper.record(inferenceMs);
+
+  drawPreview(image, poseLandmarks);
+  self.postMessage({
+    type: "results",
+    poseLandmarks,
+    faceLandmarks,
+    capturedAt,
+    inferenceMs,
+    skipped: skipper.takeSkipped(),
+  });
+}
+
+// VideoFrames from a MediaStreamTrackProcessor, which drops frames by
+// itself while we're busy
+async function readFrames(frames) {
+  const reader = frames.getReader();
+  frameReader = reader;
+  for (;;) {
+    const { done, value: frame } = await reader.read();
+    if (done) return;
+    const capturedAt = preciseNow();
+    try {
+      if (skipper.shouldRun(performance.now())) {
+        // Pose reads `width` and `height`, which VideoFrames don't have
+        const bitmap = await createImageBitmap(frame);
+        await processFrame(bitmap, capturedAt);
+        bitmap.close();
+      }
+    } finally {
+      frame.close();
+    }
+  }
+}
+
+async function init({ assets, modelComplexity, withFace, skeleton, canvas }) {
+  const scripts = new Set(
+    Object.entries(assets)
+      .filter(([file]) => file.endsWith(".js"))
+      .map(([, url]) => url)
+  );
+  installImportScripts((url) => scripts.has(url) || /\.js(\?|$)/.test(url));
+  preview = canvas;
+  showSkeleton = skeleton;
+
+  pose = new Pose({ locateFile: (file) => assets[file] || `${POSE_ASSET_BASE}${file}` });
+  pose.setOptions({
+    modelComplexity,
+    smoothLandmarks: true,
+    enableSegmentation: false,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+  });
+  pose.onResults((results) => {
+    poseLandmarks = results.poseLandmarks || null;
+  });
+  if (withFace) {
+    faceMesh = new FaceMesh({ locateFile: (file) => `${FACE_MESH_ASSET_BASE}${file}` });
+    faceMesh.setOptions({
+      maxNumFaces: 1,
+      refineLandmarks: false,
+      minDetectionConfidence: 0.5,
+      minTrackingConfidence: 0.5,
+    });
+    faceMesh.onResults((results) => {
+      faceLandmarks = results.multiFaceLandmarks?.[0] || null;
+    });
+  }
+
+  await pose.initialize();
+  if (faceMesh) await faceMesh.initialize();
+}
+
+const fail = (error) => self.postMessage({ type: "error", message: error.message || String(error) });
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "init":
+      init(data)
+        .then(() => self.postMessage({ type: "ready" }))
+        .catch(fail);
+      break;
+    case "frames":
+      // Let the old stream finish its frame first so the model isn't fed
+      // two frames at once
+      if (frameReader) frameReader.cancel().catch(() => {});
+      reading = reading.then(() => readFrames(data.frames)).catch(fail);
+      break;
+    case "frame": {
+      const { bitmap, capturedAt } = data;
+      const run = skipper.shouldRun(performance.now())
+        ? processFrame(bitmap, capturedAt)
+        : Promise.resolve();
+      run
+        .catch(fail)
+        .finally(() => {
+          bitmap.close();
+          self.postMessage({ type: "next" });
+        });
+      break;
+    }
+    case "load":
+      skipper.reportLoad(data.dropping);
+      break;
+    case "skeleton":
+      showSkeleton = data.show;
+      break;
+  }
+};
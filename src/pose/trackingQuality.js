@@ -0,0 +1,138 @@
+import { LANDMARK, isVisible, torsoLength } from "./landmarks";
+
+export const TRACKING_LEVEL = {
+  GOOD: "GOOD",
+  FAIR: "FAIR",
+  POOR: "POOR",
+};
+
+export const TRACKING_ISSUE = {
+  NO_PERSON: "NO_PERSON",
+  OUT_OF_FRAME: "OUT_OF_FRAME",
+  TOO_CLOSE: "TOO_CLOSE",
+  TOO_FAR: "TOO_FAR",
+  LOW_LIGHT: "LOW_LIGHT",
+  LOW_FPS: "LOW_FPS",
+};
+
+// Most important first; the first active issue becomes the on-screen hint
+export const TRACKING_HINTS = {
+  [TRACKING_ISSUE.NO_PERSON]: "Step in front of the camera",
+  [TRACKING_ISSUE.OUT_OF_FRAME]: "Move into frame",
+  [TRACKING_ISSUE.TOO_CLOSE]: "Step back",
+  [TRACKING_ISSUE.LOW_LIGHT]: "More light needed",
+  [TRACKING_ISSUE.TOO_FAR]: "Come a little closer",
+  [TRACKING_ISSUE.LOW_FPS]: "Camera is slow, add light or close other apps",
+};
+
+// Jumps still register with these, just less reliably
+const SOFT_ISSUES = [TRACKING_ISSUE.TOO_FAR, TRACKING_ISSUE.LOW_FPS];
+
+const WINDOW_MS = 1000;
+// Share of the window's frames an issue must appear in to be reported
+const ISSUE_SHARE = 0.5;
+const MIN_FPS = 12;
+// Required landmarks must sit inside this margin of the image edges
+const EDGE_MARGIN = 0.02;
+// Torso length as a share of the image height
+const MAX_TORSO = 0.4;
+const MIN_TORSO = 0.1;
+const MIN_AVERAGE_VISIBILITY = 0.65;
+
+const SHOULDERS = [LANDMARK.LEFT_SHOULDER, LANDMARK.RIGHT_SHOULDER];
+const BODY = [...SHOULDERS, LANDMARK.LEFT_HIP, LANDMARK.RIGHT_HIP];
+
+function inFrame(landmark) {
+  return (
+    landmark.x > EDGE_MARGIN &&
+    landmark.x < 1 - EDGE_MARGIN &&
+    landmark.y > EDGE_MARGIN &&
+    landmark.y < 1 - EDGE_MARGIN
+  );
+}
+
+// Issues visible in a single frame (frame rate is judged over the window).
+// Without `needsHips` (no body gesture bound) only the shoulders have to be
+// in frame, so a seated player whose hips are hidden still tracks fine.
+export function frameIssues(landmarks, { needsHips = true } = {}) {
+  if (!landmarks) return [TRACKING_ISSUE.NO_PERSON];
+
+  const issues = [];
+  const required = needsHips ? BODY : SHOULDERS;
+  const body = required.map((i) => landmarks[i]);
+  if (!body.every((l) => isVisible(l) && inFrame(l))) {
+    issues.push(TRACKING_ISSUE.OUT_OF_FRAME);
+  }
+
+  const torso = torsoLength(landmarks);
+  if (torso !== null && torso > MAX_TORSO) issues.push(TRACKING_ISSUE.TOO_CLOSE);
+  if (torso !== null && torso < MIN_TORSO) issues.push(TRACKING_ISSUE.TOO_FAR);
+
+  // Dim rooms show up as uniformly low confidence rather than missing limbs
+  const visibility =
+    [LANDMARK.NOSE, ...required].reduce((sum, i) => sum + (landmarks[i].visibility ?? 1), 0) /
+    (required.length + 1);
+  if (visibility < MIN_AVERAGE_VISIBILITY) issues.push(TRACKING_ISSUE.LOW_LIGHT);
+
+  return issues;
+}
+
+// Watches the pose stream and summarises how well the player is tracked.
+// `update` returns `{ level, issues, hint, fps }`. `setNeedsHips` follows
+// the player's gesture bindings (see frameIssues).
+export function createTrackingMonitor({ needsHips = true } = {}) {
+  let samples = [];
+  let quality = null;
+  let requirements = { needsHips };
+
+  return {
+    update(landmarks, now) {
+      samples.push({ t: now, issues: frameIssues(landmarks, requirements) });
+      samples = samples.filter((s) => now - s.t <= WINDOW_MS);
+
+      const span = Math.max(now - samples[0].t, 1);
+      const fps = samples.length > 1 ? ((samples.length - 1) * 1000) / span : 0;
+      const issues = Object.values(TRACKING_ISSUE).filter(
+        (issue) =>
+          samples.filter((s) => s.issues.includes(issue)).length / samples.length >
+          ISSUE_SHARE
+      );
+      // Only judge the frame rate once a full window has been seen
+      if (span >= WINDOW_MS * 0.9 && fps < MIN_FPS) issues.push(TRACKING_ISSUE.LOW_FPS);
+
+      const hint = Object.keys(TRACKING_HINTS).find((issue) => issues.includes(issue));
+      let level = TRACKING_LEVEL.GOOD;
+      if (issues.some((issue) => !SOFT_ISSUES.includes(issue))) {
+        level = TRACKING_LEVEL.POOR;
+      } else if (issues.length) {
+        level = TRACKING_LEVEL.FAIR;
+      }
+
+      quality = {
+        level,
+        issues,
+        hint: hint ? TRACKING_HINTS[hint] : null,
+        fps: Math.round(fps),
+      };
+      return quality;
+    },
+
+    getQuality() {
+      return quality;
+    },
+
+    setNeedsHips(value) {
+      requirements = { needsHips: value };
+    },
+
+    reset() {
+      samples = [];
+      quality = null;
+    },
+  };
+}
+
+// Good enough to start a round
+export function isTrackingReady(quality) {
+  return !!quality && quality.level !== TRACKING_LEVEL.POOR;
+}
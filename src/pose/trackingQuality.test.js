@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import {
+  createTrackingMonitor,
+  frameIssues,
+  isTrackingReady,
+  TRACKING_ISSUE,
+  TRACKING_LEVEL,
+} from "./trackingQuality";
+
+function pose({ shoulder = 0.35, torso = 0.25, x = 0.5, visibility = 0.95 } = {}) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x, y: 0.2, visibility }));
+  landmarks[11].y = landmarks[12].y = shoulder;
+  landmarks[23].y = landmarks[24].y = shoulder + torso;
+  return landmarks;
+}
+
+function feed(monitor, frames, fps = 30) {
+  let quality;
+  frames.forEach((landmarks, i) => {
+    quality = monitor.update(landmarks, (i * 1000) / fps);
+  });
+  return quality;
+}
+
+describe("frameIssues", () => {
+  it("accepts a well framed player", () => {
+    expect(frameIssues(pose())).toEqual([]);
+  });
+
+  it("spots framing and lighting problems", () => {
+    expect(frameIssues(null)).toEqual([TRACKING_ISSUE.NO_PERSON]);
+    expect(frameIssues(pose({ shoulder: 0.2, torso: 0.5 }))).toContain(TRACKING_ISSUE.TOO_CLOSE);
+    expect(frameIssues(pose({ shoulder: 0.7, torso: 0.35 }))).toContain(TRACKING_ISSUE.OUT_OF_FRAME);
+    expect(frameIssues(pose({ torso: 0.06 }))).toEqual([TRACKING_ISSUE.TOO_FAR]);
+    expect(frameIssues(pose({ visibility: 0.55 }))).toEqual([TRACKING_ISSUE.LOW_LIGHT]);
+  });
+
+  it("only needs the shoulders when no body gesture is bound", () => {
+    // Seated behind a desk: hips below the frame and barely detected
+    const seated = pose({ shoulder: 0.7, torso: 0.35 });
+    seated[23].visibility = seated[24].visibility = 0.1;
+    expect(frameIssues(seated)).toContain(TRACKING_ISSUE.OUT_OF_FRAME);
+    expect(frameIssues(seated, { needsHips: false })).toEqual([]);
+  });
+});
+
+describe("createTrackingMonitor", () => {
+  it("reports good tracking and lets a round start", () => {
+    const quality = feed(createTrackingMonitor(), Array(40).fill(pose()));
+    expect(quality).toMatchObject({ level: TRACKING_LEVEL.GOOD, hint: null, fps: 30 });
+    expect(isTrackingReady(quality)).toBe(true);
+  });
+
+  it("ignores the odd dropped frame", () => {
+    const frames = Array(40).fill(pose());
+    frames[35] = null;
+    expect(feed(createTrackingMonitor(), frames).level).toBe(TRACKING_LEVEL.GOOD);
+  });
+
+  it("blocks the round and hints when the player is too close", () => {
+    const quality = feed(createTrackingMonitor(), Array(40).fill(pose({ shoulder: 0.2, torso: 0.5 })));
+    expect(quality.level).toBe(TRACKING_LEVEL.POOR);
+    expect(quality.hint).toBe("Step back");
+    expect(isTrackingReady(quality)).toBe(false);
+  });
+
+  it("lets a seated player start once hips are no longer needed", () => {
+    const seated = pose({ shoulder: 0.7, torso: 0.35 });
+    expect(isTrackingReady(feed(createTrackingMonitor(), Array(40).fill(seated)))).toBe(false);
+    const monitor = createTrackingMonitor();
+    monitor.setNeedsHips(false);
+    expect(isTrackingReady(feed(monitor, Array(40).fill(seated)))).toBe(true);
+  });
+
+  it("treats a slow camera as fair", () => {
+    const quality = feed(createTrackingMonitor(), Array(20).fill(pose()), 8);
+    expect(quality.level).toBe(TRACKING_LEVEL.FAIR);
+    expect(quality.issues).toEqual([TRACKING_ISSUE.LOW_FPS]);
+  });
+});
@@ -0,0 +1,144 @@
+import {
+  STORAGE_KEYS,
+  loadStored,
+  saveStored,
+  removeStored,
+  profileKey,
+} from "../storage";
+
+export const MAX_PROFILE_NAME_LENGTH = 10;
+const DEFAULT_PROFILE_NAME = "PLAYER 1";
+
+// Everything stored per profile. Deleting a profile removes all of these.
+export const PROFILE_KEYS = [
+  STORAGE_KEYS.SESSION_STATS,
+  STORAGE_KEYS.STREAK,
+  STORAGE_KEYS.THEME,
+  STORAGE_KEYS.CALIBRATION,
+  STORAGE_KEYS.GAME_MODE,
+  STORAGE_KEYS.INPUT_SOURCE,
+  STORAGE_KEYS.RECORD_RUNS,
+  STORAGE_KEYS.HISTORY,
+  STORAGE_KEYS.FITNESS,
+  STORAGE_KEYS.ACHIEVEMENTS,
+  STORAGE_KEYS.GESTURE_BINDINGS,
+  STORAGE_KEYS.AUDIO,
+];
+
+// Settings that used to be global and move into the first profile
+const MIGRATED_KEYS = [
+  STORAGE_KEYS.SESSION_STATS,
+  STORAGE_KEYS.STREAK,
+  STORAGE_KEYS.THEME,
+  STORAGE_KEYS.GAME_MODE,
+  STORAGE_KEYS.INPUT_SOURCE,
+  STORAGE_KEYS.RECORD_RUNS,
+];
+
+// Names double as leaderboard names, so keep them in the same shape
+export function normalizeProfileName(name) {
+  return name.trim().toUpperCase().slice(0, MAX_PROFILE_NAME_LENGTH);
+}
+
+function newProfileId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function newProfile(name) {
+  return { id: newProfileId(), name, createdAt: Date.now() };
+}
+
+// Moves the pre-profile global keys into a default profile. Calibrations
+// used to be keyed by player name; every other calibrated name gets a
+// profile of its own.
+function migrateGlobalKeys() {
+  const lastName = localStorage.getItem(STORAGE_KEYS.PLAYER_NAME);
+  const calibrations = loadStored(STORAGE_KEYS.CALIBRATION, {});
+  const defaultProfile = newProfile(
+    normalizeProfileName(lastName || "") || DEFAULT_PROFILE_NAME
+  );
+  const profiles = [defaultProfile];
+
+  MIGRATED_KEYS.forEach((key) => {
+    const item = localStorage.getItem(key);
+    if (item === null) return;
+    localStorage.setItem(profileKey(defaultProfile.id, key), item);
+    removeStored(key);
+  });
+
+  Object.entries(calibrations).forEach(([name, settings]) => {
+    const profileName = normalizeProfileName(name);
+    if (!profileName) return;
+    let profile = profiles.find((p) => p.name === profileName);
+    if (!profile) {
+      profile = newProfile(profileName);
+      profiles.push(profile);
+    }
+    saveStored(profileKey(profile.id, STORAGE_KEYS.CALIBRATION), settings);
+  });
+
+  removeStored(STORAGE_KEYS.CALIBRATION);
+  removeStored(STORAGE_KEYS.PLAYER_NAME);
+
+  const state = { activeId: defaultProfile.id, profiles };
+  saveStored(STORAGE_KEYS.PROFILES, state);
+  return state;
+}
+
+// Returns `{ activeId, profiles }`. There is always at least one profile;
+// the first call on a machine migrates the old global settings.
+export function loadProfiles() {
+  const state = loadStored(STORAGE_KEYS.PROFILES, null);
+  if (!state || !state.profiles?.length) return migrateGlobalKeys();
+  if (!state.profiles.some((p) => p.id === state.activeId)) {
+    return { ...state, activeId: state.profiles[0].id };
+  }
+  return state;
+}
+
+export function selectProfile(state, id) {
+  const updated = { ...state, activeId: id };
+  saveStored(STORAGE_KEYS.PROFILES, updated);
+  return updated;
+}
+
+// Creates and selects a profile, or selects the existing one of that name.
+export function createProfile(state, name) {
+  const profileName = normalizeProfileName(name);
+  if (!profileName) {
+    throw new Error("Profile name is required");
+  }
+  const existing = state.profiles.find((p) => p.name === profileName);
+  if (existing) return selectProfile(state, existing.id);
+
+  const profile = newProfile(profileName);
+  const updated = { activeId: profile.id, profiles: [...state.profiles, profile] };
+  saveStored(STORAGE_KEYS.PROFILES, updated);
+  return updated;
+}
+
+// The last remaining profile can't be deleted.
+export function deleteProfile(state, id) {
+  if (state.profiles.length <= 1) return state;
+  PROFILE_KEYS.forEach((key) => removeStored(profileKey(id, key)));
+
+  const profiles = state.profiles.filter((p) => p.id !== id);
+  const updated = {
+    activeId: state.activeId === id ? profiles[0].id : state.activeId,
+    profiles,
+  };
+  saveStored(STORAGE_KEYS.PROFILES, updated);
+  return updated;
+}
+
+export function getActiveProfile(state) {
+  return state.profiles.find((p) => p.id === state.activeId) || state.profiles[0];
+}
+
+export function loadProfileValue(profileId, key, fallback) {
+  return loadStored(profileKey(profileId, key), fallback);
+}
+
+export function saveProfileValue(profileId, key, value) {
+  saveStored(profileKey(profileId, key), value);
+}
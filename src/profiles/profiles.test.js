@@ -0,0 +1,69 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { STORAGE_KEYS, profileKey } from "../storage";
+import {
+  loadProfiles,
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  loadProfileValue,
+} from "./profiles";
+import { memoryStorage } from "../testing/memoryStorage";
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", memoryStorage());
+});
+
+describe("loadProfiles", () => {
+  it("creates a default profile on a fresh machine", () => {
+    const state = loadProfiles();
+    expect(state.profiles).toHaveLength(1);
+    expect(getActiveProfile(state).name).toBe("PLAYER 1");
+  });
+
+  it("moves the old global keys into the last player's profile once", () => {
+    const stats = { totalJumps: 12, totalPlayTime: 30, totalScore: 400, roundsPlayed: 2 };
+    localStorage.setItem(STORAGE_KEYS.PLAYER_NAME, "ana");
+    localStorage.setItem(STORAGE_KEYS.SESSION_STATS, JSON.stringify(stats));
+    localStorage.setItem(STORAGE_KEYS.THEME, JSON.stringify("light"));
+    localStorage.setItem(
+      STORAGE_KEYS.CALIBRATION,
+      JSON.stringify({ ANA: { threshold: 0.2 }, BO: { threshold: 0.1 } })
+    );
+
+    const state = loadProfiles();
+    const ana = getActiveProfile(state);
+    const bo = state.profiles.find((p) => p.name === "BO");
+
+    expect(ana.name).toBe("ANA");
+    expect(loadProfileValue(ana.id, STORAGE_KEYS.SESSION_STATS, null)).toEqual(stats);
+    expect(loadProfileValue(ana.id, STORAGE_KEYS.THEME, null)).toBe("light");
+    expect(loadProfileValue(ana.id, STORAGE_KEYS.CALIBRATION, null)).toEqual({ threshold: 0.2 });
+    expect(loadProfileValue(bo.id, STORAGE_KEYS.CALIBRATION, null)).toEqual({ threshold: 0.1 });
+
+    expect(localStorage.getItem(STORAGE_KEYS.SESSION_STATS)).toBeNull();
+    expect(localStorage.getItem(STORAGE_KEYS.PLAYER_NAME)).toBeNull();
+    expect(loadProfiles()).toEqual(state);
+  });
+});
+
+describe("createProfile / deleteProfile", () => {
+  it("selects an existing profile instead of duplicating a name", () => {
+    const first = createProfile(loadProfiles(), "kai");
+    const again = createProfile(first, " KAI ");
+    expect(again.profiles).toHaveLength(2);
+    expect(getActiveProfile(again).name).toBe("KAI");
+  });
+
+  it("removes the profile's stored values and keeps at least one profile", () => {
+    const state = createProfile(loadProfiles(), "kai");
+    const kai = getActiveProfile(state);
+    localStorage.setItem(profileKey(kai.id, STORAGE_KEYS.STREAK), "{}");
+
+    const updated = deleteProfile(state, kai.id);
+    expect(updated.profiles.map((p) => p.name)).toEqual(["PLAYER 1"]);
+    expect(updated.activeId).toBe(updated.profiles[0].id);
+    expect(localStorage.getItem(profileKey(kai.id, STORAGE_KEYS.STREAK))).toBeNull();
+
+    expect(deleteProfile(updated, updated.activeId)).toBe(updated);
+  });
+});
@@ -0,0 +1,45 @@
+import { POSE_CONNECTIONS } from "@mediapipe/pose";
+import { drawConnectors, drawLandmarks } from "@mediapipe/drawing_utils";
+import { unpackLandmarks } from "./recorder";
+
+// Canvas drawing for recorded (or broadcast) frames, shared by the replay
+// viewer and the spectator screen.
+const GROUND_Y = 127;
+const DINO_SIZE = { width: 44, height: 47 };
+
+export function drawSkeleton(canvas, frame) {
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (!frame || !frame.landmarks) return;
+
+  const landmarks = unpackLandmarks(frame.landmarks);
+  drawConnectors(ctx, landmarks, POSE_CONNECTIONS, {
+    color: "#00FF00",
+    lineWidth: 4,
+  });
+  drawLandmarks(ctx, landmarks, { color: "#FF0000", lineWidth: 2 });
+}
+
+// Redraws the Runner from the recorded snapshot with plain shapes.
+export function drawGame(canvas, frame, crashed) {
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#f7f7f7";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.strokeStyle = "#535353";
+  ctx.beginPath();
+  ctx.moveTo(0, GROUND_Y + 12);
+  ctx.lineTo(canvas.width, GROUND_Y + 12);
+  ctx.stroke();
+  if (!frame) return;
+
+  ctx.fillStyle = "#535353";
+  frame.obstacles.forEach((o) => ctx.fillRect(o.x, o.y, o.width, o.height));
+
+  ctx.fillStyle = crashed ? "#d93025" : frame.speedDrop ? "#1a73e8" : "#535353";
+  ctx.fillRect(frame.dinoX, frame.dinoY, DINO_SIZE.width, DINO_SIZE.height);
+
+  ctx.font = "bold 14px monospace";
+  ctx.textAlign = "right";
+  ctx.fillText(String(Math.round(frame.distance * 0.025)).padStart(5, "0"), canvas.width - 10, 20);
+}
@@ -0,0 +1,112 @@
+export const RECORDING_VERSION = 1;
+
+export const REPLAY_EVENT = {
+  JUMP: "jump",
+  DUCK: "duck",
+  STAND: "stand",
+  OBSTACLE: "obstacle",
+  CRASH: "crash",
+};
+
+// Long rounds would otherwise grow without bound (~30 pose frames a second)
+const MAX_DURATION_MS = 10 * 60 * 1000;
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// Landmarks are stored as [x, y, z, visibility] tuples to keep files small.
+// Frames where nobody was tracked keep `null`.
+export function packLandmarks(landmarks) {
+  if (!landmarks) return null;
+  return landmarks.map((l) => [
+    round4(l.x),
+    round4(l.y),
+    round4(l.z),
+    round4(l.visibility ?? 1),
+  ]);
+}
+
+export function unpackLandmarks(packed) {
+  if (!packed) return null;
+  return packed.map(([x, y, z, visibility]) => ({ x, y, z, visibility }));
+}
+
+// Snapshot of what the Runner is showing, enough to redraw it later.
+export function snapshotRunner(runner) {
+  return {
+    dinoX: runner.tRex.xPos,
+    dinoY: runner.tRex.yPos,
+    jumping: runner.tRex.jumping,
+    speedDrop: runner.tRex.speedDrop,
+    speed: round4(runner.currentSpeed),
+    distance: Math.round(runner.distanceRan),
+    obstacles: runner.horizon.obstacles.map((o) => ({
+      type: o.typeConfig.type,
+      x: o.xPos,
+      y: o.yPos,
+      width: o.width,
+      height: o.typeConfig.height,
+    })),
+  };
+}
+
+// Captures one round: the pose stream, detected gestures and what the Runner
+// drew, all timed relative to the start of the round.
+export function createRunRecorder({ playerName, gameMode, input, startedAt }) {
+  const poseFrames = [];
+  const gameFrames = [];
+  const events = [];
+  const seenObstacles = new WeakSet();
+  let dimensions = null;
+
+  const elapsed = (now) => now - startedAt;
+  const full = (now) => elapsed(now) > MAX_DURATION_MS;
+
+  return {
+    addPoseFrame(landmarks, now) {
+      if (full(now)) return;
+      poseFrames.push({ t: elapsed(now), landmarks: packLandmarks(landmarks) });
+    },
+
+    addEvent(type, now, data) {
+      if (full(now)) return;
+      events.push({ t: elapsed(now), type, ...data });
+    },
+
+    addRunnerFrame(runner, now) {
+      if (full(now)) return;
+      if (!dimensions) {
+        dimensions = { width: runner.dimensions.WIDTH, height: runner.dimensions.HEIGHT };
+      }
+      runner.horizon.obstacles.forEach((o) => {
+        if (seenObstacles.has(o)) return;
+        seenObstacles.add(o);
+        events.push({
+          t: elapsed(now),
+          type: REPLAY_EVENT.OBSTACLE,
+          obstacle: o.typeConfig.type,
+          size: o.size,
+        });
+      });
+      gameFrames.push({ t: elapsed(now), ...snapshotRunner(runner) });
+    },
+
+    finish({ score, jumps, endedAt }) {
+      return {
+        version: RECORDING_VERSION,
+        meta: {
+          playerName,
+          gameMode,
+          input,
+          startedAt,
+          duration: elapsed(endedAt),
+          score,
+          jumps,
+          dimensions,
+        },
+        poseFrames,
+        gameFrames,
+        events: [...events].sort((a, b) => a.t - b.t),
+      };
+    },
+  };
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { createRunRecorder, REPLAY_EVENT, unpackLandmarks } from "./recorder";
+import { frameAt } from "./replayFile";
+
+const fakeRunner = (obstacles = []) => ({
+  dimensions: { WIDTH: 600, HEIGHT: 150 },
+  tRex: { xPos: 50, yPos: 93, jumping: false, speedDrop: false },
+  currentSpeed: 3.5,
+  distanceRan: 400,
+  horizon: { obstacles },
+});
+
+const cactus = () => ({
+  typeConfig: { type: "CACTUS_SMALL", height: 35 },
+  xPos: 580,
+  yPos: 105,
+  width: 17,
+  size: 1,
+});
+
+describe("createRunRecorder", () => {
+  it("records pose frames, events and runner frames relative to the start", () => {
+    const recorder = createRunRecorder({
+      playerName: "ANA",
+      gameMode: "arcade",
+      input: "camera",
+      startedAt: 1000,
+    });
+    recorder.addPoseFrame([{ x: 0.123456, y: 0.5, z: 0, visibility: 0.9 }], 1033);
+    recorder.addEvent(REPLAY_EVENT.JUMP, 1040);
+
+    const obstacle = cactus();
+    recorder.addRunnerFrame(fakeRunner([obstacle]), 1050);
+    recorder.addRunnerFrame(fakeRunner([obstacle]), 1066);
+
+    const recording = recorder.finish({ score: 10, jumps: 1, endedAt: 2000 });
+
+    expect(recording.meta).toMatchObject({
+      playerName: "ANA",
+      duration: 1000,
+      dimensions: { width: 600, height: 150 },
+    });
+    expect(recording.poseFrames[0].t).toBe(33);
+    expect(unpackLandmarks(recording.poseFrames[0].landmarks)[0].x).toBe(0.1235);
+    expect(recording.gameFrames).toHaveLength(2);
+    // The same obstacle object is only reported once
+    expect(recording.events.map((e) => e.type)).toEqual([
+      REPLAY_EVENT.JUMP,
+      REPLAY_EVENT.OBSTACLE,
+    ]);
+  });
+
+  it("keeps frames where nobody was tracked", () => {
+    const recorder = createRunRecorder({ playerName: "ANA", gameMode: "arcade", input: "camera", startedAt: 0 });
+    recorder.addPoseFrame(null, 33);
+    const recording = recorder.finish({ score: 0, jumps: 0, endedAt: 100 });
+    expect(recording.poseFrames).toEqual([{ t: 33, landmarks: null }]);
+    expect(unpackLandmarks(null)).toBeNull();
+  });
+});
+
+describe("frameAt", () => {
+  const frames = [{ t: 0 }, { t: 33 }, { t: 66 }];
+
+  it("returns the latest frame at or before the given time", () => {
+    expect(frameAt(frames, 40)).toBe(frames[1]);
+    expect(frameAt(frames, 66)).toBe(frames[2]);
+    expect(frameAt(frames, 1000)).toBe(frames[2]);
+  });
+
+  it("returns null before the first frame", () => {
+    expect(frameAt([{ t: 10 }], 5)).toBeNull();
+    expect(frameAt([], 5)).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import { RECORDING_VERSION } from "./recorder";
+import { downloadFile } from "../download";
+
+export function recordingFileName(recording) {
+  const { playerName, gameMode, startedAt } = recording.meta;
+  const stamp = new Date(startedAt).toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  return `dino-replay-${playerName || "player"}-${gameMode}-${stamp}.json`;
+}
+
+export function downloadRecording(recording) {
+  downloadFile(recordingFileName(recording), JSON.stringify(recording), "application/json");
+}
+
+// Rejects with a readable message when the file isn't a replay we can play.
+export async function readRecordingFile(file) {
+  let recording;
+  try {
+    recording = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not a JSON file`);
+  }
+  if (
+    !recording ||
+    recording.version !== RECORDING_VERSION ||
+    !recording.meta ||
+    !Array.isArray(recording.poseFrames) ||
+    !Array.isArray(recording.gameFrames) ||
+    !Array.isArray(recording.events)
+  ) {
+    throw new Error(`${file.name} is not a Jumping Dino replay`);
+  }
+  return recording;
+}
+
+// Latest frame at or before `t` (frames are sorted by time).
+export function frameAt(frames, t) {
+  let lo = 0;
+  let hi = frames.length - 1;
+  if (hi < 0 || frames[0].t > t) return null;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (frames[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return frames[lo];
+}
@@ -0,0 +1,85 @@
+// Game ↔ spectator screen messaging over BroadcastChannel. Both windows must
+// share an origin, which a second tab of the same app always does.
+export const SPECTATOR_CHANNEL = "jumping-dino-spectator";
+
+export const SPECTATOR_MESSAGE = {
+  // spectator → game
+  HELLO: "hello",
+  // game → spectator
+  STATE: "state",
+  LEADERBOARD: "leaderboard",
+  FRAME: "frame",
+  POSE: "pose",
+  ROUND_END: "round-end",
+};
+
+// Spectators say hello on load and then every PING_MS; the game only streams
+// frames while it has heard from one recently.
+export const SPECTATOR_PING_MS = 3000;
+const SPECTATOR_TIMEOUT_MS = 3 * SPECTATOR_PING_MS;
+
+// Sent again to every spectator that joins, so it never starts blank
+const RETAINED = [SPECTATOR_MESSAGE.STATE, SPECTATOR_MESSAGE.LEADERBOARD];
+
+function openChannel() {
+  return typeof BroadcastChannel === "undefined"
+    ? null
+    : new BroadcastChannel(SPECTATOR_CHANNEL);
+}
+
+// Game side. Without BroadcastChannel support every call is a no-op.
+export function createSpectatorHost() {
+  const channel = openChannel();
+  const retained = new Map();
+  let lastHello = -Infinity;
+
+  const post = (type, payload) => channel.postMessage({ type, payload });
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data?.type !== SPECTATOR_MESSAGE.HELLO) return;
+      lastHello = Date.now();
+      if (data.payload?.joined) retained.forEach((payload, type) => post(type, payload));
+    };
+  }
+
+  const hasSpectators = () => Date.now() - lastHello < SPECTATOR_TIMEOUT_MS;
+
+  return {
+    hasSpectators,
+
+    // Retained messages are always sent; the frame streams only when watched
+    publish(type, payload) {
+      if (!channel) return;
+      if (RETAINED.includes(type)) retained.set(type, payload);
+      else if (!hasSpectators()) return;
+      post(type, payload);
+    },
+
+    close() {
+      if (channel) channel.close();
+    },
+  };
+}
+
+// Spectator side: `onMessage({ type, payload })` for everything the game sends.
+// Returns null when the browser can't do BroadcastChannel.
+export function createSpectatorClient(onMessage) {
+  const channel = openChannel();
+  if (!channel) return null;
+
+  channel.onmessage = ({ data }) => {
+    if (data && data.type !== SPECTATOR_MESSAGE.HELLO) onMessage(data);
+  };
+  const hello = (joined) =>
+    channel.postMessage({ type: SPECTATOR_MESSAGE.HELLO, payload: { joined } });
+  hello(true);
+  const timer = setInterval(() => hello(false), SPECTATOR_PING_MS);
+
+  return {
+    close() {
+      clearInterval(timer);
+      channel.close();
+    },
+  };
+}
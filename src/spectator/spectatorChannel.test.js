@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  createSpectatorClient,
+  createSpectatorHost,
+  SPECTATOR_MESSAGE,
+} from "./spectatorChannel";
+
+// BroadcastChannel delivers asynchronously, also in Node
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const open = [];
+afterEach(() => {
+  open.splice(0).forEach((c) => c.close());
+});
+
+describe("spectator channel", () => {
+  it("brings a new spectator up to date and streams frames once it is watching", async () => {
+    const host = createSpectatorHost();
+    open.push(host);
+    host.publish(SPECTATOR_MESSAGE.STATE, { playerName: "ANA" });
+    host.publish(SPECTATOR_MESSAGE.FRAME, { dinoX: 1 });
+    expect(host.hasSpectators()).toBe(false);
+
+    const received = [];
+    open.push(createSpectatorClient((message) => received.push(message)));
+    await settle();
+
+    expect(host.hasSpectators()).toBe(true);
+    expect(received).toEqual([{ type: SPECTATOR_MESSAGE.STATE, payload: { playerName: "ANA" } }]);
+
+    host.publish(SPECTATOR_MESSAGE.FRAME, { dinoX: 2 });
+    host.publish(SPECTATOR_MESSAGE.LEADERBOARD, { entries: [] });
+    await settle();
+    expect(received.slice(1).map((m) => m.type)).toEqual([
+      SPECTATOR_MESSAGE.FRAME,
+      SPECTATOR_MESSAGE.LEADERBOARD,
+    ]);
+  });
+
+  it("does nothing without BroadcastChannel support", () => {
+    vi.stubGlobal("BroadcastChannel", undefined);
+    try {
+      const host = createSpectatorHost();
+      host.publish(SPECTATOR_MESSAGE.STATE, {});
+      host.close();
+      expect(createSpectatorClient(() => {})).toBeNull();
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
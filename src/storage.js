@@ -0,0 +1,45 @@
+// ── localStorage helpers ──────────────────────────────────────────
+export const STORAGE_KEYS = {
+  LEADERBOARD: "dino_leaderboard",
+  SESSION_STATS: "dino_session_stats",
+  STREAK: "dino_streak",
+  THEME: "dino_theme",
+  CALIBRATION: "dino_calibration",
+  GAME_MODE: "dino_game_mode",
+  INPUT_SOURCE: "dino_input_source",
+  RECORD_RUNS: "dino_record_runs",
+  PROFILES: "dino_profiles",
+  HISTORY: "dino_history",
+  FITNESS: "dino_fitness",
+  ACHIEVEMENTS: "dino_achievements",
+  DAILY: "dino_daily",
+  GESTURE_BINDINGS: "dino_gesture_bindings",
+  AUDIO: "dino_audio",
+  KIOSK: "dino_kiosk",
+  POSE: "dino_pose",
+  CAMERA: "dino_camera",
+  // Pre-profile name of the last player; only read by the migration
+  PLAYER_NAME: "dino_player_name",
+};
+
+export function loadStored(key, fallback) {
+  try {
+    const item = localStorage.getItem(key);
+    return item ? JSON.parse(item) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveStored(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+export function removeStored(key) {
+  localStorage.removeItem(key);
+}
+
+// Values that belong to one player profile live under `<key>:<profileId>`
+export function profileKey(profileId, key) {
+  return `${key}:${profileId}`;
+}
@@ -0,0 +1,11 @@
+// In-memory stand-in for localStorage in unit tests:
+//   beforeEach(() => vi.stubGlobal("localStorage", memoryStorage()));
+export function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    keys: () => [...items.keys()],
+  };
+}
@@ -0,0 +1,150 @@
+// Runs against the Realtime Database emulator: `npm run test:rules`
+import fs from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import { ref, get, push, remove, set, update } from "firebase/database";
+
+let testEnv;
+
+const validEntry = () => ({
+  name: "PLAYER ONE",
+  score: 300,
+  timestamp: Date.now(),
+  jumps: 20,
+  time: 60,
+  gameMode: "arcade",
+  input: "camera",
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-jumping-dino",
+    database: {
+      rules: fs.readFileSync(new URL("../../firebase_rules.json", import.meta.url), "utf8"),
+    },
+  });
+});
+
+beforeEach(() => testEnv.clearDatabase());
+
+afterAll(() => testEnv.cleanup());
+
+const db = () => testEnv.unauthenticatedContext().database();
+
+describe("leaderboard reads", () => {
+  it("allows reading a known mode", async () => {
+    await assertSucceeds(get(ref(db(), "leaderboards/arcade")));
+  });
+
+  it("denies reading the root or unknown modes", async () => {
+    await assertFails(get(ref(db(), "/")));
+    await assertFails(get(ref(db(), "leaderboards/secret")));
+    await assertFails(get(ref(db(), "leaderboards/daily-latest")));
+  });
+
+  it("allows reading a daily challenge board", async () => {
+    await assertSucceeds(get(ref(db(), "leaderboards/daily-2024-05-01")));
+  });
+});
+
+describe("leaderboard writes", () => {
+  it("accepts a valid entry", async () => {
+    await assertSucceeds(push(ref(db(), "leaderboards/arcade"), validEntry()));
+  });
+
+  it("rejects missing, extra and mistyped fields", async () => {
+    const { jumps: _jumps, ...missing } = validEntry();
+    await assertFails(push(ref(db(), "leaderboards/arcade"), missing));
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), admin: true })
+    );
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), score: "300" })
+    );
+  });
+
+  it("rejects names that are empty or longer than 10 characters", async () => {
+    await assertFails(push(ref(db(), "leaderboards/arcade"), { ...validEntry(), name: "" }));
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), name: "ELEVENCHARS" })
+    );
+  });
+
+  it("rejects implausible score-per-second ratios", async () => {
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), score: 999999 })
+    );
+    await assertSucceeds(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), score: 1220 })
+    );
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), score: 1221 })
+    );
+  });
+
+  it("rejects high scores without jumps and jump spam", async () => {
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), jumps: 0 })
+    );
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), jumps: 1000 })
+    );
+  });
+
+  it("rejects entries filed under a different mode", async () => {
+    await assertFails(
+      push(ref(db(), "leaderboards/kids"), { ...validEntry(), gameMode: "arcade" })
+    );
+    await assertFails(
+      push(ref(db(), "leaderboards/secret"), { ...validEntry(), gameMode: "secret" })
+    );
+  });
+
+  it("accepts daily challenge entries on their own day's board", async () => {
+    await assertSucceeds(
+      push(ref(db(), "leaderboards/daily-2024-05-01"), {
+        ...validEntry(),
+        gameMode: "daily-2024-05-01",
+      })
+    );
+    await assertFails(
+      push(ref(db(), "leaderboards/daily-2024-05-01"), {
+        ...validEntry(),
+        gameMode: "daily-2024-05-02",
+      })
+    );
+  });
+
+  it("rejects timestamps far from server time", async () => {
+    await assertFails(
+      push(ref(db(), "leaderboards/arcade"), { ...validEntry(), timestamp: 0 })
+    );
+  });
+});
+
+describe("append-only entries", () => {
+  let entryPath;
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const entryRef = push(ref(context.database(), "leaderboards/arcade"));
+      await set(entryRef, validEntry());
+      entryPath = `leaderboards/arcade/${entryRef.key}`;
+    });
+  });
+
+  it("denies editing an existing entry", async () => {
+    await assertFails(update(ref(db(), entryPath), { score: 1000 }));
+    await assertFails(set(ref(db(), entryPath), { ...validEntry(), score: 1000 }));
+  });
+
+  it("denies deleting entries or wiping the leaderboard", async () => {
+    await assertFails(remove(ref(db(), entryPath)));
+    await assertFails(remove(ref(db(), "leaderboards/arcade")));
+    await assertFails(remove(ref(db(), "leaderboards")));
+  });
+});
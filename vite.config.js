@@ -1,7 +1,61 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+// MediaPipe solutions loaded at runtime. Face Mesh only runs for players
+// who turn on face landmarks.
+const MEDIAPIPE_PACKAGES = ['pose', 'face_mesh'].map((name) => {
+  const dir = fileURLToPath(new URL(`./node_modules/@mediapipe/${name}/`, import.meta.url))
+  return {
+    dir,
+    url: `/mediapipe/${name}/`,
+    files: fs
+      .readdirSync(dir)
+      .filter((file) => file !== `${name}.js` && /\.(js|wasm|data|tflite|binarypb)$/.test(file)),
+  }
+})
+
+// Serves the MediaPipe runtimes and models from our own origin (dev) and
+// copies them into the build output, so the game runs without internet.
+function mediapipeAssets() {
+  let outDir
+  return {
+    name: 'mediapipe-assets',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    configureServer(server) {
+      for (const { dir, url, files } of MEDIAPIPE_PACKAGES) {
+        server.middlewares.use(url, (req, res, next) => {
+          const file = decodeURIComponent(req.url.split('?')[0].slice(1))
+          if (!files.includes(file)) return next()
+          res.setHeader('Content-Length', fs.statSync(path.join(dir, file)).size)
+          fs.createReadStream(path.join(dir, file)).pipe(res)
+        })
+      }
+    },
+    writeBundle() {
+      for (const { dir, url, files } of MEDIAPIPE_PACKAGES) {
+        const target = path.join(outDir, url)
+        fs.mkdirSync(target, { recursive: true })
+        for (const file of files) {
+          fs.copyFileSync(path.join(dir, file), path.join(target, file))
+        }
+      }
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeAssets()],
+  // The pose worker is a module worker (see src/input/cameraInput.js)
+  worker: {
+    format: 'es',
+  },
+  test: {
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config'
+
+// Security rules tests need the Realtime Database emulator, see `npm run test:rules`
+export default defineConfig({
+  test: {
+    include: ['tests/rules/**/*.test.js'],
+    testTimeout: 15000,
+  },
+})